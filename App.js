@@ -1,109 +1,973 @@
 import React from "react";
-import { ActivityIndicator, Button, Picker, StyleSheet, Text, View, Dimensions } from "react-native";
+import { ActivityIndicator, Alert, AsyncStorage, Button, Picker, Share, StyleSheet, Text, TextInput, View, Dimensions } from "react-native";
+import { Linking, Notifications } from "expo";
 import MapView from "react-native-maps";
 import DateTimePicker from "@react-native-community/datetimepicker";
+import * as FileSystem from "expo-file-system";
+import * as Permissions from "expo-permissions";
 
-import EpiViewTable from "./struct/EpiViewTable.js";
-import EpiViewTable_COVID19_UnitedStates, { UNITED_STATES } from "./struct/EpiViewTable_COVID19_UnitedStates.js";
-import EpiViewTable_COVID19_LosAngeles, { LOS_ANGELES } from "./struct/EpiViewTable_COVID19_LosAngeles.js";
+import AnalysisPanel from "./components/AnalysisPanel.js";
+import AreaLayer from "./components/AreaLayer.js";
+import ClusterLayer from "./components/ClusterLayer.js";
+import ComparePanel from "./components/ComparePanel.js";
+import DetailPanel from "./components/DetailPanel.js";
+import ExportMenu from "./components/ExportMenu.js";
+import ImportWizard from "./components/ImportWizard.js";
+import Legend from "./components/Legend.js";
+import PresetList from "./components/PresetList.js";
+import RankingList from "./components/RankingList.js";
+import StylePanel from "./components/StylePanel.js";
+import TimeLapse from "./components/TimeLapse.js";
+import ValidationReport from "./components/ValidationReport.js";
+import WatchList from "./components/WatchList.js";
+import { canSmooth, CLUSTERS, DEFAULT_ANALYSIS, describeCluster } from "./struct/EpiViewClusters.js";
+import { addDays, compareUdf, daysBetween, DEFAULT_MISSING, DEFAULT_WINDOW, MODES, numeratorFor, udfRange } from "./struct/EpiViewEntry.js";
+import streamingFetch from "./struct/EpiViewFetch.js";
+import { DEFAULT_FORECAST, FORECAST_MODELS, MAX_HORIZON } from "./struct/EpiViewForecast.js";
+import EpiViewFormula from "./struct/EpiViewFormula.js";
+import { covers, regionOf, viewOf } from "./struct/EpiViewGeometry.js";
+import EpiViewImports from "./struct/EpiViewImports.js";
+import EpiViewPresets from "./struct/EpiViewPresets.js";
+import { formatDate, fromQueryParams, toQueryParams } from "./struct/EpiViewQuery.js";
+import { DEFAULT_STYLE } from "./struct/EpiViewScale.js";
+import EpiViewTable, { describeUdf, shiftUdf } from "./struct/EpiViewTable.js";
+import { importTableIds, registerImport } from "./struct/EpiViewTable_Custom.js";
+import { getTable, listChildren, listTables, unregisterTable } from "./struct/EpiViewTables.js";
+import { validate } from "./struct/EpiViewValidation.js";
+import EpiViewWatchlist from "./struct/EpiViewWatchlist.js";
+
+/**
+ * Identifier of the table shown on startup.
+ */
+const DEFAULT_TABLE = "la";
+
+/**
+ * Time between frames of a time-lapse, in milliseconds.
+ */
+const FRAME_INTERVAL = 500;
 
 export default class App extends React.Component {
   constructor(props) {
     super(props);
     this.table_blank = new EpiViewTable();
-    this.table_us = this.table_blank;
-    this.table_la = this.table_blank;
+    this.tables = {};  // Compiled tables, keyed by id.
+    this.loadErrors = {};  // Errors from tables that failed to compile.
     this.table = this.table_blank;
+    this.select = this.select.bind(this);
+    this.openUrl = this.openUrl.bind(this);
+    this.changeRegion = this.changeRegion.bind(this);
+    this.presets = new EpiViewPresets(AsyncStorage, "@EpiView:presets");
+    this.imports = new EpiViewImports(AsyncStorage, "@EpiView:imports");
+    this.watchlist = new EpiViewWatchlist(AsyncStorage, "@EpiView:watchlist");
+    this.loadingWatchlist = this.watchlist.load();
+    this.compiling = {};  // Promises of compiled tables, keyed by id.
+    this.pendingQuery = null;  // Query to apply once its table is compiled.
+    this.shown = null;  // {table, udf, scale} of the polygons on the map.
+    this.computing = false;  // Whether a recompute is in progress.
+    this.view = null;  // View of the polygons on the map (see viewOf).
+    this.region = getTable(DEFAULT_TABLE).region;  // Current map region.
     this.state = {
       // UI state.
-      region: LOS_ANGELES,  // initial region
+      region: getTable(DEFAULT_TABLE).region,  // initial region
       polygons: [],
+      comparePolygons: [],  // Polygons of the second map, when side by side
+      outlines: [],  // Outlines of clusters on the first map
+      scale: null,  // EpiViewScale of the polygons, for the legend
+      style: DEFAULT_STYLE,
+      analysis: DEFAULT_ANALYSIS,  // Cluster detection (see EpiViewClusters)
+      stylePanel: false,
+      analysisPanel: false,
+      comparePanel: false,
+      exportMenu: false,
+      presetList: false,
+      watchList: false,
+      importWizard: false,
+      report: null,  // Validation report of the current table, when open
+      ranking: null,  // Ranking of the current table's entries, when open
+      selection: null,  // {tableId, key, title, message, value} of the tapped
+                        // entry
       recompute: false,
       pickingRefDate: false,
       pickingDate: false,
+      loadError: null,
+      timeLapse: null,  // {from: Date, to: Date, scale: EpiViewScale} when open
+      preparingTimeLapse: false,
+      playing: false,
       // User-defined function (UDF).
-      numerator: "cases (L.A.)",
+      tableId: DEFAULT_TABLE,
+      numerator: "cases",
       denominator: "per 100k population",
       mode: "on",
+      formula: "(cases[date] - cases[refDate]) / population * 1e5",
+      formulaError: null,
       refDate: new Date(),
+      window: DEFAULT_WINDOW,
       date: new Date(),
+      missing: DEFAULT_MISSING,  // Handling of dates without counts
+      compare: null,  // What to compare with (see compareUdf)
+      forecast: DEFAULT_FORECAST,  // How dates past the data are projected
     };
   }
 
   /**
-   * Compiles the data tables. Sets data and data-dependent state
-   * variables and triggers a recompute.
+   * Loads saved presets, starts listening for deep links, registers imported
+   * tables, and compiles the registered data tables.
+   */
+  componentDidMount() {
+    this.presets.load();
+    Linking.getInitialURL().then(url => url && this.openUrl(url));
+    Linking.addEventListener("url", this.openUrl);
+    this.imports.load().then(() => {
+      for (const spec of this.imports.items) {
+        registerImport(spec);
+      }
+      for (const descriptor of listTables()) {
+        this.compileTable(descriptor);
+      }
+    });
+  }
+
+  /**
+   * Compiles a data table, using cached case counts where available. A table
+   * derived from another table is compiled once that table is. Once the
+   * table is ready, if it's selected, sets data-dependent state variables and
+   * triggers a recompute. Triggers another recompute if a background refresh
+   * of the selected table brings in new data.
+   *
+   * @param {!TableDescriptor} descriptor The table's descriptor.
+   * @return {!Promise<!EpiViewTable>} The compiled table.
+   */
+  compileTable(descriptor) {
+    const options = {
+      storage: AsyncStorage,
+      cacheKey: `@EpiView:counts:${descriptor.id}`,
+      readFile: uri => FileSystem.readAsStringAsync(uri),
+      fetch: streamingFetch,
+    };
+    const created = descriptor.create(options);
+    const compiling = descriptor.source
+      ? this.compiling[descriptor.source].then(source =>
+          created.compile(source))
+      : created.compile();
+    this.compiling[descriptor.id] = compiling;
+    compiling.then(table => {
+      if (this.compiling[descriptor.id] !== compiling) {
+        return;  // The table was deleted or replaced.
+      }
+      this.tables[descriptor.id] = table;
+      delete this.loadErrors[descriptor.id];
+      if (descriptor.id === this.state.tableId) {
+        this.selectTable(descriptor.id);
+        if (this.pendingQuery) {
+          this.applyQuery(this.pendingQuery);
+        }
+      }
+      this.checkWatches(descriptor.id, table);
+      if (table.refreshing) {
+        table.refreshing.then(changed => {
+          if (changed) {
+            this.checkWatches(descriptor.id, table);
+          }
+          if (changed && descriptor.id === this.state.tableId) {
+            this.setState({recompute: true});
+          }
+        }).catch(() => {});  // Keep showing the cached data.
+      }
+    }).catch(error => {
+      this.loadErrors[descriptor.id] = String(error);
+      if (descriptor.id === this.state.tableId) {
+        this.setState({loadError: this.loadErrors[descriptor.id]});
+      }
+    });
+    return compiling;
+  }
+
+  /**
+   * Saves a dataset that the user imported, registers and compiles its
+   * tables (see registerImport), and selects its own table. The imported
+   * files are copied into the app's document directory, so that the tables
+   * can be compiled again when the app restarts.
+   *
+   * @param {!ImportSpec} spec What was imported, without files.
+   * @param {!Object<string, string>} contents Contents of the files, keyed
+   *     like spec.files.
+   */
+  async importTable(spec, contents) {
+    const directory = `${FileSystem.documentDirectory}imports/`;
+    await FileSystem.makeDirectoryAsync(directory, {intermediates: true});
+    const files = {};
+    for (const [kind, text] of Object.entries(contents)) {
+      files[kind] = `${directory}${spec.id}-${kind}`;
+      await FileSystem.writeAsStringAsync(files[kind], text);
+    }
+    spec = {...spec, files: files};
+    registerImport(spec);
+    try {
+      for (const id of importTableIds(spec)) {
+        await this.compileTable(getTable(id));
+      }
+    }
+    catch (error) {
+      for (const id of importTableIds(spec)) {
+        unregisterTable(id);
+        delete this.compiling[id];
+        delete this.loadErrors[id];
+      }
+      throw error;
+    }
+    await this.imports.add(spec);
+    this.selectTable(spec.id);
+  }
+
+  /**
+   * Deletes a dataset that the user imported, along with its files and its
+   * table of groups, if any. If one of its tables is selected, selects the
+   * default table instead.
+   *
+   * @param {string} id Identifier of the import's table.
+   */
+  async deleteImport(id) {
+    const spec = await this.imports.remove(id);
+    const ids = spec ? importTableIds(spec) : [id];
+    for (const each of ids) {
+      unregisterTable(each);
+      delete this.tables[each];
+      delete this.compiling[each];
+      delete this.loadErrors[each];
+    }
+    if (this.state.selection && ids.includes(this.state.selection.tableId)) {
+      this.setState({selection: null});
+    }
+    if (ids.includes(this.state.tableId)) {
+      this.selectTable(DEFAULT_TABLE);
+    }
+    else {
+      this.forceUpdate();  // Refresh the table picker.
+    }
+    if (spec) {
+      for (const uri of Object.values(spec.files)) {
+        await FileSystem.deleteAsync(uri, {idempotent: true});
+      }
+    }
+  }
+
+  /**
+   * Recomputes the map whenever a recompute is requested.
+   */
+  componentDidUpdate() {
+    if (this.state.recompute && !this.computing) {
+      this.recompute();
+    }
+  }
+
+  /**
+   * Computes the map for the current UDF in chunks (see
+   * EpiViewTable.evaluateAllAsync), then shows it.
+   * If the UDF or table changes in the meantime, computes it again, so that
+   * the map never shows a stale result.
+   */
+  async recompute() {
+    this.computing = true;
+    let table, udf;
+    try {
+      do {
+        table = this.table;
+        udf = this.state;
+        for (const each of this.splitUdfs(udf)) {
+          await table.evaluateAllAsync(each);
+          for (const descriptor of this.detailLevels(udf)) {
+            await this.tables[descriptor.id].evaluateAllAsync(each);
+          }
+        }
+      } while (table !== this.table || udf !== this.state);
+      const scale = udf.timeLapse ? udf.timeLapse.scale
+                                  : table.computeScale(udf, udf.style);
+      this.shown = {table: table, udf: udf, scale: scale};
+      this.setState({
+        ...this.mapPolygons(udf, scale),
+        scale: scale,
+        selection: this.reselect(udf, scale),
+        recompute: false,
+      });
+    }
+    catch (e) {
+      Alert.alert("Unable to compute map", String(e));
+      this.setState({
+        polygons: [],
+        comparePolygons: [],
+        outlines: [],
+        scale: null,
+        recompute: false,
+      });
+    }
+    finally {
+      this.computing = false;
+    }
+  }
+
+  /**
+   * Lists the UDFs shown on the map: the UDF itself and, when it's compared
+   * side by side, the UDF that it's compared with.
+   *
+   * @param {!Object<string, *>} udf An object representing the UDF.
+   * @return {!Array<Object<string, *>>} The UDFs, the UDF itself first.
    */
-  async componentDidMount() {
-    const promise_us = new EpiViewTable_COVID19_UnitedStates().compile();
-    const promise_la = new EpiViewTable_COVID19_LosAngeles().compile();
-    this.table_us = await promise_us;
-    this.table_la = await promise_la;
-    this.table = this.table_la;
-    const refDate = new Date(this.table.maxDate);
-    refDate.setDate(refDate.getDate() - 7);
+  splitUdfs(udf) {
+    return udf.compare && udf.compare.as === "split"
+           ? [{...udf, compare: null}, compareUdf(udf)] : [udf];
+  }
+
+  /**
+   * Lists the finer levels of detail of the current table that can show a
+   * UDF: those that are compiled and have the fields that the UDF (and any
+   * UDF that it's compared with) uses.
+   *
+   * @param {!Object<string, *>} udf An object representing the UDF.
+   * @return {!Array<TableDescriptor>} Descriptors of the levels.
+   */
+  detailLevels(udf) {
+    const udfs = [{...udf, compare: null}];
+    if (udf.compare) {
+      udfs.push(compareUdf(udf));
+    }
+    return listChildren(this.state.tableId).filter(descriptor => {
+      const table = this.tables[descriptor.id];
+      if (!table) {
+        return false;
+      }
+      if (udf.mode === "formula") {
+        try {
+          for (const each of udfs) {
+            new EpiViewFormula(each.formula, table.fields);
+          }
+          return true;
+        }
+        catch (e) {
+          return false;
+        }
+      }
+      const has = (options, value) =>
+        options.some(option => option.value === value);
+      return udfs.every(each =>
+        has(descriptor.numerators, each.numerator) &&
+        has(descriptor.denominators, each.denominator));
+    });
+  }
+
+  /**
+   * Lists the levels of detail from detailLevels that are shown at a map
+   * region: those that it is zoomed in far enough on.
+   *
+   * @param {!Object<string, *>} udf An object representing the UDF.
+   * @param {!Region} region The map region.
+   * @return {!Array<TableDescriptor>} Descriptors of the levels.
+   */
+  shownLevels(udf, region) {
+    return this.detailLevels(udf).filter(descriptor => {
+      const extent = this.tables[descriptor.id].extent;
+      return extent !== null &&
+             region.latitudeDelta <= descriptor.parent.maxDelta &&
+             region.latitude - region.latitudeDelta / 2 <= extent.maxLatitude &&
+             region.latitude + region.latitudeDelta / 2 >= extent.minLatitude &&
+             region.longitude - region.longitudeDelta / 2 <=
+               extent.maxLongitude &&
+             region.longitude + region.longitudeDelta / 2 >=
+               extent.minLongitude;
+    });
+  }
+
+  /**
+   * Lists the levels of detail that the map shows, with the entries of the
+   * table shown that each replaces, e.g. to export what the map shows.
+   *
+   * @return {!Array<Object<string, *>>} The levels: {
+   *   "table": !EpiViewTable,
+   *   "replaces": !Array<string>,  // Keys of the entries it replaces.
+   * }
+   */
+  shownLevelTables() {
+    if (this.shown === null) {
+      return [];
+    }
+    return this.shownLevels(this.shown.udf, this.region).map(descriptor => ({
+      table: this.tables[descriptor.id],
+      replaces: descriptor.parent.keys,
+    }));
+  }
+
+  /**
+   * Computes the polygons to show for a UDF: the current table's, with the
+   * entries covered by a shown level of detail swapped for that level's.
+   * Every level shares the same color scale, and hence the same legend.
+   * Only polygons near the map region are included, simplified for its zoom
+   * band; the view that they were computed for is remembered so that
+   * changeRegion knows when to compute them again.
+   *
+   * @param {!Object<string, *>} udf An object representing the UDF.
+   * @param {function(!EpiViewTable, !Object<string, *>): !Array<Object>}
+   *     compute Computes the polygons of a level's table for a view, e.g.
+   *     with EpiViewTable.computePolygons.
+   * @param {!Region=} region The map region.
+   * @return {!Array<Object<string, *>>} Polygons, from compute. Those of a
+   *     level of detail also have "table": the level's table identifier.
+   */
+  levelPolygons(udf, compute, region = this.region) {
+    const view = viewOf(region);
+    this.view = view;
+    let polygons = compute(this.table, view);
+    for (const descriptor of this.shownLevels(udf, region)) {
+      const replaced = new Set(descriptor.parent.keys);
+      polygons = polygons.filter(polygon => !replaced.has(polygon.entry))
+        .concat(compute(this.tables[descriptor.id], view)
+          .map(polygon => ({
+            ...polygon,
+            key: `${descriptor.id}:${polygon.key}`,
+            table: descriptor.id,
+          })));
+    }
+    return polygons;
+  }
+
+  /**
+   * Computes the polygons of both maps for a UDF (see levelPolygons). The
+   * second map only has polygons when the UDF is compared side by side.
+   * Clusters are only outlined on the first map, each level's tested on its
+   * own.
+   *
+   * @param {!Object<string, *>} udf An object representing the UDF.
+   * @param {!EpiViewScale} scale The color scale to use.
+   * @return {!Object<string, *>} State with the "polygons" and "outlines" of
+   *     the first map and the "comparePolygons" of the second.
+   */
+  mapPolygons(udf, scale) {
+    const udfs = this.splitUdfs(udf);
+    const polygons = each => (table, view) =>
+      table.computePolygons(each, scale, view);
+    const analysis = this.state.analysis;
+    return {
+      polygons: this.levelPolygons(udfs[0], polygons(udfs[0])),
+      comparePolygons: udfs.length > 1
+                       ? this.levelPolygons(udfs[1], polygons(udfs[1])) : [],
+      outlines: analysis.statistic
+                ? this.levelPolygons(udfs[0], (table, view) =>
+                    table.computeOutlines(udfs[0], analysis, view))
+                : [],
+    };
+  }
+
+  /**
+   * Keeps track of the map region, computing the polygons again if the map
+   * has zoomed past a level of detail's threshold or into another zoom
+   * band, or panned beyond the polygons computed.
+   *
+   * @param {!Region} region The new map region.
+   */
+  changeRegion(region) {
+    const ids = at =>
+      this.shownLevels(this.shown.udf, at).map(descriptor => descriptor.id)
+                                          .join();
+    const changed = this.shown !== null &&
+                    (ids(region) !== ids(this.region) ||
+                     !covers(this.view, region));
+    this.region = region;
+    if (this.compareMap) {
+      this.compareMap.animateToRegion(region, 0);
+    }
+    if (changed) {
+      this.setState(this.mapPolygons(this.shown.udf, this.shown.scale));
+    }
+  }
+
+  /**
+   * Shows the detail panel for a tapped area. If the area has a finer level
+   * of detail, also zooms in on it, drilling down to that level.
+   *
+   * @param {!Object<string, *>} polygon The tapped polygon, from
+   *     levelPolygons.
+   */
+  select(polygon) {
+    const tableId = polygon.table || this.state.tableId;
+    const child = !polygon.table && this.detailLevels(this.shown.udf).find(
+      descriptor => descriptor.parent.keys.includes(polygon.entry));
+    if (child && this.map) {
+      this.map.animateToRegion(child.region);
+    }
     this.setState({
+      selection: this.describeEntry(tableId, polygon.entry, this.shown.udf,
+                                    this.shown.scale),
+    });
+  }
+
+  /**
+   * Shows an entry of the current table chosen from the rankings: centers the
+   * map on it and selects it.
+   *
+   * @param {string} key Key of the entry.
+   */
+  showEntry(key) {
+    const shapes = this.table.data[key].shapes;
+    if (this.map && shapes.box) {
+      this.map.animateToRegion(regionOf(shapes.box, 1.5));
+    }
+    this.setState({
+      ranking: null,
+      selection: this.describeEntry(this.state.tableId, key, this.shown.udf,
+                                    this.shown.scale),
+    });
+  }
+
+  /**
+   * Describes the selected entry again after a recompute, since its value
+   * may have changed.
+   *
+   * @param {!Object<string, *>} udf The UDF that was recomputed.
+   * @param {!EpiViewScale} scale The color scale that was recomputed.
+   * @return {?Object<string, *>} The new description, or null if nothing is
+   *     selected or the selected entry isn't in the current table or one of
+   *     its levels of detail.
+   */
+  reselect(udf, scale) {
+    const selection = this.state.selection;
+    const levels = [this.state.tableId,
+                    ...this.detailLevels(udf).map(descriptor => descriptor.id)];
+    if (!selection || !levels.includes(selection.tableId) ||
+        !(selection.key in this.tables[selection.tableId].data)) {
+      return null;
+    }
+    return this.describeEntry(selection.tableId, selection.key, udf, scale);
+  }
+
+  /**
+   * Describes an entry for the detail panel (see EpiViewTable.describe),
+   * adding the result of the cluster analysis, if any, to its message.
+   *
+   * @param {string} tableId Identifier of the entry's table.
+   * @param {string} key Key of the entry.
+   * @param {!Object<string, *>} udf The UDF shown on the map.
+   * @param {!EpiViewScale} scale The color scale shown on the map.
+   * @return {!Object<string, *>} The description, with "tableId".
+   */
+  describeEntry(tableId, key, udf, scale) {
+    const table = this.tables[tableId];
+    const description = table.describe(key, udf, scale);
+    const analysis = this.state.analysis;
+    if (analysis.statistic) {
+      const own = udf.compare && udf.compare.as === "split"
+                  ? {...udf, compare: null} : udf;
+      const result = table.computeClusters(own, analysis)
+                          .find(result => result.key === key);
+      description.message += `\n${describeCluster(result, analysis)}`;
+    }
+    return {...description, tableId: tableId};
+  }
+
+  componentWillUnmount() {
+    clearInterval(this.timer);
+    Linking.removeEventListener("url", this.openUrl);
+  }
+
+  /**
+   * Applies the query in a deep link, if it has one.
+   *
+   * @param {{url: string}|string} event The deep link, or an event holding
+   *     it.
+   */
+  openUrl(event) {
+    const url = typeof event === "string" ? event : event.url;
+    const { queryParams } = Linking.parse(url);
+    if (queryParams && Object.keys(queryParams).length !== 0) {
+      this.applyQuery(queryParams);
+    }
+  }
+
+  /**
+   * Applies a query from a deep link or preset, switching tables if needed.
+   * If the query's table isn't compiled yet, the query is applied once it is,
+   * since its dates may be relative to the table's latest date.
+   *
+   * @param {!Object<string, string>} params The query, from toQueryParams.
+   */
+  applyQuery(params) {
+    const id = getTable(params.table) ? params.table : this.state.tableId;
+    if (!this.tables[id]) {
+      this.pendingQuery = params;
+      this.selectTable(id);
+      return;
+    }
+    this.pendingQuery = null;
+    const { errors, tableId, region, ...udf } = fromQueryParams(
+      params, id => this.tables[id] ? this.tables[id].maxDate : null);
+    if (errors.length !== 0) {
+      Alert.alert("Some of the query couldn't be used", errors.join("\n"));
+    }
+    if (id !== this.state.tableId) {
+      this.selectTable(id);
+    }
+    if (region && this.map) {
+      this.map.animateToRegion(region);
+    }
+    clearInterval(this.timer);
+    this.setState(state => ({
+      ...udf,
+      ...this.fitNumerators(udf.mode || state.mode,
+                            udf.numerator || state.numerator,
+                            "compare" in udf ? udf.compare : state.compare),
+      presetList: false,
+      timeLapse: null,
+      playing: false,
       recompute: true,
-      refDate: refDate,
-      date: new Date(this.table.maxDate),
+    }));
+  }
+
+  /**
+   * Replaces the numerators of a UDF and of what it's compared with by those
+   * that a mode takes (see EpiViewEntry's numeratorFor), e.g. when switching
+   * to a windowed mode.
+   *
+   * @param {string} mode The mode, a key of MODES.
+   * @param {string} numerator The numerator of the UDF.
+   * @param {?Object<string, *>} compare What the UDF is compared with, as in
+   *     compareUdf, or null.
+   * @return {!Object<string, *>} The state to set: {"numerator", "compare"}.
+   */
+  fitNumerators(mode, numerator, compare) {
+    return {
+      numerator: numeratorFor(mode, numerator),
+      compare: compare && compare.numerator
+               ? {...compare, numerator: numeratorFor(mode, compare.numerator)}
+               : compare,
+    };
+  }
+
+  /**
+   * Converts the current query, including the map region, to URL query
+   * parameters.
+   *
+   * @return {!Object<string, string>} The query parameters.
+   */
+  currentParams() {
+    return toQueryParams({...this.state, region: this.region},
+                         this.table.maxDate);
+  }
+
+  /**
+   * Describes the current UDF as a rule for the watchlist, evaluated on the
+   * latest date of data. A reference date is kept relative to the date, so
+   * that the rule covers the same number of days as the map.
+   *
+   * @return {!Object<string, *>} The rule's "label" and "params".
+   */
+  currentRule() {
+    const udf = this.state;
+    const mode = MODES[udf.mode];
+    const params = {};
+    for (const [key, value] of Object.entries(this.currentParams())) {
+      if (["mode", "formula", "numerator", "denominator", "window", "missing",
+           "staleness"].includes(key)) {
+        params[key] = value;
+      }
+    }
+    let label = udf.mode === "formula" ? `(${udf.formula})`
+                : `${udf.numerator} ${udf.denominator}` +
+                  (udf.mode !== "on" ? ` ${udf.mode}` : "");
+    if (mode.window) {
+      label += ` (${udf.window} days)`;
+    }
+    if (mode.refDate) {
+      const days = daysBetween(udf.date, udf.refDate);
+      params.refDate = String(days);
+      label += ` (last ${1 - days} days)`;
+    }
+    return {label: label, params: params};
+  }
+
+  /**
+   * Watches the selected entry under a rule, asking for permission to send
+   * notifications, and checks it right away.
+   *
+   * @param {!Rule} rule The rule, as in EpiViewWatchlist.
+   */
+  async watchSelection(rule) {
+    const { tableId, key, title } = this.state.selection;
+    await this.loadingWatchlist;
+    await this.watchlist.add(tableId, key, title, rule);
+    await Permissions.askAsync(Permissions.NOTIFICATIONS).catch(() => {});
+    await this.checkWatches(tableId, this.tables[tableId]);
+  }
+
+  /**
+   * Checks the watchlist against a table that may have new data, sending a
+   * local notification for each alert raised. Alerts are also kept in the
+   * watchlist's history, so notifications that can't be sent aren't lost.
+   * Never rejects, since it's called whenever a table loads: a check that
+   * fails, e.g. because the watchlist can't be saved, raises no alerts.
+   *
+   * @param {string} id Identifier of the table.
+   * @param {!EpiViewTable} table The compiled table.
+   */
+  async checkWatches(id, table) {
+    let alerts;
+    try {
+      await this.loadingWatchlist;
+      alerts = await this.watchlist.check(id, table);
+    }
+    catch (e) {
+      return;
+    }
+    for (const alert of alerts) {
+      Notifications.presentLocalNotificationAsync({
+        title: alert.title,
+        body: alert.message,
+      }).catch(() => {});
+    }
+  }
+
+  /**
+   * Shares the current query as a deep link.
+   */
+  shareLink() {
+    Share.share({message: Linking.makeUrl("map", this.currentParams())});
+  }
+
+  /**
+   * Opens the time-lapse controls for the current UDF, spanning every date
+   * for which its window lies within the table's data. Every frame, on the
+   * table and its levels of detail, is evaluated in chunks up front and kept
+   * in their result caches until the time-lapse is closed, so that fitting
+   * the color scale and showing each frame only read cached results. The
+   * scale is fitted to the whole range so that every frame shares it.
+   */
+  async openTimeLapse() {
+    this.setState({preparingTimeLapse: true});
+    const udf = this.state;
+    try {
+      const range = udfRange(this.table.prepareUdf(udf));
+      const span = daysBetween(range.from, udf.date);
+      const ahead = daysBetween(udf.date, range.to);
+      const from = addDays(this.table.minDate, Math.max(span, 0));
+      const to = addDays(this.table.maxDate, -Math.max(ahead, 0));
+      for (const descriptor of this.detailLevels(udf)) {
+        await this.tables[descriptor.id].evaluateRangeAsync(udf, from, to);
+      }
+      const scale = await this.table.computeScaleAsync(udf, udf.style, from,
+                                                       to);
+      this.setState({
+        timeLapse: {from: from, to: to, scale: scale},
+        scale: scale,
+        preparingTimeLapse: false,
+      });
+      this.showFrame(from, scale);
+    }
+    catch (e) {
+      Alert.alert("Unable to compute time-lapse", String(e));
+      this.setState({preparingTimeLapse: false});
+    }
+  }
+
+  /**
+   * Shows one frame of the time-lapse, moving the UDF's window to end on the
+   * given date.
+   *
+   * @param {!Date} date The last date of the frame's window.
+   * @param {!EpiViewScale=} scale The time-lapse's color scale.
+   */
+  showFrame(date, scale = this.state.timeLapse.scale) {
+    const udf = shiftUdf(this.state, daysBetween(this.state.date, date));
+    this.shown = {table: this.table, udf: udf, scale: scale};
+    this.setState({
+      refDate: udf.refDate,
+      date: udf.date,
+      ...this.mapPolygons(udf, scale),
+      selection: this.reselect(udf, scale),
     });
   }
 
-  render() {
-    // Queue a recompute, if needed.
-    if (this.state.recompute) {
-      setTimeout(() => {
-        this.setState({
-          polygons: this.table.computePolygons(this.state),
-          recompute: false,
-        });
-      }, 100);
+  /**
+   * Plays the time-lapse from the current date, or from the start if it has
+   * already reached the end.
+   */
+  playTimeLapse() {
+    if (this.state.date >= this.state.timeLapse.to) {
+      this.showFrame(this.state.timeLapse.from);
+    }
+    clearInterval(this.timer);
+    this.timer = setInterval(() => {
+      const next = addDays(this.state.date, 1);
+      if (next > this.state.timeLapse.to) {
+        this.pauseTimeLapse();
+        return;
+      }
+      this.showFrame(next);
+    }, FRAME_INTERVAL);
+    this.setState({playing: true});
+  }
+
+  /**
+   * Pauses the time-lapse on the current frame.
+   */
+  pauseTimeLapse() {
+    clearInterval(this.timer);
+    this.setState({playing: false});
+  }
+
+  /**
+   * Closes the time-lapse controls and returns to the usual color scale.
+   */
+  closeTimeLapse() {
+    clearInterval(this.timer);
+    for (const table of Object.values(this.tables)) {
+      table.reserveResults(0);
+    }
+    this.setState({timeLapse: null, playing: false, recompute: true});
+  }
+
+  /**
+   * Switches to a data table, keeping the numerator, denominator, and dates
+   * where the table supports them and re-centering the map on its region.
+   * The dates are reset to the last week of data when the table first loads.
+   * Dates may stay as far past the table's data as can be projected.
+   *
+   * @param {string} id Identifier of the table to switch to.
+   */
+  selectTable(id) {
+    const descriptor = getTable(id);
+    const table = this.tables[id] || this.table_blank;
+    const resetDates = this.table === this.table_blank &&
+                       table !== this.table_blank;
+    this.table = table;
+
+    const values = options => options.map(option => option.value);
+    const numerators = values(descriptor.numerators);
+    const denominators = values(descriptor.denominators);
+    let { refDate, date } = this.state;
+    if (resetDates) {
+      refDate = new Date(table.maxDate);
+      refDate.setDate(refDate.getDate() - 7);
+      date = new Date(table.maxDate);
     }
+    const clamp = d => new Date(Math.min(Math.max(d, table.minDate),
+                                         addDays(table.maxDate, MAX_HORIZON)));
+    if (this.map && id !== this.state.tableId) {
+      this.map.animateToRegion(descriptor.region);
+    }
+    // Compare with the same metric if the other isn't in the new table.
+    const compare = this.state.compare && {
+      ...this.state.compare,
+      numerator: numerators.includes(this.state.compare.numerator)
+                 ? this.state.compare.numerator : null,
+      denominator: denominators.includes(this.state.compare.denominator)
+                   ? this.state.compare.denominator : null,
+    };
+    this.setState({
+      tableId: id,
+      ...this.fitNumerators(this.state.mode,
+                            numerators.includes(this.state.numerator)
+                            ? this.state.numerator : numerators[0],
+                            compare),
+      denominator: denominators.includes(this.state.denominator)
+                   ? this.state.denominator : denominators[0],
+      refDate: clamp(refDate),
+      date: clamp(date),
+      polygons: table === this.table_blank ? [] : this.state.polygons,
+      comparePolygons: table === this.table_blank ? []
+                       : this.state.comparePolygons,
+      loadError: this.loadErrors[id] || null,
+      recompute: table !== this.table_blank,
+    });
+  }
+
+  render() {
+    // Find the table of the selected entry, which may be a level of detail.
+    const selectionTable = this.state.selection &&
+                           this.tables[this.state.selection.tableId];
 
     // Create picker components.
+    const descriptor = getTable(this.state.tableId);
+    const split = this.state.compare && this.state.compare.as === "split";
+    const highlight = this.state.selection &&
+      `${this.state.selection.tableId}:${this.state.selection.key}`;
+    const tablePicker =
+      <Picker selectedValue={this.state.tableId}
+              style={{ width: 180 }}
+              onValueChange={value => this.selectTable(value)}>
+        {listTables().map(table =>
+          <Picker.Item key={table.id} label={table.name} value={table.id} />
+        )}
+      </Picker>;
     const numPicker =
       <Picker selectedValue={this.state.numerator}
               style={{ width: 180 }}
-              onValueChange={(value, index) => {
-                this.table = index < 4 ? this.table_us : this.table_la;
-                this.setState({numerator: value, recompute: true});
-              }}>
-        <Picker.Item label="U.S. Cases"
-                     value="cases (U.S.)" />
-        <Picker.Item label="U.S. Daily new cases"
-                     value="daily new cases (U.S.)" />
-        <Picker.Item label="U.S. Deaths"
-                     value="deaths (U.S.)" />
-        <Picker.Item label="U.S. Daily new deaths"
-                     value="daily new deaths (U.S.)" />
-        <Picker.Item label="L.A. Cases"
-                     value="cases (L.A.)" />
-        <Picker.Item label="L.A. Daily new cases"
-                     value="daily new cases (L.A.)" />
+              onValueChange={value =>
+                this.setState({numerator: value, recompute: true})}>
+        {descriptor.numerators.filter(option =>
+          numeratorFor(this.state.mode, option.value) === option.value
+        ).map(option =>
+          <Picker.Item key={option.value} label={option.label}
+                       value={option.value} />
+        )}
       </Picker>;
     const denPicker =
       <Picker selectedValue={this.state.denominator}
               style={{ width: 180 }}
-              onValueChange={(value, index) =>
+              onValueChange={value =>
                 this.setState({denominator: value, recompute: true})}>
-        <Picker.Item label="Total" value="total" />
-        <Picker.Item label="Per case" value="per case" />
-        <Picker.Item label="Per 100k pop." value="per 100k population" />
-        <Picker.Item label="Per sq. mi." value="per sq. mi." />
+        {descriptor.denominators.map(option =>
+          <Picker.Item key={option.value} label={option.label}
+                       value={option.value} />
+        )}
       </Picker>;
     const modePicker =
       <Picker selectedValue={this.state.mode}
               style={{ width: 150 }}
-              onValueChange={(value, index) =>
-                this.setState({mode: value, recompute: true})}>
-        <Picker.Item label="On" value="on" />
-        <Picker.Item label="Diff. btw." value="differenced between" />
-        <Picker.Item label="Avg." value="averaged" />
+              onValueChange={value => this.setState({
+                mode: value,
+                ...this.fitNumerators(value, this.state.numerator,
+                                      this.state.compare),
+                recompute: true,
+              })}>
+        {Object.entries(MODES).map(([value, mode]) =>
+          <Picker.Item key={value} label={mode.label} value={value} />
+        )}
       </Picker>;
+    const windowPicker =
+      <Picker selectedValue={this.state.window}
+              style={{ width: 120 }}
+              onValueChange={value =>
+                this.setState({window: value, recompute: true})}>
+        {[3, 7, 14, 28].map(days =>
+          <Picker.Item key={days} label={`${days} days`} value={days} />
+        )}
+      </Picker>;
+    const formulaInput =
+      <View style={{ width: 360 }}>
+        <TextInput defaultValue={this.state.formula}
+                   key={this.state.formula}
+                   style={styles.formula}
+                   autoCapitalize="none"
+                   autoCorrect={false}
+                   onEndEditing={e => {
+                     // Validate the formula before queueing a recompute.
+                     const formula = e.nativeEvent.text;
+                     try {
+                       new EpiViewFormula(formula, this.table.fields);
+                       this.setState({
+                         formula: formula,
+                         formulaError: null,
+                         recompute: true,
+                       });
+                     }
+                     catch (error) {
+                       this.setState({formula: formula, formulaError: error});
+                     }
+                   }} />
+        {this.state.formulaError &&
+          <Text style={styles.error}>{this.state.formulaError}</Text>
+        }
+      </View>;
     const refDatePicker =
       <DateTimePicker value={this.state.refDate}
                       minimumDate={this.table.minDate}
-                      maximumDate={this.table.maxDate}
+                      maximumDate={addDays(this.table.maxDate, MAX_HORIZON)}
                       onChange={(e, value) => {
                         if (value) {
                           this.setState({
@@ -119,7 +983,7 @@ export default class App extends React.Component {
     const datePicker =
       <DateTimePicker value={this.state.date}
                       minimumDate={this.table.minDate}
-                      maximumDate={this.table.maxDate}
+                      maximumDate={addDays(this.table.maxDate, MAX_HORIZON)}
                       onChange={(e, value) => {
                         if (value) {
                           this.setState({
@@ -136,39 +1000,215 @@ export default class App extends React.Component {
     // Create layout.
     return (
       <View style={styles.container}>
-        <MapView style={styles.map}
-                 initialRegion={this.state.region}>
-          {this.state.polygons}
-        </MapView>
-        {this.table == this.table_blank ? (
+        <View style={styles.map}
+              ref={view => this.snapshotView = view}
+              collapsable={false}>
+          <View style={styles.split}>
+            <MapView style={split ? styles.half : styles.map}
+                     ref={map => this.map = map}
+                     initialRegion={this.state.region}
+                     onRegionChangeComplete={this.changeRegion}>
+              <AreaLayer polygons={this.state.polygons}
+                         tableId={this.state.tableId}
+                         highlight={highlight}
+                         onSelect={this.select} />
+              <ClusterLayer outlines={this.state.outlines}
+                            onSelect={this.select} />
+            </MapView>
+            {split &&
+              // Follows the first map, rather than being moved itself.
+              <MapView style={styles.half}
+                       ref={map => this.compareMap = map}
+                       initialRegion={this.region}
+                       scrollEnabled={false}
+                       zoomEnabled={false}
+                       rotateEnabled={false}
+                       pitchEnabled={false}>
+                <AreaLayer polygons={this.state.comparePolygons}
+                           tableId={this.state.tableId}
+                           highlight={highlight}
+                           onSelect={this.select} />
+              </MapView>
+            }
+          </View>
+          {this.state.scale &&
+            <Text style={styles.caption}>
+              {describeUdf(this.state)}
+              {this.table.projects(this.state) &&
+                ` (projected by ${FORECAST_MODELS[this.state.forecast.model]
+                                    .short})`}
+            </Text>
+          }
+          {this.state.scale &&
+            <Legend scale={this.state.scale}
+                    noData={this.state.polygons.some(p => p.noData) ||
+                            this.state.comparePolygons.some(p => p.noData)}
+                    clusters={Object.keys(CLUSTERS).filter(cluster =>
+                      this.state.outlines.some(o => o.cluster === cluster))}
+                    style={styles.legend} />
+          }
+        </View>
+        {this.table != this.table_blank &&
+          <View style={styles.mapActions}>
+            <Button title="Style"
+                    onPress={() => this.setState({stylePanel: true})} />
+            <Button title="Analyze"
+                    onPress={() => this.setState({analysisPanel: true})} />
+            <Button title="Compare"
+                    onPress={() => this.setState({comparePanel: true})} />
+            <Button title="Export"
+                    onPress={() => this.setState({exportMenu: true})} />
+            <Button title="Saved"
+                    onPress={() => this.setState({presetList: true})} />
+            <Button title="Watch"
+                    onPress={() => this.setState({watchList: true})} />
+            <Button title="Rank"
+                    disabled={this.shown === null || this.state.recompute}
+                    onPress={() => this.setState({
+                      ranking: this.table.computeRanking(this.shown.udf),
+                    })} />
+            <Button title="Report"
+                    onPress={() =>
+                      this.setState({report: validate(this.table)})} />
+            <Button title="Import"
+                    onPress={() => this.setState({importWizard: true})} />
+          </View>
+        }
+        {this.state.selection &&
+          <DetailPanel entry={selectionTable.data[this.state.selection.key]}
+                       message={this.state.selection.message}
+                       fields={selectionTable.fields}
+                       udf={this.state}
+                       width={Dimensions.get("window").width / 2}
+                       style={styles.detail}
+                       onClose={() => this.setState({selection: null})} />
+        }
+        <StylePanel visible={this.state.stylePanel}
+                    style={this.state.style}
+                    missing={this.state.missing}
+                    onChange={style => this.setState({style: style})}
+                    onChangeMissing={missing =>
+                      this.setState({missing: missing})}
+                    onClose={() => this.setState({
+                      stylePanel: false,
+                      recompute: true,
+                    })} />
+        <AnalysisPanel visible={this.state.analysisPanel}
+                       analysis={this.state.analysis}
+                       canSmooth={canSmooth(this.state)}
+                       forecast={this.state.forecast}
+                       onChange={analysis =>
+                         this.setState({analysis: analysis})}
+                       onChangeForecast={forecast =>
+                         this.setState({forecast: forecast})}
+                       onClose={() => this.setState({
+                         analysisPanel: false,
+                         recompute: true,
+                       })} />
+        <ComparePanel visible={this.state.comparePanel}
+                      compare={this.state.compare}
+                      mode={this.state.mode}
+                      descriptor={descriptor}
+                      fields={this.table.fields}
+                      onChange={compare => this.setState({compare: compare})}
+                      onClose={() => this.setState({
+                        comparePanel: false,
+                        recompute: true,
+                      })} />
+        <ExportMenu visible={this.state.exportMenu}
+                    name={`epiview-${this.state.tableId}-` +
+                          formatDate(this.shown ? this.shown.udf.date
+                                                : this.state.date)}
+                    table={this.shown ? this.shown.table : this.table}
+                    levels={this.shownLevelTables()}
+                    udf={this.shown && this.shown.udf}
+                    scale={this.shown && !this.state.recompute
+                           ? this.shown.scale : null}
+                    snapshot={() => this.snapshotView}
+                    onClose={() => this.setState({exportMenu: false})} />
+        {this.table != this.table_blank &&
+          <PresetList visible={this.state.presetList}
+                      presets={this.presets}
+                      params={this.currentParams()}
+                      onOpen={params => this.applyQuery(params)}
+                      onShare={() => this.shareLink()}
+                      onClose={() => this.setState({presetList: false})} />
+        }
+        {this.table != this.table_blank &&
+          <WatchList visible={this.state.watchList}
+                     watchlist={this.watchlist}
+                     selection={this.state.selection}
+                     current={this.currentRule()}
+                     onWatch={rule => this.watchSelection(rule)}
+                     onClose={() => this.setState({watchList: false})} />
+        }
+        <RankingList ranking={this.state.ranking}
+                     caption={this.shown ? describeUdf(this.shown.udf) : ""}
+                     scale={this.state.scale}
+                     onSelect={key => this.showEntry(key)}
+                     onClose={() => this.setState({ranking: null})} />
+        <ValidationReport report={this.state.report}
+                          onClose={() => this.setState({report: null})} />
+        <ImportWizard visible={this.state.importWizard}
+                      imports={this.imports.items}
+                      onImport={(spec, contents) =>
+                        this.importTable(spec, contents)}
+                      onDelete={id => this.deleteImport(id)}
+                      onClose={() => this.setState({importWizard: false})} />
+        {this.table == this.table_blank && this.state.loadError ? (
+          <View style={styles.toolbar}>
+            <Text>Unable to download data. Check your connection and restart.</Text>
+            <Text style={styles.error}>{this.state.loadError}</Text>
+          </View>
+        ) : this.table == this.table_blank ? (
           <View style={styles.toolbar}>
             <ActivityIndicator size="large" color="#ee6e73" />
             <Text>Downloading data...</Text>
           </View>
-        ) : this.state.recompute ? (
+        ) : this.state.recompute || this.state.preparingTimeLapse ? (
           <View style={styles.toolbar}>
             <ActivityIndicator size="large" color="#ee6e73" />
             <Text>Computing...</Text>
           </View>
+        ) : this.state.timeLapse ? (
+          <View style={styles.toolbar}>
+            <TimeLapse from={this.state.timeLapse.from}
+                       to={this.state.timeLapse.to}
+                       date={this.state.date}
+                       playing={this.state.playing}
+                       onPlay={() => this.playTimeLapse()}
+                       onPause={() => this.pauseTimeLapse()}
+                       onScrub={date => this.showFrame(date)}
+                       onClose={() => this.closeTimeLapse()} />
+          </View>
         ) : (
           <View style={styles.toolbar}>
             <View style={styles.toolbarRow}>
-              {numPicker}
-              {denPicker}
+              {tablePicker}
+              {modePicker}
             </View>
             <View style={styles.toolbarRow}>
-              {modePicker}
-              {this.state.mode != "on" &&
+              {this.state.mode == "formula" ? formulaInput : (
+                <>
+                  {numPicker}
+                  {denPicker}
+                </>
+              )}
+            </View>
+            <View style={styles.toolbarRow}>
+              {MODES[this.state.mode].window && windowPicker}
+              {MODES[this.state.mode].refDate &&
                 <Button title={this.state.refDate.toLocaleDateString()}
                         onPress={() => this.setState({pickingRefDate: true})} />
               }
               {this.state.pickingRefDate && refDatePicker}
-              {this.state.mode != "on" &&
+              {MODES[this.state.mode].refDate &&
                 <Text> - </Text>
               }
               <Button title={this.state.date.toLocaleDateString()}
                       onPress={() => this.setState({pickingDate: true})} />
               {this.state.pickingDate && datePicker}
+              <Button title="▶" onPress={() => this.openTimeLapse()} />
             </View>
           </View>
         )}
@@ -183,10 +1223,39 @@ const styles = StyleSheet.create({
   },
   map: {
     width: Dimensions.get("window").width,
-    height: Dimensions.get("window").height - 130,
+    height: Dimensions.get("window").height - 195,
+  },
+  split: {
+    flexDirection: "row",
+  },
+  half: {
+    width: Dimensions.get("window").width / 2,
+    height: Dimensions.get("window").height - 195,
+  },
+  caption: {
+    position: "absolute",
+    top: 8,
+    left: 8,
+    right: 80,
+    padding: 4,
+    fontSize: 12,
+    backgroundColor: "rgba(255, 255, 255, 0.85)",
+  },
+  legend: {
+    position: "absolute",
+    left: 8,
+    bottom: 8,
+  },
+  mapActions: {
+    position: "absolute",
+    top: 8,
+    right: 8,
+  },
+  detail: {
+    bottom: 195,
   },
   toolbar: {
-    height: 130,
+    height: 195,
     alignItems: "center",
     justifyContent: "center",
   },
@@ -196,4 +1265,15 @@ const styles = StyleSheet.create({
     alignItems: "center",
     justifyContent: "center",
   },
+  formula: {
+    height: 36,
+    paddingHorizontal: 8,
+    borderColor: "#cccccc",
+    borderWidth: 1,
+    backgroundColor: "#ffffff",
+  },
+  error: {
+    color: "#cc0000",
+    fontSize: 12,
+  },
 });
@@ -0,0 +1,178 @@
+/*
+EpiView
+EpiViewCli.test.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+import path from "path";
+
+import { describeError, localFetch, parseArgs, runQuery } from "../bin/EpiViewCli.js";
+import { parseCsv, readCsvResponse } from "../struct/EpiViewCsv.js";
+
+const FIXTURES = path.join(__dirname, "fixtures");
+
+/**
+ * Runs a query against the fixtures.
+ */
+function query(argv) {
+  return runQuery(parseArgs(["query", "--data", FIXTURES, ...argv]));
+}
+
+describe("parseArgs", () => {
+  test("reads query parameters and output options", () => {
+    const args = parseArgs([
+      "query", "--table", "us", "--numerator=daily new cases",
+      "--mode", "averaged", "--from", "2020-05-01", "--to", "2020-05-14",
+      "--format", "geojson", "--output", "out.geojson",
+    ]);
+    expect(args).toEqual({
+      command: "query",
+      params: {
+        table: "us",
+        numerator: "daily new cases",
+        mode: "averaged",
+        refDate: "2020-05-01",
+        date: "2020-05-14",
+      },
+      format: "geojson",
+      output: "out.geojson",
+      data: null,
+    });
+  });
+
+  test("rejects unknown commands, options, and formats", () => {
+    expect(() => parseArgs(["plot"])).toThrow("unknown command");
+    expect(() => parseArgs(["query", "--colour", "red"]))
+      .toThrow("unknown option");
+    expect(() => parseArgs(["query", "--table"])).toThrow("needs a value");
+    expect(() => parseArgs(["query", "--format", "xlsx"]))
+      .toThrow("unknown format");
+  });
+
+  test("asks for help", () => {
+    expect(parseArgs([]).command).toBe("help");
+    expect(parseArgs(["query", "--help"]).command).toBe("help");
+  });
+});
+
+describe("localFetch", () => {
+  test("reads the local copy of a URL", async () => {
+    const res = await localFetch(FIXTURES)(
+      "https://example.com/data/us-counties.csv?token=1");
+    expect(res.ok).toBe(true);
+    expect(await res.text()).toMatch(/^date,county,state,fips/);
+  });
+
+  test("streams the local copy", async () => {
+    const res = await localFetch(FIXTURES)(
+      "https://example.com/data/us-counties.csv");
+    const rows = [];
+    await readCsvResponse(res, row => rows.push(row));
+    expect(rows).toEqual(parseCsv(await res.text()));
+  });
+
+  test("fails without a local copy", async () => {
+    await expect(localFetch(FIXTURES)("https://example.com/missing.csv"))
+      .rejects.toMatch("no local copy");
+  });
+});
+
+describe("runQuery", () => {
+  test("writes one .csv row per area", async () => {
+    const rows = parseCsv(await query([
+      "--table", "us", "--numerator", "daily new cases",
+      "--denominator", "total", "--mode", "averaged",
+      "--from", "2020-05-02", "--to", "2020-05-03",
+    ]));
+    const values = {};
+    for (const row of rows) {
+      values[row.key] = +row.value;
+    }
+    expect(values).toEqual({
+      "06037": 25,
+      "06059": 2.5,
+      "36000": 75,
+      "53033": 5,
+    });
+  });
+
+  test("defaults to the latest date", async () => {
+    const rows = parseCsv(await query([
+      "--table", "la", "--denominator", "total",
+    ]));
+    const pasadena = rows.find(row => row.name === "Pasadena");
+    expect(+pasadena.value).toBe(415);
+  });
+
+  test("defaults to daily new cases in windowed modes", async () => {
+    const rows = parseCsv(await query([
+      "--table", "us", "--denominator", "total", "--mode", "rolling sum",
+      "--window", "2", "--date", "2020-05-03",
+    ]));
+    expect(rows.find(row => row.key === "06037").value).toBe("50");
+  });
+
+  test("rolls up derived tables", async () => {
+    const rows = parseCsv(await query([
+      "--table", "us-states", "--denominator", "total",
+      "--date", "2020-05-03",
+    ]));
+    expect(rows.find(row => row.key === "06").value).toBe("175");
+  });
+
+  test("writes GeoJSON", async () => {
+    const geojson = JSON.parse(await query([
+      "--table", "us", "--date", "2020-05-03", "--format", "geojson",
+    ]));
+    expect(geojson.features).toHaveLength(4);
+    expect(geojson.name).toMatch(/^cases per 100k population on /);
+  });
+
+  test("reports every problem with the query", async () => {
+    await expect(query(["--table", "us", "--numerator", "hugs",
+                        "--mode", "averaged"]))
+      .rejects.toBe("unknown numerator \"hugs\"\n" +
+                    "--from is required in averaged mode");
+    await expect(query(["--table", "us", "--numerator", "cases",
+                        "--mode", "rolling sum"]))
+      .rejects.toBe("numerator \"cases\" can't be used in mode " +
+                    "\"rolling sum\"");
+    await expect(query(["--table", "us", "--date", "2020-13-45"]))
+      .rejects.toBe("invalid date \"2020-13-45\"");
+    await expect(query(["--table", "us", "--date", "2020-02-30"]))
+      .rejects.toBe("invalid date \"2020-02-30\"");
+    await expect(query(["--table", "mars"])).rejects.toMatch("unknown table");
+    await expect(query([])).rejects.toMatch("--table is required");
+  });
+});
+
+describe("missing assets", () => {
+  test("don't keep tables from being listed", () => {
+    const asset = path.join(FIXTURES, "us-population.json");
+    jest.resetModules();
+    jest.doMock(asset, () => {
+      throw new Error("loaded");
+    });
+    const cli = require("../bin/EpiViewCli.js");
+    expect(cli.listTablesText()).toMatch(/^us: U\.S\. Counties\n/);
+    jest.dontMock(asset);
+  });
+
+  test("are named", () => {
+    const required = new Error(
+      "Cannot find module '../assets/us-data/co-est2019-alldata.json'");
+    required.code = "MODULE_NOT_FOUND";
+    const imported = new Error(
+      "Cannot find module '/epiview/assets/us-data/co-est2019-alldata.json' " +
+      "imported from /epiview/struct/EpiViewTable_COVID19_UnitedStates.js");
+    imported.code = "ERR_MODULE_NOT_FOUND";
+    for (const error of [required, imported]) {
+      expect(describeError(error)).toBe(
+        "missing bundled asset assets/us-data/co-est2019-alldata.json; see " +
+        "\"Command line\" in README.md for how to get it");
+    }
+    expect(describeError("unknown table \"mars\""))
+      .toBe("unknown table \"mars\"");
+  });
+});
@@ -0,0 +1,263 @@
+/*
+EpiView
+EpiViewClusters.test.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+import { canSmooth, describeCluster, detectClusters, findNeighbors, getisOrd, localMoran, neighborsOf, smoothRates } from "../struct/EpiViewClusters.js";
+import EpiViewEntry from "../struct/EpiViewEntry.js";
+import EpiViewTable from "../struct/EpiViewTable.js";
+
+/**
+ * Makes the ring of a unit square with its lower left corner at a point.
+ */
+function square(x, y) {
+  return [[x, y], [x + 1, y], [x + 1, y + 1], [x, y + 1], [x, y]]
+    .map(([longitude, latitude]) => ({latitude, longitude}));
+}
+
+/**
+ * Makes the rings of a grid of unit squares, row by row.
+ */
+function grid(size) {
+  const rings = [];
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      rings.push([square(x, y)]);
+    }
+  }
+  return rings;
+}
+
+/**
+ * Makes a 5x5 table of areas of equal population whose cases are given row
+ * by row, reported on 5/1/2020.
+ */
+function makeTable(cases, population = 1e5) {
+  const table = new EpiViewTable();
+  for (const [i, [ring]] of grid(5).entries()) {
+    const entry = new EpiViewEntry(`Area ${i}`, "Grid");
+    entry.population = Array.isArray(population) ? population[i] : population;
+    entry.area = 1;
+    entry.bounds = [ring];
+    entry.counts = {"2020-05-01": {cases: cases[i]}};
+    table.data[String(i)] = entry;
+  }
+  table.reindex();
+  return table;
+}
+
+/**
+ * Values of a 5x5 grid that are 100 in its lower left 2x2 block and around
+ * 10 elsewhere.
+ */
+const BLOCK = Array.from({length: 25}, (_, i) =>
+  i % 5 < 2 && i < 10 ? 100 : 10 + i % 3);
+
+const UDF = {
+  numerator: "cases",
+  denominator: "per 100k population",
+  mode: "on",
+  date: new Date(2020, 4, 1),
+};
+
+const GI = {statistic: "getis-ord", significance: "0.05", smooth: false};
+
+describe("findNeighbors", () => {
+  test("links areas that share a point", () => {
+    const neighbors = findNeighbors(grid(3));
+    expect(neighbors[4]).toEqual([0, 1, 2, 3, 5, 6, 7, 8]);
+    expect(neighbors[0]).toEqual([1, 3, 4]);
+    expect(neighbors[8]).toEqual([4, 5, 7]);
+  });
+
+  test("matches points to within rounding", () => {
+    const a = square(0, 0);
+    const b = square(1, 0).map(point => ({...point,
+                                          longitude: point.longitude + 1e-9}));
+    expect(findNeighbors([[a], [b], [square(5, 5)]]))
+      .toEqual([[1], [0], []]);
+  });
+
+  test("links enclaves through holes", () => {
+    const outer = [[-1, -1], [2, -1], [2, 2], [-1, 2], [-1, -1]]
+      .map(([longitude, latitude]) => ({latitude, longitude}));
+    expect(findNeighbors([[outer, square(0, 0)], [square(0, 0)]]))
+      .toEqual([[1], [0]]);
+  });
+
+  test("is cached until the table is reindexed", () => {
+    const table = makeTable(BLOCK);
+    const neighbors = neighborsOf(table);
+    expect(neighbors[12]).toHaveLength(8);
+    expect(neighborsOf(table)).toBe(neighbors);
+    table.reindex();
+    expect(neighborsOf(table)).not.toBe(neighbors);
+    expect(neighborsOf(table)).toEqual(neighbors);
+  });
+});
+
+describe("smoothRates", () => {
+  test("shrinks rates towards the mean, the more so in small areas", () => {
+    const events = Float64Array.of(1, 100, 200, 50);
+    const populations = Float64Array.of(100, 100000, 100000, 100000);
+    const smoothed = smoothRates(events, populations);
+    const mean = 351 / 300100;
+    // The small area's rate of 1% comes close to the mean.
+    expect(smoothed[0]).toBeLessThan(0.002);
+    expect(smoothed[0]).toBeGreaterThan(mean);
+    // The large areas' rates barely change.
+    expect(smoothed[2]).toBeCloseTo(0.002, 4);
+    expect(smoothed[3]).toBeCloseTo(0.0005, 4);
+  });
+
+  test("leaves out areas without events or population", () => {
+    const smoothed = smoothRates(Float64Array.of(NaN, 5, 5),
+                                 Float64Array.of(100, 0, 100));
+    expect(smoothed[0]).toBeNaN();
+    expect(smoothed[1]).toBeNaN();
+    expect(smoothed[2]).toBe(0.05);
+  });
+
+  test("gives every area the mean when rates vary no more than by chance",
+       () => {
+    const smoothed = smoothRates(Float64Array.of(10, 12),
+                                 Float64Array.of(1000, 1000));
+    expect(Array.from(smoothed)).toEqual([0.011, 0.011]);
+  });
+});
+
+describe("statistics", () => {
+  // Four areas in a row.
+  const line = [[1], [0, 2], [1, 3], [2]];
+  const values = Float64Array.of(1, 2, 3, 4);
+
+  test("computes Getis-Ord Gi*", () => {
+    const z = getisOrd(values, line);
+    expect(z[0]).toBeCloseTo(-2 / Math.sqrt(1.25 * 4 / 3));
+    expect(z[3]).toBeCloseTo(-z[0]);
+  });
+
+  test("computes local Moran's I", () => {
+    const z = localMoran(values, line);
+    // I = 0.6 against E[I] = -1/3, with Var[I] = (4 - 1.64) / 3 - 1/9.
+    expect(z[0]).toBeCloseTo((0.6 + 1 / 3) / Math.sqrt(2.36 / 3 - 1 / 9));
+  });
+
+  test("leaves out areas without values or neighbors", () => {
+    const z = getisOrd(Float64Array.of(1, NaN, 3, 4, 5),
+                       [[1], [0, 2], [1, 3], [2], []]);
+    expect(z[0]).toBeNaN();
+    expect(z[1]).toBeNaN();
+    expect(z[2]).not.toBeNaN();
+    expect(z[4]).toBeNaN();
+  });
+
+  test("has no clusters when every value is the same", () => {
+    const same = Float64Array.of(5, 5, 5, 5);
+    expect(Array.from(getisOrd(same, line)).every(Number.isNaN)).toBe(true);
+    expect(Array.from(localMoran(same, line)).every(Number.isNaN)).toBe(true);
+  });
+});
+
+describe("detectClusters", () => {
+  const neighbors = findNeighbors(grid(5));
+
+  test("finds hot and cold spots", () => {
+    const { z, clusters } = detectClusters(Float64Array.from(BLOCK),
+                                           neighbors, GI);
+    expect(z[0]).toBeGreaterThan(1.96);
+    expect(clusters[0]).toBe("high");
+    expect(clusters[24]).toBe(null);
+    expect(clusters.filter(cluster => cluster === "high").length)
+      .toBeGreaterThanOrEqual(4);
+  });
+
+  test("finds outliers", () => {
+    const spike = Float64Array.from({length: 25}, (_, i) =>
+      i === 12 ? 100 : 10 + i % 3);
+    const { clusters } = detectClusters(spike, neighbors,
+                                        {...GI, statistic: "moran"});
+    expect(clusters[12]).toBe("high outlier");
+  });
+
+  test("tests at the chosen significance", () => {
+    const { z, clusters } = detectClusters(Float64Array.from(BLOCK),
+                                           neighbors,
+                                           {...GI, significance: "0.001"});
+    for (const [i, cluster] of clusters.entries()) {
+      expect(cluster !== null).toBe(Math.abs(z[i]) > 3.290527);
+    }
+  });
+
+  test("rejects unknown statistics", () => {
+    expect(() => detectClusters(Float64Array.from(BLOCK), neighbors,
+                                {...GI, statistic: "geary"}))
+      .toThrow("unknown statistic");
+  });
+});
+
+describe("EpiViewTable", () => {
+  test("detects clusters in the values of a UDF", () => {
+    const results = makeTable(BLOCK).computeClusters(UDF, GI);
+    expect(results[0]).toMatchObject({key: "0", value: 100,
+                                      smoothed: false, cluster: "high"});
+  });
+
+  test("smooths rates by population", () => {
+    // The areas at the top right have 1/100 the population, so their high
+    // rates are mostly chance.
+    const population = Array.from({length: 25}, (_, i) =>
+      i % 5 >= 3 && i >= 15 ? 1000 : 1e5);
+    const cases = Array.from({length: 25}, (_, i) =>
+      population[i] === 1000 ? 1 : 10 + i % 3 * 20);
+    const table = makeTable(cases, population);
+    const raw = table.computeClusters(UDF, GI);
+    expect(raw[24].cluster).toBe("high");
+    const smoothed = table.computeClusters(UDF, {...GI, smooth: true});
+    expect(smoothed[24].smoothed).toBe(true);
+    expect(smoothed[24].value).toBeLessThan(raw[24].value);
+    expect(smoothed[24].cluster).toBe(null);
+  });
+
+  test("only smooths counts per 100k population", () => {
+    expect(canSmooth(UDF)).toBe(true);
+    expect(canSmooth({...UDF, denominator: "total"})).toBe(false);
+    expect(canSmooth({...UDF, mode: "percent change"})).toBe(false);
+    expect(canSmooth({...UDF, compare: {as: "ratio"}})).toBe(false);
+    const results = makeTable(BLOCK).computeClusters(
+      {...UDF, denominator: "total"}, {...GI, smooth: true});
+    expect(results[0]).toMatchObject({value: 100, smoothed: false});
+  });
+
+  test("outlines the areas in clusters", () => {
+    const table = makeTable(BLOCK);
+    const results = table.computeClusters(UDF, GI);
+    const outlines = table.computeOutlines(UDF, GI);
+    expect(outlines.map(outline => outline.entry)).toEqual(
+      results.filter(result => result.cluster !== null)
+             .map(result => result.key));
+    expect(outlines[0]).toMatchObject({key: "0-0", cluster: "high"});
+    expect(outlines[0].coordinates).toBe(table.data["0"].bounds[0]);
+
+    const view = {band: 3, box: {minLatitude: 3.5, maxLatitude: 5,
+                                 minLongitude: 3.5, maxLongitude: 5}};
+    expect(table.computeOutlines(UDF, GI, view)).toEqual([]);
+  });
+});
+
+describe("describeCluster", () => {
+  test("describes the result of an area", () => {
+    expect(describeCluster({value: 100, smoothed: false, z: 2.814,
+                            cluster: "high"}, GI))
+      .toBe("High cluster (Gi* z = 2.81, p < 0.05)");
+    expect(describeCluster({value: 12.3456, smoothed: true, z: -0.5,
+                            cluster: null}, GI))
+      .toBe("Not in a cluster (Gi* z = -0.50); smoothed rate 12.346 per " +
+            "100k population");
+    expect(describeCluster({value: NaN, smoothed: false, z: NaN,
+                            cluster: null}, {...GI, statistic: "moran"}))
+      .toBe("Not tested by Local Moran's I (no neighbors with data)");
+  });
+});
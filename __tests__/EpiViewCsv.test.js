@@ -0,0 +1,125 @@
+/*
+EpiView
+EpiViewCsv.test.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+import { TextDecoder, TextEncoder } from "util";
+
+import EpiViewCsvParser, { parseCsv, readCsvHeader, readCsvResponse } from "../struct/EpiViewCsv.js";
+
+describe("parseCsv", () => {
+  test("keys each row by the header row", () => {
+    expect(parseCsv("date,cases\n2020-05-01,10\n2020-05-02,12\n")).toEqual([
+      {date: "2020-05-01", cases: "10"},
+      {date: "2020-05-02", cases: "12"},
+    ]);
+  });
+
+  test("reads quoted fields with commas, quotes, and line breaks", () => {
+    const csv = "place,note\n" +
+                "\"Pasadena, City of\",\"said \"\"hi\"\"\"\n" +
+                "Venice,\"two\nlines\"\n";
+    expect(parseCsv(csv)).toEqual([
+      {place: "Pasadena, City of", note: "said \"hi\""},
+      {place: "Venice", note: "two\nlines"},
+    ]);
+  });
+
+  test("accepts CRLF, a byte order mark, blank lines, and no final break",
+       () => {
+    expect(parseCsv("\uFEFFa,b\r\n1,2\r\n\r\n3,4")).toEqual([
+      {a: "1", b: "2"},
+      {a: "3", b: "4"},
+    ]);
+  });
+
+  test("reads empty fields as empty strings", () => {
+    expect(parseCsv("county,fips,cases\nNew York City,,1000\n")).toEqual([
+      {county: "New York City", fips: "", cases: "1000"},
+    ]);
+  });
+
+  test("rejects an unterminated quote", () => {
+    expect(() => parseCsv("a,b\n\"1,2\n")).toThrow(/unterminated quote/);
+  });
+});
+
+describe("EpiViewCsvParser", () => {
+  test("parses the same rows however the data is chunked", () => {
+    const csv = "place,cases\r\n\"Los Angeles, CA\",100\r\n" +
+                "Orange,\"2\"\"0\"\r\n";
+    for (let size = 1; size <= csv.length; size++) {
+      const rows = [];
+      const parser = new EpiViewCsvParser(row => rows.push(row));
+      for (let start = 0; start < csv.length; start += size) {
+        parser.push(csv.slice(start, start + size));
+      }
+      parser.end();
+      expect(rows).toEqual(parseCsv(csv));
+    }
+  });
+});
+
+describe("readCsvResponse", () => {
+  /**
+   * Makes a stand-in for a response whose body arrives in the given chunks.
+   */
+  function response(chunks) {
+    return {
+      body: {
+        getReader: () => ({
+          read: async () => chunks.length
+            ? {done: false, value: chunks.shift()}
+            : {done: true, value: undefined},
+        }),
+      },
+    };
+  }
+
+  async function read(res) {
+    const rows = [];
+    await readCsvResponse(res, row => rows.push(row));
+    return rows;
+  }
+
+  test("parses chunks of text", async () => {
+    expect(await read(response(["place,ca", "ses\nVenice,1", "2\n"])))
+      .toEqual([{place: "Venice", cases: "12"}]);
+  });
+
+  test("decodes chunks of bytes split within a character", async () => {
+    // Byte chunks come from a standard fetch, which comes with TextDecoder.
+    const original = global.TextDecoder;
+    global.TextDecoder = TextDecoder;
+    try {
+      const bytes = new TextEncoder().encode("place,cases\nCañon,3\n");
+      expect(await read(response([bytes.slice(0, 15), bytes.slice(15)])))
+        .toEqual([{place: "Cañon", cases: "3"}]);
+    }
+    finally {
+      global.TextDecoder = original;
+    }
+  });
+
+  test("reads the text of a response without a body stream", async () => {
+    expect(await read({text: async () => "place,cases\nVenice,12"}))
+      .toEqual([{place: "Venice", cases: "12"}]);
+  });
+});
+
+describe("readCsvHeader", () => {
+  test("reads just the header row", () => {
+    expect(readCsvHeader("date,\"county, state\",cases\n2020-05-01"))
+      .toEqual(["date", "county, state", "cases"]);
+  });
+
+  test("reads a header row without a line break", () => {
+    expect(readCsvHeader("date,cases")).toEqual(["date", "cases"]);
+  });
+
+  test("returns no fields for empty data", () => {
+    expect(readCsvHeader("")).toEqual([]);
+  });
+});
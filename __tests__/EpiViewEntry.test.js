@@ -0,0 +1,250 @@
+/*
+EpiView
+EpiViewEntry.test.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+import EpiViewEntry, { addDays, compareUdf, numeratorFor, parseCoord, parseDate, udfRange } from "../struct/EpiViewEntry.js";
+import EpiViewFormula from "../struct/EpiViewFormula.js";
+import { getTable } from "../struct/EpiViewTables.js";
+
+/**
+ * Makes an entry with 200k people in 50 sq. mi. whose counts on day d of May
+ * 2020 (1-15) are d^2 cases and d deaths, so that there are 2d - 1 daily new
+ * cases.
+ */
+function makeEntry() {
+  const entry = new EpiViewEntry("Test", "Testing");
+  entry.population = 200000;
+  entry.area = 50;
+  entry.bounds = [[parseCoord([0, 0]), parseCoord([1, 0]),
+                   parseCoord([1, 1])]];
+  entry.attributes = {median_age: 40};
+  for (let d = 1; d <= 15; d++) {
+    entry.counts[`2020-05-${String(d).padStart(2, "0")}`] = {
+      cases: d * d,
+      deaths: d,
+    };
+  }
+  entry.buildIndex();
+  return entry;
+}
+
+/**
+ * Makes a UDF with the given fields on 5/10/2020.
+ */
+function udf(fields) {
+  return {
+    numerator: "cases",
+    denominator: "total",
+    mode: "on",
+    date: new Date(2020, 4, 10),
+    ...fields,
+  };
+}
+
+describe("parseDate", () => {
+  test("parses an ISO date at local midnight", () => {
+    expect(parseDate("2020-05-01")).toEqual(new Date(2020, 4, 1));
+    expect(parseDate("2020-12-31")).toEqual(new Date(2020, 11, 31));
+  });
+});
+
+describe("parseCoord", () => {
+  test("swaps GeoJSON's longitude-first order", () => {
+    expect(parseCoord([-118.24, 34.05])).toEqual({
+      latitude: 34.05,
+      longitude: -118.24,
+    });
+  });
+});
+
+describe("EpiViewEntry.evaluate", () => {
+  const entry = makeEntry();
+
+  test("evaluates each denominator", () => {
+    expect(entry.evaluate(udf({}))).toBe(100);
+    expect(entry.evaluate(udf({denominator: "per 100k population"})))
+      .toBe(50);
+    expect(entry.evaluate(udf({denominator: "per sq. mi."}))).toBe(2);
+    expect(entry.evaluate(udf({numerator: "deaths",
+                               denominator: "per case"}))).toBe(0.1);
+    expect(entry.evaluate(udf({numerator: "deaths",
+                               denominator: "per cases"}))).toBe(0.1);
+    expect(entry.evaluate(udf({denominator: "per median_age"}))).toBe(2.5);
+  });
+
+  test("evaluates daily new counts", () => {
+    expect(entry.evaluate(udf({numerator: "daily new cases"}))).toBe(19);
+    // Counts before the first date are 0.
+    expect(entry.evaluate(udf({numerator: "daily new cases",
+                               date: new Date(2020, 4, 1)}))).toBe(1);
+  });
+
+  test("evaluates each mode", () => {
+    const daily = {numerator: "daily new cases", date: new Date(2020, 4, 14)};
+    expect(entry.evaluate(udf({mode: "differenced between",
+                               refDate: new Date(2020, 4, 3)}))).toBe(91);
+    expect(entry.evaluate(udf({mode: "averaged",
+                               refDate: new Date(2020, 4, 8)})))
+      .toBeCloseTo(245 / 3);
+    expect(entry.evaluate(udf({...daily, mode: "rolling sum"}))).toBe(147);
+    expect(entry.evaluate(udf({...daily, mode: "rolling average"}))).toBe(21);
+    expect(entry.evaluate(udf({...daily, mode: "percent change"})))
+      .toBeCloseTo(200);
+    expect(entry.evaluate(udf({...daily, mode: "doubling time"})))
+      .toBeCloseTo(7 * Math.LN2 / Math.log(3));
+    expect(entry.evaluate(udf({...daily, mode: "reproduction number"})))
+      .toBeCloseTo(Math.pow(3, 4 / 7));
+    expect(entry.evaluate(udf({...daily, mode: "rolling sum", window: 2})))
+      .toBe(52);
+  });
+
+  test("only takes daily new numerators in windowed modes", () => {
+    expect(numeratorFor("rolling sum", "cases")).toBe("daily new cases");
+    expect(numeratorFor("doubling time", "daily new cases"))
+      .toBe("daily new cases");
+    expect(numeratorFor("on", "cases")).toBe("cases");
+    expect(() => entry.evaluate(udf({mode: "percent change"})))
+      .toThrow("invalid numerator \"cases\" for mode \"percent change\"");
+  });
+
+  test("evaluates formulas", () => {
+    const formula = new EpiViewFormula(
+      "(cases[date] - cases[date-7]) / population * 1e5");
+    expect(entry.evaluate(udf({mode: "formula", formula: formula})))
+      .toBeCloseTo(45.5);
+  });
+
+  test("rejects unknown modes, numerators, and denominators", () => {
+    expect(() => entry.evaluate(udf({mode: "sideways"}))).toThrow();
+    expect(() => entry.evaluate(udf({numerator: "new-cases"}))).toThrow();
+    expect(() => entry.evaluate(udf({denominator: "each"}))).toThrow();
+  });
+
+  test("returns NaN for incomplete entries and unknown fields", () => {
+    const incomplete = makeEntry();
+    incomplete.area = 0;
+    expect(incomplete.evaluate(udf({}))).toBeNaN();
+    expect(entry.evaluate(udf({numerator: "tests"}))).toBeNaN();
+  });
+
+  test("evaluates every numerator and denominator of the U.S. table", () => {
+    const descriptor = getTable("us");
+    for (const numerator of descriptor.numerators) {
+      for (const denominator of descriptor.denominators) {
+        const value = entry.evaluate(udf({numerator: numerator.value,
+                                          denominator: denominator.value}));
+        expect(Number.isFinite(value)).toBe(true);
+      }
+    }
+  });
+});
+
+describe("udfRange", () => {
+  const range = fields => {
+    const { from, to } = udfRange(udf(fields));
+    return [from.getDate(), to.getDate()];
+  };
+
+  test("spans each mode's window", () => {
+    expect(range({})).toEqual([10, 10]);
+    expect(range({mode: "rolling sum", window: 7})).toEqual([4, 10]);
+    expect(range({mode: "averaged", refDate: new Date(2020, 4, 3)}))
+      .toEqual([3, 10]);
+  });
+
+  test("spans the dates that a formula reads", () => {
+    const formula = text => ({
+      mode: "formula",
+      refDate: new Date(2020, 4, 3),
+      formula: new EpiViewFormula(text),
+    });
+    expect(range(formula("cases[date+7] - cases[date]"))).toEqual([10, 17]);
+    expect(range(formula("sum(cases, 5)"))).toEqual([6, 10]);
+    expect(range(formula("diff(avg(cases, 3), 2)"))).toEqual([6, 10]);
+    expect(range(formula("cases[refDate-1] + max(deaths)")))
+      .toEqual([2, 10]);
+    expect(range(formula("population / area"))).toEqual([10, 10]);
+    // Formulas that aren't parsed yet span refDate to date.
+    expect(range({...formula("cases"), formula: "cases[date+7]"}))
+      .toEqual([3, 10]);
+  });
+});
+
+describe("missing counts", () => {
+  // Weekly reports: 10 cases on 5/1 and 24 cases on 5/8.
+  const entry = makeEntry();
+  entry.counts = {
+    "2020-05-01": {cases: 10},
+    "2020-05-08": {cases: 24},
+  };
+  entry.buildIndex();
+  const on = (day, missing) => entry.evaluate(udf({
+    date: new Date(2020, 4, day),
+    missing: missing,
+  }));
+
+  test("counts dates before the first report as 0", () => {
+    expect(entry.evaluate(udf({date: new Date(2020, 3, 1)}))).toBe(0);
+  });
+
+  test("carries the last report forward by default", () => {
+    expect(on(4)).toBe(10);
+    expect(on(30)).toBeNaN();
+    expect(on(30, {policy: "forward fill", maxStaleness: 30})).toBe(24);
+  });
+
+  test("interpolates between reports", () => {
+    const missing = {policy: "interpolate", maxStaleness: 0};
+    expect(on(4, missing)).toBeCloseTo(16);
+    expect(on(8, missing)).toBe(24);
+    expect(on(9, missing)).toBeNaN();
+  });
+
+  test("shows dates without a report as no data", () => {
+    const missing = {policy: "missing", maxStaleness: 14};
+    expect(on(4, missing)).toBeNaN();
+    expect(on(8, missing)).toBe(24);
+  });
+
+  test("lists the dates of the reports used", () => {
+    expect(entry.reportDates(new Date(2020, 4, 4)))
+      .toEqual([new Date(2020, 4, 1)]);
+    expect(entry.reportDates(new Date(2020, 4, 4),
+                             {policy: "interpolate", maxStaleness: 0}))
+      .toEqual([new Date(2020, 4, 1), new Date(2020, 4, 8)]);
+    expect(entry.reportDates(new Date(2020, 3, 1))).toEqual([]);
+    expect(entry.reportDates(new Date(2020, 4, 30))).toBeNull();
+  });
+});
+
+describe("comparisons", () => {
+  const entry = makeEntry();
+  const compare = as => udf({compare: {as: as, days: 5}});
+
+  test("compares with the same UDF some days earlier", () => {
+    expect(entry.evaluate(compare("split"))).toBe(100);
+    expect(entry.evaluate(compare("ratio"))).toBe(4);
+    expect(entry.evaluate(compare("percent change"))).toBe(300);
+  });
+
+  test("compares with another metric", () => {
+    const deaths = udf({compare: {as: "ratio", numerator: "deaths", days: 0}});
+    expect(entry.evaluate(deaths)).toBe(10);
+  });
+
+  test("shifts the dates of the UDF compared with", () => {
+    const other = compareUdf(udf({
+      mode: "differenced between",
+      refDate: new Date(2020, 4, 3),
+      compare: {as: "split", denominator: "per sq. mi.", days: 2},
+    }));
+    expect(other.date).toEqual(addDays(new Date(2020, 4, 10), -2));
+    expect(other.refDate).toEqual(new Date(2020, 4, 1));
+    expect(other.denominator).toBe("per sq. mi.");
+    expect(other.compare).toBeNull();
+    expect(compareUdf(udf({}))).toBeNull();
+  });
+});
@@ -0,0 +1,105 @@
+/*
+EpiView
+EpiViewFetch.test.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+import { readCsvResponse } from "../struct/EpiViewCsv.js";
+import streamingFetch from "../struct/EpiViewFetch.js";
+
+/**
+ * Stands in for React Native's XMLHttpRequest. The test plays the server by
+ * calling respond, receive, and finish on the last request made.
+ */
+class FakeXMLHttpRequest {
+  constructor() {
+    this.HEADERS_RECEIVED = 2;
+    this.readyState = 0;
+    this.status = 0;
+    this.responseText = "";
+    this.headers = {};
+    FakeXMLHttpRequest.last = this;
+  }
+
+  open(method, url) {
+    this.method = method;
+    this.url = url;
+  }
+
+  setRequestHeader(name, value) {
+    this.headers[name] = value;
+  }
+
+  send() {}
+
+  getResponseHeader(name) {
+    return name === "ETag" ? "\"v1\"" : null;
+  }
+
+  respond(status) {
+    this.status = status;
+    this.readyState = this.HEADERS_RECEIVED;
+    this.onreadystatechange();
+  }
+
+  receive(text) {
+    this.readyState = 3;
+    this.responseText += text;
+    this.onprogress();
+  }
+
+  finish() {
+    this.readyState = 4;
+    this.onload();
+  }
+}
+
+beforeEach(() => {
+  global.XMLHttpRequest = FakeXMLHttpRequest;
+});
+
+afterEach(() => {
+  delete global.XMLHttpRequest;
+});
+
+describe("streamingFetch", () => {
+  test("resolves once the headers arrive", async () => {
+    const fetching = streamingFetch("https://example.com/counts.csv",
+                                    {headers: {"If-None-Match": "\"v0\""}});
+    const xhr = FakeXMLHttpRequest.last;
+    expect(xhr.method).toBe("GET");
+    expect(xhr.headers).toEqual({"If-None-Match": "\"v0\""});
+    xhr.respond(304);
+    const res = await fetching;
+    expect(res.ok).toBe(false);
+    expect(res.status).toBe(304);
+    expect(res.headers.get("ETag")).toBe("\"v1\"");
+  });
+
+  test("passes on each part of the body as it arrives", async () => {
+    const fetching = streamingFetch("https://example.com/counts.csv");
+    const xhr = FakeXMLHttpRequest.last;
+    xhr.respond(200);
+    const res = await fetching;
+    const rows = [];
+    const reading = readCsvResponse(res, row => rows.push(row));
+    xhr.receive("place,cases\nVenice,12\nWest");
+    await new Promise(resolve => setImmediate(resolve));
+    expect(rows).toEqual([{place: "Venice", cases: "12"}]);
+    xhr.receive("wood,5\n");
+    xhr.finish();
+    await reading;
+    expect(rows).toEqual([
+      {place: "Venice", cases: "12"},
+      {place: "Westwood", cases: "5"},
+    ]);
+    expect(await res.text()).toBe("place,cases\nVenice,12\nWestwood,5\n");
+  });
+
+  test("rejects if the request fails", async () => {
+    const fetching = streamingFetch("https://example.com/counts.csv");
+    FakeXMLHttpRequest.last.onerror();
+    await expect(fetching).rejects.toMatch("unable to download");
+  });
+});
@@ -0,0 +1,300 @@
+/*
+EpiView
+EpiViewForecast.test.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+import EpiViewEntry, { addDays } from "../struct/EpiViewEntry.js";
+import { DEFAULT_FORECAST, forecastSeries, MAX_HORIZON, projectEntry } from "../struct/EpiViewForecast.js";
+import { fromQueryParams, toQueryParams } from "../struct/EpiViewQuery.js";
+import EpiViewScale from "../struct/EpiViewScale.js";
+import EpiViewTable from "../struct/EpiViewTable.js";
+
+const MAX_DATE = new Date(2020, 4, 20);
+
+/**
+ * Makes an entry whose daily new cases double every day from 5/1/2020 (1,
+ * 2, 4, ...) up to a date, and whose deaths grow by 3 a day.
+ */
+function makeEntry(until = MAX_DATE) {
+  const entry = new EpiViewEntry("Test", "Testing");
+  entry.population = 100000;
+  entry.area = 10;
+  entry.bounds = [[{latitude: 0, longitude: 0}, {latitude: 1, longitude: 0},
+                   {latitude: 1, longitude: 1}]];
+  let cases = 0;
+  for (let d = 1; d <= until.getDate(); d++) {
+    cases += 2 ** (d - 1);
+    entry.counts[`2020-05-${String(d).padStart(2, "0")}`] = {
+      cases: cases,
+      deaths: 3 * d,
+    };
+  }
+  entry.buildIndex();
+  return entry;
+}
+
+/**
+ * Makes a table of an entry that is up to date and one that last reported
+ * some days before.
+ */
+function makeTable(staleDays) {
+  const table = new EpiViewTable();
+  table.data.current = makeEntry();
+  table.data.stale = makeEntry(addDays(MAX_DATE, -staleDays));
+  table.reindex();
+  return table;
+}
+
+const UDF = {
+  numerator: "daily new cases",
+  denominator: "total",
+  mode: "on",
+  date: addDays(MAX_DATE, 2),
+  forecast: DEFAULT_FORECAST,
+};
+
+describe("forecastSeries", () => {
+  test("continues exponential growth with log-linear growth", () => {
+    // ln(value + 1) grows by ln 2 a day.
+    const values = [1, 3, 7, 15, 31, 63, 127];
+    const projection = forecastSeries(values, "log-linear", 2);
+    expect(projection[0].value).toBeCloseTo(255);
+    expect(projection[1].value).toBeCloseTo(511);
+    expect(projection[1].lower).toBeCloseTo(511);
+    expect(projection[1].upper).toBeCloseTo(511);
+  });
+
+  test("continues linear trends with Holt's method", () => {
+    const projection = forecastSeries([10, 12, 14, 16, 18], "holt", 3);
+    expect(projection.map(day => day.value)).toEqual([20, 22, 24]);
+    expect(projection[2].upper).toBe(24);
+  });
+
+  test("widens intervals further ahead", () => {
+    const values = [6, 11, 10, 12, 18, 20, 21, 28, 25, 30];
+    for (const model of ["log-linear", "holt"]) {
+      const projection = forecastSeries(values, model, 14);
+      for (const [h, day] of projection.entries()) {
+        expect(day.lower).toBeLessThan(day.value);
+        expect(day.upper).toBeGreaterThan(day.value);
+        if (h !== 0) {
+          expect(day.upper - day.lower).toBeGreaterThan(
+            projection[h - 1].upper - projection[h - 1].lower);
+        }
+      }
+      expect(projection[13].value).toBeGreaterThan(values[9]);
+    }
+  });
+
+  test("never goes below 0", () => {
+    const values = [30, 25, 28, 20, 18, 21, 12, 10, 11, 6];
+    for (const model of ["log-linear", "holt"]) {
+      const projection = forecastSeries(values, model, 14);
+      for (const day of projection) {
+        expect(day.lower).toBeGreaterThanOrEqual(0);
+        expect(day.lower).toBeLessThanOrEqual(day.value);
+        expect(day.upper).toBeGreaterThanOrEqual(day.value);
+      }
+      expect(projection[13].value).toBeLessThan(values[9]);
+    }
+  });
+
+  test("takes Student's t with n - 2 degrees of freedom", () => {
+    // Logarithms of 0, 1, 0 (n = 3) and 0, 1, 1, 0 (n = 4): flat lines with
+    // known residuals.
+    const cases = [
+      {values: [0, Math.E - 1, 0], t: 12.706,
+       margin: Math.sqrt(2 / 3 * 10 / 3)},
+      {values: [0, Math.E - 1, Math.E - 1, 0], t: 4.303,
+       margin: Math.sqrt(1 / 2 * 5 / 2)},
+    ];
+    for (const { values, t, margin } of cases) {
+      const [day] = forecastSeries(values, "log-linear", 1);
+      expect(Math.log(day.upper + 1) - Math.log(day.value + 1))
+        .toBeCloseTo(t * margin);
+    }
+  });
+
+  test("bounds totals by the variance of the total", () => {
+    const values = [6, 11, 10, 12, 18, 20, 21, 28, 25, 30];
+    for (const model of ["log-linear", "holt"]) {
+      const projection = forecastSeries(values, model, 14);
+      expect(projection[0].totalLower).toBeCloseTo(projection[0].lower);
+      expect(projection[0].totalUpper).toBeCloseTo(projection[0].upper);
+      let total = 0, summedWidth = 0;
+      for (const day of projection) {
+        total += day.value;
+        summedWidth += day.upper - day.lower;
+        expect(day.totalLower).toBeLessThan(total);
+        expect(day.totalUpper).toBeGreaterThan(total);
+        // Errors on different days partly cancel out.
+        expect(day.totalUpper - day.totalLower)
+          .toBeLessThanOrEqual(summedWidth + 1e-9);
+      }
+    }
+  });
+
+  test("needs enough values and a known model", () => {
+    expect(forecastSeries([1, 2], "log-linear", 7)).toBeNull();
+    expect(forecastSeries([1, 2], "holt", 7)).toBeNull();
+    expect(() => forecastSeries([1, 2, 3], "arima", 7))
+      .toThrow("unknown forecast model");
+  });
+});
+
+describe("projectEntry", () => {
+  test("adds projected counts after the last report", () => {
+    const entry = makeEntry();
+    const projection = projectEntry(entry, {model: "log-linear", days: 7},
+                                    MAX_DATE);
+    expect(projection.from).toEqual(new Date(2020, 4, 21));
+    const { point, lower, upper } = projection;
+    expect(point.counts["2020-05-20"]).toEqual(entry.counts["2020-05-20"]);
+    const added = point.counts["2020-05-21"].cases -
+                  entry.counts["2020-05-20"].cases;
+    expect(added / 2 ** 20).toBeCloseTo(1, 2);
+    expect(point.counts["2020-05-21"].deaths).toBeCloseTo(63);
+    expect(Object.keys(point.counts)).toHaveLength(20 + MAX_HORIZON);
+    expect(lower.counts["2020-06-03"].deaths)
+      .toBeLessThanOrEqual(point.counts["2020-06-03"].deaths);
+    expect(upper.counts["2020-06-03"].deaths)
+      .toBeGreaterThanOrEqual(point.counts["2020-06-03"].deaths);
+    // The entry itself is unchanged.
+    expect(Object.keys(entry.counts)).toHaveLength(20);
+  });
+
+  test("projects the ends of counts and of daily new values", () => {
+    const entry = new EpiViewEntry("Test", "Testing");
+    const values = [6, 11, 10, 12, 18, 20, 21, 28];
+    let cases = 0;
+    for (const [i, value] of values.entries()) {
+      cases += value;
+      entry.counts[`2020-05-${String(i + 13).padStart(2, "0")}`] = {
+        cases: cases,
+      };
+    }
+    entry.buildIndex();
+    const projection = projectEntry(entry, {model: "holt", days: 7},
+                                    MAX_DATE);
+    const days = forecastSeries(values.slice(1), "holt", MAX_HORIZON);
+    expect(projection.lower.counts["2020-05-22"].cases)
+      .toBeCloseTo(cases + days[1].totalLower);
+    expect(projection.upper.counts["2020-05-22"].cases)
+      .toBeCloseTo(cases + days[1].totalUpper);
+    expect(projection.daily.lower.counts["2020-05-22"].cases -
+           projection.daily.lower.counts["2020-05-21"].cases)
+      .toBeCloseTo(days[1].lower);
+    expect(projection.daily.upper.counts["2020-05-22"].cases -
+           projection.daily.upper.counts["2020-05-21"].cases)
+      .toBeCloseTo(days[1].upper);
+  });
+
+  test("projects stale entries from their last report", () => {
+    const entry = makeEntry(addDays(MAX_DATE, -3));
+    const projection = projectEntry(entry, DEFAULT_FORECAST, MAX_DATE);
+    expect(projection.from).toEqual(new Date(2020, 4, 18));
+    expect(Object.keys(projection.point.counts))
+      .toHaveLength(17 + 3 + MAX_HORIZON);
+  });
+
+  test("doesn't project entries that stopped reporting", () => {
+    const entry = makeEntry(addDays(MAX_DATE, -15));
+    expect(projectEntry(entry, DEFAULT_FORECAST, MAX_DATE)).toBeNull();
+  });
+});
+
+describe("EpiViewTable", () => {
+  test("evaluates UDFs past the data on projected counts", () => {
+    const table = makeTable(3);
+    expect(table.projects(UDF)).toBe(true);
+    expect(table.projects({...UDF, date: MAX_DATE})).toBe(false);
+    expect(table.projects({...UDF, forecast: null})).toBe(false);
+    const values = table.evaluateAll({...UDF, forecast: {model: "holt",
+                                                         days: 7}});
+    expect(values[0]).toBeGreaterThan(2 ** 19);
+    expect(values[1]).toBeGreaterThan(0);
+  });
+
+  test("projects formulas that read past the data", () => {
+    const table = makeTable(3);
+    const ahead = {...UDF, mode: "formula", date: MAX_DATE,
+                   refDate: addDays(MAX_DATE, -7),
+                   formula: "cases[date+7] - cases[date]"};
+    expect(table.projects(ahead)).toBe(true);
+    expect(table.projects({...ahead, formula: "avg(cases,30)"})).toBe(false);
+    expect(table.projects({...ahead, formula: "cases[date+"})).toBe(false);
+    expect(table.evaluateAll(ahead)[0]).toBeGreaterThan(2 ** 20);
+  });
+
+  test("caches projected results by forecast", () => {
+    const table = makeTable(3);
+    const holt = {...UDF, forecast: {model: "holt", days: 7}};
+    expect(table.resultKey(holt)).not.toBe(table.resultKey(UDF));
+    expect(table.resultKey({...holt, date: MAX_DATE}))
+      .toBe(table.resultKey({...UDF, date: MAX_DATE}));
+    expect(table.evaluateAll(holt)[0])
+      .not.toBe(table.evaluateAll(UDF)[0]);
+  });
+
+  test("has no value past the horizon", () => {
+    const table = makeTable(3);
+    const values = table.evaluateAll({
+      ...UDF, date: addDays(MAX_DATE, MAX_HORIZON + 1),
+    });
+    expect(Array.from(values).every(Number.isNaN)).toBe(true);
+  });
+
+  test("describes the prediction interval", () => {
+    const table = makeTable(15);
+    const scale = new EpiViewScale([1, 2, 3]);
+    const number = "\\d+(\\.\\d+)?";
+    expect(table.describe("current", UDF, scale).message).toMatch(new RegExp(
+      `^${number} daily new cases total on .* \\(projected by log-linear ` +
+      "growth over the last 14 days; 95% prediction interval " +
+      `${number}-${number}\\)`));
+    expect(table.describe("stale", UDF, scale).message)
+      .toMatch(/^No data for .* \(no forecast\)$/);
+    expect(table.describe("current", {...UDF, numerator: "cases"}, scale)
+      .message).toMatch("; 95% prediction interval ");
+    expect(table.describe("current", {...UDF, mode: "rolling average",
+                                      window: 7}, scale).message)
+      .toMatch("; rough range from 95% prediction intervals ");
+  });
+
+  test("takes the ends of daily new values from each day's interval", () => {
+    const table = makeTable(3);
+    const projection = table.projectionOf("current", UDF.forecast);
+    expect(table.evaluateEntry("current", UDF, "lower"))
+      .toBe(projection.daily.lower.evaluate(UDF));
+    const cumulative = {...UDF, numerator: "cases"};
+    expect(table.evaluateEntry("current", cumulative, "lower"))
+      .toBe(projection.lower.evaluate(cumulative));
+  });
+});
+
+describe("query parameters", () => {
+  test("round-trip forecasts that aren't the default", () => {
+    const query = {
+      tableId: "us",
+      numerator: "cases",
+      denominator: "total",
+      mode: "on",
+      date: addDays(MAX_DATE, 7),
+      forecast: {model: "holt", days: 21},
+    };
+    const params = toQueryParams(query, MAX_DATE);
+    expect(params).toMatchObject({forecast: "holt", fitDays: "21"});
+    expect(fromQueryParams(params, () => MAX_DATE).forecast)
+      .toEqual(query.forecast);
+    expect(toQueryParams({...query, forecast: DEFAULT_FORECAST}, MAX_DATE))
+      .not.toHaveProperty("forecast");
+  });
+
+  test("reports invalid forecasts", () => {
+    expect(fromQueryParams({forecast: "arima", fitDays: "9"}, () => null)
+      .errors).toEqual(["unknown forecast model \"arima\"",
+                        "invalid fitDays \"9\""]);
+  });
+});
@@ -0,0 +1,33 @@
+/*
+EpiView
+EpiViewScale.test.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+import EpiViewScale from "../struct/EpiViewScale.js";
+
+const JENKS = {classification: "jenks", classes: 2, palette: "reds"};
+
+describe("jenks", () => {
+  test("weights repeated values by how often they occur", () => {
+    const zeros = new Array(9).fill(0);
+    expect(new EpiViewScale([0, 4, 5, 6, 12], JENKS).breaks).toEqual([6]);
+    expect(new EpiViewScale([...zeros, 4, 5, 6, 12], JENKS).breaks)
+      .toEqual([0]);
+  });
+
+  test("keeps the distribution of large inputs that it samples", () => {
+    const values = [];
+    for (let i = 0; i < 300; i++) {
+      values.push(...new Array(9).fill(0), 4, 5, 6, 12 + i / 1000);
+    }
+    expect(new EpiViewScale(values, JENKS).breaks).toEqual([0]);
+  });
+
+  test("never splits equal values", () => {
+    const scale = new EpiViewScale([1, 1, 1, 1, 2, 2, 2, 2],
+                                   {...JENKS, classes: 4});
+    expect(scale.breaks).toEqual([1]);
+  });
+});
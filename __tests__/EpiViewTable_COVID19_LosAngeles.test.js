@@ -0,0 +1,144 @@
+/*
+EpiView
+EpiViewTable_COVID19_LosAngeles.test.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+import fs from "fs";
+import path from "path";
+
+import { parseCsv } from "../struct/EpiViewCsv.js";
+import EpiViewTable_COVID19_LosAngeles, { bySpa } from "../struct/EpiViewTable_COVID19_LosAngeles.js";
+import rawPopulation from "./fixtures/la-population.json";
+import rawBounds from "./fixtures/la-neighborhoods.json";
+import rawOC from "./fixtures/orange-county.json";
+
+const rawCounts = fs.readFileSync(
+  path.join(__dirname, "fixtures", "latimes-place-totals.csv"), "utf8");
+
+const PASADENA = "Pasadena, Los Angeles County, California";
+const IRVINE = "Irvine, Orange County, California";
+const ANAHEIM = "Anaheim, Orange County, California";
+
+/**
+ * Stands in for fetch, serving the case count fixture for any URL.
+ */
+async function fetchFixture() {
+  return {
+    ok: true,
+    status: 200,
+    text: async () => rawCounts,
+    headers: {get: () => null},
+  };
+}
+
+describe("addPopulation", () => {
+  const table = new EpiViewTable_COVID19_LosAngeles();
+  table.addPopulation(rawPopulation);
+
+  test("keys neighborhoods by name and county", () => {
+    expect(table.data[PASADENA].name).toBe("Pasadena");
+    expect(table.data[PASADENA].region).toBe("Los Angeles County, California");
+    expect(table.data[PASADENA].population).toBe(137122);
+    expect(table.data[PASADENA].area).toBe(23.1);
+  });
+
+  test("notes neighborhoods without population", () => {
+    expect(table.issues).toEqual([{
+      type: "zero population",
+      key: "Angeles Crest, Los Angeles County, California",
+    }]);
+  });
+});
+
+describe("addBounds", () => {
+  const table = new EpiViewTable_COVID19_LosAngeles();
+  table.addBounds(rawBounds);
+
+  test("reads each neighborhood's polygon and region", () => {
+    expect(table.data[PASADENA].bounds).toHaveLength(1);
+    expect(table.data[PASADENA].bounds[0][0]).toEqual({
+      latitude: 34.12,
+      longitude: -118.17,
+    });
+    expect(table.areas[PASADENA]).toBe("san-gabriel-valley");
+  });
+});
+
+describe("addOC", () => {
+  const table = new EpiViewTable_COVID19_LosAngeles();
+  table.addOC(rawOC);
+
+  test("reads population, area, and polygons", () => {
+    expect(table.data[IRVINE].region).toBe("Orange County, California");
+    expect(table.data[IRVINE].population).toBe(212375);
+    expect(table.data[IRVINE].area).toBeCloseTo(65);
+    expect(table.data[IRVINE].bounds).toHaveLength(1);
+  });
+
+  test("keeps the first of repeated places and notes the rest", () => {
+    expect(table.data[ANAHEIM].population).toBe(336265);
+    expect(table.data[ANAHEIM].area).toBeCloseTo(50);
+    expect(table.data[ANAHEIM].bounds).toHaveLength(1);
+    expect(table.issues).toEqual([{type: "duplicate", key: ANAHEIM}]);
+  });
+});
+
+describe("addCounts", () => {
+  const table = new EpiViewTable_COVID19_LosAngeles();
+  table.addCounts(parseCsv(rawCounts));
+
+  test("reads L.A. and Orange County places only", () => {
+    expect(Object.keys(table.data).sort()).toEqual([
+      ANAHEIM,
+      IRVINE,
+      PASADENA,
+      "Venice, Los Angeles County, California",
+    ]);
+  });
+
+  test("adds up rows for the same place and date and notes them", () => {
+    expect(table.data[PASADENA].counts).toEqual({
+      "2020-05-01": {cases: 400},
+      "2020-05-02": {cases: 415},
+    });
+    expect(table.issues).toEqual([{
+      type: "duplicate",
+      key: PASADENA,
+      date: "2020-05-02",
+      message: "on 2020-05-02, added up",
+    }]);
+  });
+});
+
+describe("compile", () => {
+  test("joins population, bounds, and counts", async () => {
+    const table = await new EpiViewTable_COVID19_LosAngeles(
+      {fetch: fetchFixture}).compile();
+    // Angeles Crest has neither population nor counts.
+    expect(table.keys.sort()).toEqual([
+      ANAHEIM,
+      IRVINE,
+      PASADENA,
+      "Venice, Los Angeles County, California",
+    ]);
+    const udf = {
+      numerator: "daily new cases",
+      denominator: "per 100k population",
+      mode: "on",
+      date: new Date(2020, 4, 2),
+    };
+    expect(table.data[PASADENA].evaluate(udf))
+      .toBeCloseTo(15 / 137122 * 1e5);
+  });
+
+  test("rolls up L.A. County neighborhoods into SPAs", async () => {
+    const table = await new EpiViewTable_COVID19_LosAngeles(
+      {fetch: fetchFixture}).compile();
+    const spas = table.rollup(key => bySpa(table, key));
+    expect(Object.keys(spas.data).sort())
+      .toEqual(["SPA 3: San Gabriel", "SPA 5: West"]);
+    expect(spas.data["SPA 5: West"].counts["2020-05-02"].cases).toBe(52);
+  });
+});
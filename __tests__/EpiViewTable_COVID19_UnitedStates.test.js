@@ -0,0 +1,317 @@
+/*
+EpiView
+EpiViewTable_COVID19_UnitedStates.test.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+import fs from "fs";
+import path from "path";
+
+import { parseCsv } from "../struct/EpiViewCsv.js";
+import EpiViewTable_COVID19_UnitedStates, { byState } from "../struct/EpiViewTable_COVID19_UnitedStates.js";
+import { readMapping } from "../struct/EpiViewTable_Custom.js";
+import { byMapping } from "../struct/EpiViewTable_Rollup.js";
+import { getTable } from "../struct/EpiViewTables.js";
+import { validate } from "../struct/EpiViewValidation.js";
+import rawPopulation from "./fixtures/us-population.json";
+import rawBounds from "./fixtures/us-counties.json";
+
+const rawCounts = fs.readFileSync(
+  path.join(__dirname, "fixtures", "us-counties.csv"), "utf8");
+
+/**
+ * Stands in for fetch, serving the case count fixture for any URL.
+ */
+async function fetchFixture() {
+  return {
+    ok: true,
+    status: 200,
+    text: async () => rawCounts,
+    headers: {get: () => null},
+  };
+}
+
+/**
+ * Compiles the table from the fixtures.
+ */
+function compileTable() {
+  return new EpiViewTable_COVID19_UnitedStates({fetch: fetchFixture})
+    .compile();
+}
+
+const BOROUGHS = ["36061", "36047", "36081", "36005", "36085"];
+
+describe("addPopulation", () => {
+  const table = new EpiViewTable_COVID19_UnitedStates();
+  table.addPopulation(rawPopulation);
+
+  test("keys counties by FIPS code, skipping state totals", () => {
+    expect(table.data["06037"].name).toBe("Los Angeles County");
+    expect(table.data["06037"].region).toBe("California");
+    expect(+table.data["06037"].population).toBe(10105518);
+    expect("06000" in table.data).toBe(false);
+  });
+
+  test("notes counties without population", () => {
+    expect(table.issues).toContainEqual({type: "zero population",
+                                         key: "48301"});
+  });
+
+  test("adds up the boroughs of New York City", () => {
+    expect(table.data["36000"].name).toBe("New York City");
+    expect(table.data["36000"].population)
+      .toBe(1628701 + 2582830 + 2278906 + 1432132 + 476179);
+  });
+});
+
+describe("addBounds", () => {
+  const table = new EpiViewTable_COVID19_UnitedStates();
+  table.addBounds(rawBounds);
+
+  test("converts land area to square miles", () => {
+    expect(table.data["06037"].area).toBeCloseTo(4000);
+    expect(table.data["48301"].area).toBeCloseTo(670);
+  });
+
+  test("reads polygons as LatLng rings", () => {
+    expect(table.data["06037"].bounds).toHaveLength(1);
+    expect(table.data["06037"].bounds[0][0]).toEqual({
+      latitude: 33.7,
+      longitude: -118.9,
+    });
+  });
+
+  test("reads each polygon of a MultiPolygon with its holes", () => {
+    const king = table.data["53033"];
+    expect(king.bounds).toHaveLength(2);
+    expect(king.holes[0]).toHaveLength(1);
+    expect(king.holes[1]).toHaveLength(0);
+  });
+
+  test("merges the boroughs of New York City", () => {
+    const nyc = table.data["36000"];
+    expect(nyc.area).toBeCloseTo(20 + 70 + 110 + 40 + 60);
+    expect(nyc.bounds).toEqual(
+      BOROUGHS.map(fips => table.data[fips].bounds[0]));
+    expect(nyc.holes).toHaveLength(5);
+  });
+});
+
+describe("addCounts", () => {
+  const table = new EpiViewTable_COVID19_UnitedStates();
+  table.addCounts(parseCsv(rawCounts));
+
+  test("keys counts by FIPS code", () => {
+    expect(table.data["06037"].counts["2020-05-03"]).toEqual({
+      cases: 150,
+      deaths: 8,
+    });
+  });
+
+  test("keys New York City and unknown counties without FIPS codes", () => {
+    expect(table.data["36000"].counts["2020-05-02"]).toEqual({
+      cases: 1100,
+      deaths: 110,
+    });
+    const unknown = table.data["Washington: Unknown"];
+    expect(unknown.name).toBe("Unknown County");
+    expect(unknown.counts["2020-05-01"]).toEqual({cases: 3, deaths: 0});
+  });
+
+  test("keeps the last of duplicate rows and notes them", () => {
+    expect(table.data["53033"].counts["2020-05-02"].cases).toBe(56);
+    expect(table.issues).toEqual([
+      {type: "duplicate", key: "53033", date: "2020-05-02"},
+    ]);
+  });
+
+  test("spans the dates of the counts", () => {
+    expect(table.minDate).toEqual(new Date(2020, 4, 1));
+    expect(table.maxDate).toEqual(new Date(2020, 4, 3));
+  });
+
+  test("replaces counts since a date", () => {
+    const rows = parseCsv(rawCounts).map(row =>
+      row.date === "2020-05-03" ? {...row, cases: String(+row.cases + 1)}
+                                : row);
+    table.addCounts(rows, "2020-05-03");
+    expect(table.data["06037"].counts["2020-05-03"].cases).toBe(151);
+    expect(table.data["06037"].counts["2020-05-02"].cases).toBe(120);
+  });
+});
+
+describe("compile", () => {
+  test("joins population, bounds, and counts", async () => {
+    const table = await compileTable();
+    expect(table.keys.sort()).toEqual(["06037", "06059", "36000", "53033"]);
+    expect(table.extent.minLatitude).toBeCloseTo(33.4);
+    expect(table.extent.maxLatitude).toBeCloseTo(48.1);
+    expect(table.extent.minLongitude).toBeCloseTo(-122.6);
+    expect(table.extent.maxLongitude).toBeCloseTo(-73.76);
+  });
+
+  test("rolls up into states", async () => {
+    const states = (await compileTable()).rollup(byState);
+    expect(Object.keys(states.data).sort()).toEqual(["06", "36", "53"]);
+    expect(states.data["06"].name).toBe("California");
+    expect(states.data["06"].population).toBe(10105518 + 3185968);
+    expect(states.data["06"].counts["2020-05-03"]).toEqual({
+      cases: 175,
+      deaths: 10,
+    });
+  });
+
+  test("rolls up by a user-supplied mapping", async () => {
+    const rawGroups = parseCsv(
+      "fips,district\n06037,Southern California\n06059,Southern California" +
+      "\n53033,\n");
+    const mapping = readMapping(rawGroups, {groupsKey: "fips",
+                                            group: "district"});
+    expect(mapping).toEqual({
+      "06037": "Southern California",
+      "06059": "Southern California",
+    });
+    const groups = (await compileTable()).rollup(byMapping(mapping, "U.S."));
+    expect(Object.keys(groups.data)).toEqual(["Southern California"]);
+    expect(groups.data["Southern California"].region).toBe("U.S.");
+    expect(groups.data["Southern California"].counts["2020-05-03"].cases)
+      .toBe(175);
+  });
+
+  test("caches the metro area mapping", async () => {
+    const source = await compileTable();
+    const items = {};
+    const storage = {
+      getItem: async key => key in items ? items[key] : null,
+      setItem: async (key, value) => { items[key] = value; },
+    };
+    const crosswalk =
+      "cbsacode,cbsatitle,metropolitanmicropolitanstatis,fipsstatecode," +
+      "fipscountycode\n" +
+      "31080,Los Angeles-Long Beach-Anaheim CA,Metropolitan Statistical " +
+      "Area,06,037\n" +
+      "31080,Los Angeles-Long Beach-Anaheim CA,Metropolitan Statistical " +
+      "Area,06,059\n";
+    const compile = fetch => getTable("us-metros").create({
+      fetch: fetch,
+      storage: storage,
+      cacheKey: "metros",
+    }).compile(source);
+
+    const metros = await compile(async () => ({
+      ok: true,
+      status: 200,
+      text: async () => crosswalk,
+    }));
+    expect(Object.keys(metros.data)).toEqual(["31080"]);
+    expect(metros.data["31080"].counts["2020-05-03"].cases).toBe(175);
+
+    // Offline, the cached mapping is used.
+    const offline = await compile(async () => {
+      throw "offline";
+    });
+    expect(Object.keys(offline.data)).toEqual(["31080"]);
+  });
+});
+
+describe("validate", () => {
+  test("reports areas left off the map, except merged boroughs",
+       async () => {
+    const table = await compileTable();
+    table.data["53033"].area = 0;
+    const issues = validate(table).issues;
+    expect(issues.filter(issue => issue.type === "missing area")
+                 .map(issue => issue.key)).toEqual(["53033"]);
+    for (const fips of BOROUGHS) {
+      expect(issues.filter(issue => issue.key === fips)).toEqual([]);
+    }
+  });
+});
+
+describe("computePolygons", () => {
+  const udf = {
+    numerator: "cases",
+    denominator: "per 100k population",
+    mode: "on",
+    date: new Date(2020, 4, 3),
+  };
+
+  test("makes a polygon per bound, colored by scale", async () => {
+    const table = await compileTable();
+    const scale = table.computeScale(udf);
+    const polygons = table.computePolygons(udf, scale);
+    expect(polygons.map(polygon => polygon.key).sort()).toEqual([
+      "06037-0", "06059-0",
+      "36000-0", "36000-1", "36000-2", "36000-3", "36000-4",
+      "53033-0", "53033-1",
+    ]);
+    for (const polygon of polygons) {
+      const value = table.data[polygon.entry].evaluate(udf);
+      expect(polygon.fillColor).toBe(scale.colorOf(value));
+      expect(polygon.noData).toBe(false);
+    }
+    const king = polygons.filter(polygon => polygon.entry === "53033");
+    expect(king[0].holes).toHaveLength(1);
+    expect(king[1].holes).toEqual([]);
+  });
+
+  test("leaves out entries outside the view", async () => {
+    const table = await compileTable();
+    const view = {
+      band: 3,
+      box: {
+        minLatitude: 33,
+        maxLatitude: 35,
+        minLongitude: -119,
+        maxLongitude: -117,
+      },
+    };
+    const polygons = table.computePolygons(udf, null, view);
+    expect(polygons.map(polygon => polygon.entry).sort())
+      .toEqual(["06037", "06059"]);
+    // Only the entries in view are simplified, and only for the view's band.
+    expect(table.data["06037"].shapes.bands[3]).not.toBeNull();
+    expect(table.data["06037"].shapes.bands[0]).toBeNull();
+    expect(table.data["53033"].shapes.bands[3]).toBeNull();
+  });
+
+  test("keeps every frame of a long range cached", async () => {
+    const table = await compileTable();
+    const to = new Date(2020, 4, 3);
+    const from = new Date(2019, 5, 1);
+    const split = {...udf, compare: {as: "split", days: 2}};
+    const scale = await table.computeScaleAsync(split, {}, from, to);
+    const frames = table.framesOf(table.prepareUdf(split), from, to);
+    expect(frames).toHaveLength(2 * 338);
+    for (const frame of frames) {
+      expect(table.results.has(table.resultKey(frame))).toBe(true);
+    }
+    expect(scale.max).toBeGreaterThan(0);
+    table.reserveResults(0);
+    expect(table.results.size).toBeLessThanOrEqual(200);
+  });
+
+  test("describes each entry", async () => {
+    const table = await compileTable();
+    const scale = table.computeScale(udf);
+    const date = new Date(2020, 4, 3).toLocaleDateString();
+    const description = table.describe("36000", udf, scale);
+    expect(description.title).toBe("New York City, New York");
+    expect(description.message).toMatch(new RegExp(
+      `^13\\.693 cases per 100k population on ${date} \\[.*\\]$`));
+    expect(description.color).toBe(scale.colorOf(description.value));
+  });
+
+  test("describes stale counts", async () => {
+    const table = await compileTable();
+    const scale = table.computeScale(udf);
+    const later = {...udf, date: new Date(2020, 4, 20)};
+    const asOf = new Date(2020, 4, 3).toLocaleDateString();
+    expect(table.describe("06037", later, scale).message)
+      .toContain(`(no data since ${asOf})`);
+    const stale = {...udf, date: new Date(2020, 4, 5)};
+    expect(table.describe("06037", stale, scale).message)
+      .toContain(`(data as of ${asOf})`);
+  });
+});
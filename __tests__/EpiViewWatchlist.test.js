@@ -0,0 +1,134 @@
+/*
+EpiView
+EpiViewWatchlist.test.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+import fs from "fs";
+import path from "path";
+
+import { parseCsv } from "../struct/EpiViewCsv.js";
+import EpiViewTable_COVID19_UnitedStates from "../struct/EpiViewTable_COVID19_UnitedStates.js";
+import EpiViewWatchlist, { evaluateRule, holds, RULE_TEMPLATES } from "../struct/EpiViewWatchlist.js";
+import rawPopulation from "./fixtures/us-population.json";
+import rawBounds from "./fixtures/us-counties.json";
+
+const rawCounts = parseCsv(fs.readFileSync(
+  path.join(__dirname, "fixtures", "us-counties.csv"), "utf8"));
+
+/**
+ * Compiles the U.S. table from the fixtures, with counts up to a date.
+ */
+function makeTable(until) {
+  const table = new EpiViewTable_COVID19_UnitedStates();
+  table.addPopulation(rawPopulation);
+  table.addBounds(rawBounds);
+  table.addCounts(rawCounts.filter(row => row.date <= until));
+  return table;
+}
+
+/**
+ * Stands in for AsyncStorage.
+ */
+function makeStorage() {
+  const items = {};
+  return {
+    getItem: async key => key in items ? items[key] : null,
+    setItem: async (key, value) => {
+      items[key] = value;
+    },
+  };
+}
+
+const DAILY_CASES = {
+  label: "daily new cases",
+  params: {numerator: "daily new cases", denominator: "total", mode: "on"},
+  above: true,
+  threshold: 25,
+};
+
+describe("evaluateRule", () => {
+  test("evaluates the rule's UDF on the latest date", () => {
+    const table = makeTable("2020-05-03");
+    expect(evaluateRule(DAILY_CASES, "us", table, "36000")).toBe(50);
+    expect(evaluateRule({
+      ...DAILY_CASES,
+      params: {...DAILY_CASES.params, mode: "averaged", refDate: "-1"},
+    }, "us", table, "36000")).toBe(75);
+  });
+
+  test("evaluates every template", () => {
+    const table = makeTable("2020-05-03");
+    for (const rule of RULE_TEMPLATES) {
+      expect(typeof evaluateRule(rule, "us", table, "06037")).toBe("number");
+    }
+  });
+
+  test("has no value for rules that don't suit the table", () => {
+    const table = makeTable("2020-05-03");
+    const rule = {...DAILY_CASES, params: {numerator: "daily new tests"}};
+    expect(evaluateRule(rule, "us", table, "36000")).toBeNaN();
+    expect(holds(rule, NaN)).toBe(false);
+  });
+});
+
+describe("EpiViewWatchlist", () => {
+  test("alerts when a rule starts to hold", async () => {
+    const watchlist = new EpiViewWatchlist(null, "");
+    await watchlist.add("us", "36000", "New York City, New York",
+                        DAILY_CASES);
+    await watchlist.add("us", "06037", "Los Angeles County, California",
+                        DAILY_CASES);
+
+    // New York City had 100 daily new cases on 5/2; Los Angeles had 20.
+    let alerts = await watchlist.check("us", makeTable("2020-05-02"));
+    expect(alerts.map(alert => alert.key)).toEqual(["36000"]);
+    expect(alerts[0].message)
+      .toBe("daily new cases was 100 on 2020-05-02 (rule: > 25)");
+
+    // Checking the same data again doesn't alert again.
+    expect(await watchlist.check("us", makeTable("2020-05-02")))
+      .toEqual([]);
+
+    // New York City's rule still holds, so only Los Angeles alerts.
+    alerts = await watchlist.check("us", makeTable("2020-05-03"));
+    expect(alerts.map(alert => alert.key)).toEqual(["06037"]);
+    expect(watchlist.history.map(alert => alert.key))
+      .toEqual(["06037", "36000"]);
+  });
+
+  test("ignores other tables", async () => {
+    const watchlist = new EpiViewWatchlist(null, "");
+    await watchlist.add("la", "36000", "Somewhere else", DAILY_CASES);
+    expect(await watchlist.check("us", makeTable("2020-05-03"))).toEqual([]);
+    expect(watchlist.items[0].checked).toBeNull();
+  });
+
+  test("skips tables without a latest date", async () => {
+    const watchlist = new EpiViewWatchlist(null, "");
+    await watchlist.add("us", "36000", "New York City, New York",
+                        DAILY_CASES);
+    const table = makeTable("2020-05-03");
+    table.maxDate = null;
+    expect(await watchlist.check("us", table)).toEqual([]);
+    expect(await watchlist.check("us", undefined)).toEqual([]);
+    expect(watchlist.items[0].checked).toBeNull();
+  });
+
+  test("persists watches and alerts", async () => {
+    const storage = makeStorage();
+    const watchlist = new EpiViewWatchlist(storage, "watchlist");
+    await watchlist.add("us", "36000", "New York City, New York",
+                        DAILY_CASES);
+    await watchlist.check("us", makeTable("2020-05-03"));
+
+    const loaded = await new EpiViewWatchlist(storage, "watchlist").load();
+    expect(loaded.items).toEqual(watchlist.items);
+    expect(loaded.history).toEqual(watchlist.history);
+    await loaded.remove(0);
+    await loaded.clearHistory();
+    expect(await new EpiViewWatchlist(storage, "watchlist").load())
+      .toMatchObject({items: [], history: []});
+  });
+});
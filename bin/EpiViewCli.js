@@ -0,0 +1,367 @@
+/*
+EpiView
+EpiViewCli.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+import fs from "fs";
+import path from "path";
+
+import { DEFAULT_WINDOW, MODES, numeratorFor } from "../struct/EpiViewEntry.js";
+import { toCsv, toGeoJson } from "../struct/EpiViewExport.js";
+import { DEFAULT_FORECAST } from "../struct/EpiViewForecast.js";
+import { fromQueryParams } from "../struct/EpiViewQuery.js";
+import { describeUdf } from "../struct/EpiViewTable.js";
+import { getTable, listTables } from "../struct/EpiViewTables.js";
+
+/**
+ * Command-line usage, printed by --help and after usage errors.
+ */
+export const USAGE = `Usage:
+  epiview query --table ID [options]  Evaluate a UDF on every area of a table.
+  epiview tables                      List the tables and their fields.
+
+Query options (values as in the app's query links):
+  --table ID                 Table to query, e.g. "us" or "la".
+  --numerator NUMERATOR      Default: "cases".
+  --denominator DENOMINATOR  Default: "per 100k population".
+  --mode MODE                Default: "on".
+  --formula FORMULA          Required in "formula" mode.
+  --window DAYS              Days in the window of windowed modes.
+  --date DATE, --to DATE     YYYY-MM-DD or "latest" (the default).
+  --ref-date DATE, --from DATE
+                             Start of the range of modes that take one, as
+                             YYYY-MM-DD or days relative to --date (e.g. -13).
+  --missing POLICY           "forward fill", "interpolate", or "missing".
+  --staleness DAYS           Most days to carry a report forward.
+  --compare AS               "split", "ratio", or "percent change".
+  --compare-days DAYS        Compare with this many days earlier.
+  --compare-numerator, --compare-denominator, --compare-formula VALUE
+                             Compare with another metric.
+  --forecast MODEL           "log-linear" (the default) or "holt". Projects
+                             dates up to 14 days past the latest data.
+  --fit-days DAYS            Days to fit the forecast to: 7, 14, 21, or 28.
+
+Output options:
+  --format FORMAT            "csv" (the default) or "geojson".
+  --output FILE              Write to FILE instead of standard output.
+  --data DIR                 Read case counts and other downloads from files
+                             in DIR, named as in their URLs (e.g.
+                             us-counties.csv), instead of downloading them.
+`;
+
+/**
+ * Command-line options of "query", by flag. Each is either a query parameter
+ * (see EpiViewQuery.js) or an output option.
+ */
+const OPTIONS = {
+  "--table": {param: "table"},
+  "--numerator": {param: "numerator"},
+  "--denominator": {param: "denominator"},
+  "--mode": {param: "mode"},
+  "--formula": {param: "formula"},
+  "--window": {param: "window"},
+  "--date": {param: "date"},
+  "--to": {param: "date"},
+  "--ref-date": {param: "refDate"},
+  "--from": {param: "refDate"},
+  "--missing": {param: "missing"},
+  "--staleness": {param: "staleness"},
+  "--compare": {param: "compare"},
+  "--compare-days": {param: "compareDays"},
+  "--compare-numerator": {param: "compareNumerator"},
+  "--compare-denominator": {param: "compareDenominator"},
+  "--compare-formula": {param: "compareFormula"},
+  "--forecast": {param: "forecast"},
+  "--fit-days": {param: "fitDays"},
+  "--format": {option: "format"},
+  "--output": {option: "output"},
+  "--data": {option: "data"},
+};
+
+/**
+ * Query parameters used when not given, the same as the app's initial UDF.
+ */
+const DEFAULT_PARAMS = {
+  numerator: "cases",
+  denominator: "per 100k population",
+  mode: "on",
+  date: "latest",
+};
+
+/**
+ * Output formats, by name.
+ */
+const FORMATS = ["csv", "geojson"];
+
+/**
+ * Parses command-line arguments. Options may be given as "--flag value" or
+ * "--flag=value".
+ *
+ * @param {!Array<string>} argv The arguments, without the node executable and
+ *     script.
+ * @return {!Object<string, *>} The command: {
+ *   "command": string,  // "query", "tables", or "help".
+ *   "params": !Object<string, string>,  // Query parameters, as in
+ *       // EpiViewQuery's fromQueryParams.
+ *   "format": string,
+ *   "output": ?string,
+ *   "data": ?string,
+ * }
+ */
+export function parseArgs(argv) {
+  const args = {
+    command: argv[0],
+    params: {},
+    format: "csv",
+    output: null,
+    data: null,
+  };
+  if (argv.length === 0 || argv.includes("--help") || argv.includes("-h")) {
+    return {...args, command: "help"};
+  }
+  if (args.command !== "query" && args.command !== "tables") {
+    throw `unknown command "${args.command}"`;
+  }
+  for (let i = 1; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split(/=(.*)/);
+    const spec = OPTIONS[flag];
+    if (!spec || args.command !== "query") {
+      throw `unknown option "${argv[i]}"`;
+    }
+    const value = inline !== undefined ? inline : argv[++i];
+    if (value === undefined) {
+      throw `option ${flag} needs a value`;
+    }
+    if (spec.param) {
+      args.params[spec.param] = value;
+    }
+    else {
+      args[spec.option] = value;
+    }
+  }
+  if (!FORMATS.includes(args.format)) {
+    throw `unknown format "${args.format}"`;
+  }
+  return args;
+}
+
+/**
+ * Makes a stand-in for fetch that reads local copies of downloads, for
+ * EpiViewTable's fetch option. A URL's copy is the file in the directory
+ * named by the last part of its path.
+ *
+ * @param {string} dir The directory of local copies.
+ * @return {function(string): !Promise<Object<string, *>>} The stand-in, which
+ *     resolves to enough of a Response for EpiViewTable, and rejects if there
+ *     is no local copy.
+ */
+export function localFetch(dir) {
+  return async url => {
+    const file = path.join(dir, path.basename(url.split(/[?#]/)[0]));
+    if (!fs.existsSync(file)) {
+      throw `no local copy of ${url} (expected ${file})`;
+    }
+    return {
+      ok: true,
+      status: 200,
+      text: () => fs.promises.readFile(file, "utf8"),
+      headers: {get: () => null},
+      body: {
+        getReader: () => readerOf(fs.createReadStream(file, "utf8"), file),
+      },
+    };
+  };
+}
+
+/**
+ * Reads a stream of text like the reader of a Response's body: each read
+ * resolves to the next chunk, or to done at the end. The stream is paused
+ * between reads.
+ *
+ * @param {!stream.Readable} stream The stream, with an encoding set.
+ * @param {string} file The file that the stream reads, for errors.
+ * @return {!Object<string, function(): !Promise<Object<string, *>>>} The
+ *     reader: {"read"}.
+ */
+function readerOf(stream, file) {
+  const chunks = [];
+  let ended = false;
+  let failed = false;
+  let waiting = null;  // The pending read, if any: {resolve, reject}.
+  const settle = () => {
+    if (waiting === null) {
+      return;
+    }
+    const pending = waiting;
+    if (chunks.length !== 0) {
+      waiting = null;
+      pending.resolve({done: false, value: chunks.shift()});
+    }
+    else if (failed) {
+      waiting = null;
+      pending.reject(`unable to read ${file}`);
+    }
+    else if (ended) {
+      waiting = null;
+      pending.resolve({done: true, value: undefined});
+    }
+    else {
+      stream.resume();
+    }
+  };
+  stream.on("data", chunk => {
+    chunks.push(chunk);
+    stream.pause();
+    settle();
+  });
+  stream.once("end", () => {
+    ended = true;
+    settle();
+  });
+  stream.once("error", () => {
+    failed = true;
+    settle();
+  });
+  stream.pause();
+  return {
+    read: () => new Promise((resolve, reject) => {
+      waiting = {resolve: resolve, reject: reject};
+      settle();
+    }),
+  };
+}
+
+/**
+ * Compiles a table, compiling the table it's derived from first, if any.
+ *
+ * @param {!TableDescriptor} descriptor The table's descriptor.
+ * @param {!Object<string, *>} options Options for the table, such as fetch.
+ * @return {!Promise<!EpiViewTable>} The compiled table.
+ */
+async function compileTable(descriptor, options) {
+  const table = descriptor.create(options);
+  if (descriptor.source) {
+    return table.compile(
+      await compileTable(getTable(descriptor.source), options));
+  }
+  return table.compile();
+}
+
+/**
+ * Evaluates a UDF on every complete entry of a table, as the app's export
+ * does.
+ *
+ * @param {!Object<string, *>} args The command, from parseArgs.
+ * @return {!Promise<string>} The results, as a .csv file with one row per
+ *     entry or as a GeoJSON FeatureCollection.
+ */
+export async function runQuery(args) {
+  const params = {...DEFAULT_PARAMS, ...args.params};
+  if (args.params.numerator === undefined) {
+    // Default to daily new cases in windowed modes.
+    params.numerator = numeratorFor(params.mode, params.numerator);
+  }
+  if (params.table === undefined) {
+    throw "--table is required";
+  }
+  const descriptor = getTable(params.table);
+  if (!descriptor) {
+    throw `unknown table "${params.table}"`;
+  }
+  const table = await compileTable(
+    descriptor, args.data ? {fetch: localFetch(args.data)} : {});
+  const { errors, tableId, region, ...udf } = fromQueryParams(
+    params, () => table.maxDate);
+  if (udf.mode === "formula" && udf.formula === undefined) {
+    errors.push("--formula is required in formula mode");
+  }
+  if (MODES[udf.mode] && MODES[udf.mode].refDate &&
+      udf.refDate === undefined) {
+    errors.push(`--from is required in ${udf.mode} mode`);
+  }
+  if (errors.length !== 0) {
+    throw errors.join("\n");
+  }
+  udf.window = udf.window || DEFAULT_WINDOW;
+  udf.forecast = udf.forecast || DEFAULT_FORECAST;
+  const results = table.computeValues(udf);
+  const scale = table.computeScale(udf);
+  return args.format === "csv"
+    ? toCsv(results, scale)
+    : JSON.stringify(toGeoJson(results, scale, describeUdf(udf))) + "\n";
+}
+
+/**
+ * Lists the registered tables, with the numerators and denominators that
+ * each one supports.
+ *
+ * @return {string} The list, one table per paragraph.
+ */
+export function listTablesText() {
+  return listTables().map(descriptor =>
+    `${descriptor.id}: ${descriptor.name}\n` +
+    `  numerators: ${descriptor.numerators.map(o => o.value).join(", ")}\n` +
+    `  denominators: ${descriptor.denominators.map(o => o.value).join(", ")}\n`
+  ).join("\n");
+}
+
+/**
+ * Describes an error for standard error. Tables load their bundled assets
+ * when they're compiled, so an asset that isn't in assets/ (see README.md)
+ * surfaces as a module that can't be found; it's named as such.
+ *
+ * @param {*} error The error, usually a string.
+ * @return {string} The description.
+ */
+export function describeError(error) {
+  const asset = error && /MODULE_NOT_FOUND$/.test(error.code) &&
+                /\b(assets\/[^'"\s]+)/.exec(error.message);
+  return asset ? `missing bundled asset ${asset[1]}; see "Command line" in ` +
+                 `README.md for how to get it`
+               : String(error);
+}
+
+/**
+ * Runs the command line, writing results to standard output or a file and
+ * errors to standard error. Sets the exit code to 1 on errors, or 2 on usage
+ * errors.
+ *
+ * @param {!Array<string>} argv The arguments, without the node executable and
+ *     script.
+ */
+export async function main(argv) {
+  let args;
+  try {
+    args = parseArgs(argv);
+  }
+  catch (error) {
+    process.stderr.write(`epiview: ${error}\n\n${USAGE}`);
+    process.exitCode = 2;
+    return;
+  }
+  try {
+    let body;
+    switch (args.command) {
+      case "help":
+        body = USAGE;
+        break;
+      case "tables":
+        body = listTablesText();
+        break;
+      default:
+        body = await runQuery(args);
+    }
+    if (args.output) {
+      await fs.promises.writeFile(args.output, body);
+    }
+    else {
+      process.stdout.write(body);
+    }
+  }
+  catch (error) {
+    process.stderr.write(`epiview: ${describeError(error)}\n`);
+    process.exitCode = 1;
+  }
+}
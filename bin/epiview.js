@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+/*
+EpiView
+epiview.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+/**
+ * Command-line entry point (see EpiViewCli.js). The app's modules are
+ * compiled on the fly with the app's own Babel configuration, so that the
+ * command line shares their code with the app.
+ */
+const path = require("path");
+
+require("@babel/register")({cwd: path.join(__dirname, "..")});
+require("./EpiViewCli.js").main(process.argv.slice(2));
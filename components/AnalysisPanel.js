@@ -0,0 +1,120 @@
+/*
+EpiView
+AnalysisPanel.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+import React from "react";
+import { Button, Modal, Picker, StyleSheet, Switch, Text, View } from "react-native";
+
+import { SIGNIFICANCE_LEVELS, STATISTICS } from "../struct/EpiViewClusters.js";
+import { FIT_DAYS, FORECAST_MODELS, MAX_HORIZON } from "../struct/EpiViewForecast.js";
+
+/**
+ * A modal panel for choosing how clusters are detected and outlined over the
+ * map (see EpiViewClusters), and how dates past the data are projected (see
+ * EpiViewForecast).
+ *
+ * Props {
+ *   "visible": boolean,
+ *   "analysis": !Object<string, *>,  // Current analysis, as in
+ *       // EpiViewClusters' DEFAULT_ANALYSIS.
+ *   "canSmooth": boolean,  // Whether the map's UDF can be smoothed.
+ *   "forecast": !Object<string, *>,  // Current forecast, as in
+ *       // EpiViewForecast's DEFAULT_FORECAST.
+ *   "onChange": function(!Object<string, *>),  // Called with a new analysis.
+ *   "onChangeForecast": function(!Object<string, *>),  // Called with a new
+ *       // forecast.
+ *   "onClose": function(),
+ * }
+ */
+export default function AnalysisPanel(props) {
+  const analysis = props.analysis;
+  const change = options => props.onChange({...analysis, ...options});
+  const forecast = options =>
+    props.onChangeForecast({...props.forecast, ...options});
+  return (
+    <Modal visible={props.visible}
+           animationType="slide"
+           onRequestClose={props.onClose}>
+      <View style={styles.container}>
+        <Text style={styles.heading}>Clusters</Text>
+        <Picker selectedValue={analysis.statistic || ""}
+                onValueChange={value => change({statistic: value || null})}>
+          <Picker.Item label="None" value="" />
+          {Object.entries(STATISTICS).map(([value, statistic]) =>
+            <Picker.Item key={value} label={statistic.label} value={value} />
+          )}
+        </Picker>
+        {analysis.statistic &&
+          <View>
+            <Text style={styles.heading}>Significance</Text>
+            <Picker selectedValue={analysis.significance}
+                    onValueChange={value => change({significance: value})}>
+              {Object.entries(SIGNIFICANCE_LEVELS).map(([value, level]) =>
+                <Picker.Item key={value} label={level.label} value={value} />
+              )}
+            </Picker>
+            <View style={styles.row}>
+              <Text style={styles.grow}>
+                Smooth rates by population first (empirical Bayes)
+              </Text>
+              <Switch value={analysis.smooth}
+                      onValueChange={value => change({smooth: value})} />
+            </View>
+            {analysis.smooth && !props.canSmooth &&
+              <Text style={styles.note}>
+                Only counts per 100k population can be smoothed, so the map's
+                values are tested as they are.
+              </Text>
+            }
+          </View>
+        }
+        <Text style={styles.heading}>Forecast</Text>
+        <Text style={styles.note}>
+          Dates up to {MAX_HORIZON} days past the latest data show projected
+          values, with prediction intervals in the details of each area.
+        </Text>
+        <Picker selectedValue={props.forecast.model}
+                onValueChange={value => forecast({model: value})}>
+          {Object.entries(FORECAST_MODELS).map(([value, model]) =>
+            <Picker.Item key={value} label={model.label} value={value} />
+          )}
+        </Picker>
+        <Text style={styles.heading}>Fitted to the last</Text>
+        <Picker selectedValue={props.forecast.days}
+                onValueChange={value => forecast({days: value})}>
+          {FIT_DAYS.map(days =>
+            <Picker.Item key={days} label={`${days} days`} value={days} />
+          )}
+        </Picker>
+        <Button title="Done" onPress={props.onClose} />
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 24,
+    justifyContent: "center",
+  },
+  heading: {
+    fontWeight: "bold",
+    marginTop: 12,
+  },
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginVertical: 8,
+  },
+  grow: {
+    flex: 1,
+  },
+  note: {
+    color: "#666666",
+    fontSize: 12,
+  },
+});
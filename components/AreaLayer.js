@@ -0,0 +1,60 @@
+/*
+EpiView
+AreaLayer.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+import React from "react";
+import { Polygon } from "react-native-maps";
+
+/**
+ * Outline of areas with no data, which are filled with NO_DATA_COLOR. The
+ * dashes set them apart from areas whose value is merely low. Dashes are
+ * only drawn on iOS; Android draws a solid outline.
+ */
+const NO_DATA_STROKE = {
+  strokeColor: "rgba(96, 96, 96, 0.8)",
+  strokeWidth: 1,
+  lineDashPattern: [4, 4],
+};
+
+/**
+ * Outline of the selected area.
+ */
+const HIGHLIGHT_STROKE = {
+  strokeColor: "#000000",
+  strokeWidth: 3,
+};
+
+/**
+ * Draws the polygons computed by EpiViewTable.computePolygons on a MapView.
+ * Only redraws when the polygons or the highlighted area change, since there
+ * can be thousands.
+ *
+ * Props {
+ *   "polygons": !Array<Object<string, *>>,  // From computePolygons. Those
+ *       // of a level of detail also have "table", its identifier.
+ *   "tableId": string,  // Table of the polygons without a "table".
+ *   "highlight": ?string,  // Area to outline, as "tableId:entryKey".
+ *   "onSelect": function(!Object<string, *>),  // Called with a polygon when
+ *       // it is tapped.
+ * }
+ */
+export default class AreaLayer extends React.PureComponent {
+  render() {
+    const highlighted = polygon => this.props.highlight ===
+      `${polygon.table || this.props.tableId}:${polygon.entry}`;
+    return this.props.polygons.map(polygon =>
+      <Polygon coordinates={polygon.coordinates}
+               holes={polygon.holes}
+               key={polygon.key}
+               strokeWidth={0}
+               {...(polygon.noData ? NO_DATA_STROKE : {})}
+               {...(highlighted(polygon) ? HIGHLIGHT_STROKE : {})}
+               fillColor={polygon.fillColor}
+               tappable={true}
+               onPress={() => this.props.onSelect(polygon)} />
+    );
+  }
+}
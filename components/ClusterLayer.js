@@ -0,0 +1,38 @@
+/*
+EpiView
+ClusterLayer.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+import React from "react";
+import { Polygon } from "react-native-maps";
+
+import { CLUSTERS } from "../struct/EpiViewClusters.js";
+
+/**
+ * Draws the outlines computed by EpiViewTable.computeOutlines over the
+ * polygons of an AreaLayer, each stroked as its kind of cluster. Tapping an
+ * outline selects its area, as tapping the area itself would.
+ *
+ * Props {
+ *   "outlines": !Array<Object<string, *>>,  // From computeOutlines. Those
+ *       // of a level of detail also have "table", its identifier.
+ *   "onSelect": function(!Object<string, *>),  // Called with an outline
+ *       // when it is tapped.
+ * }
+ */
+export default class ClusterLayer extends React.PureComponent {
+  render() {
+    return this.props.outlines.map(outline =>
+      <Polygon coordinates={outline.coordinates}
+               holes={outline.holes}
+               key={outline.key}
+               strokeWidth={3}
+               {...CLUSTERS[outline.cluster]}
+               fillColor="rgba(0, 0, 0, 0)"
+               tappable={true}
+               onPress={() => this.props.onSelect(outline)} />
+    );
+  }
+}
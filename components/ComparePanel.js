@@ -0,0 +1,176 @@
+/*
+EpiView
+ComparePanel.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+import React from "react";
+import { Button, Modal, Picker, StyleSheet, Text, TextInput, View } from "react-native";
+
+import { COMPARISONS, numeratorFor } from "../struct/EpiViewEntry.js";
+import EpiViewFormula from "../struct/EpiViewFormula.js";
+
+/**
+ * A modal panel for comparing the current UDF with another: the same UDF
+ * some days earlier, with another metric, or both.
+ *
+ * Props {
+ *   "visible": boolean,
+ *   "compare": ?Object<string, *>,  // What is compared with, as in
+ *       // EpiViewEntry's compareUdf, or null.
+ *   "mode": string,  // Mode of the current UDF.
+ *   "descriptor": !TableDescriptor,  // The current table, for its metrics.
+ *   "fields": !Object<string, *>,  // Fields of the current table, for
+ *       // formulas.
+ *   "onChange": function(?Object<string, *>),  // Called with what to
+ *       // compare with, or null to stop comparing.
+ *   "onClose": function(),
+ * }
+ */
+export default class ComparePanel extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      daysError: null,
+      formulaError: null,
+    };
+  }
+
+  /**
+   * Parses how many days earlier to compare with and, if it's a whole
+   * number, applies it.
+   *
+   * @param {string} text Number of days.
+   */
+  setDays(text) {
+    const days = text.trim() === "" ? NaN : +text;
+    if (!Number.isInteger(days)) {
+      this.setState({daysError: "days must be a whole number"});
+      return;
+    }
+    this.setState({daysError: null});
+    this.props.onChange({...this.props.compare, days: days});
+  }
+
+  /**
+   * Validates a formula to compare with and, if it's valid, applies it. A
+   * blank formula compares with the current one.
+   *
+   * @param {string} text The formula.
+   */
+  setFormula(text) {
+    if (text.trim() !== "") {
+      try {
+        new EpiViewFormula(text, this.props.fields);
+      }
+      catch (error) {
+        this.setState({formulaError: String(error)});
+        return;
+      }
+    }
+    this.setState({formulaError: null});
+    this.props.onChange({...this.props.compare, formula: text.trim() || null});
+  }
+
+  render() {
+    const compare = this.props.compare;
+    const change = options => this.props.onChange({...compare, ...options});
+    const optionPicker = (key, options) =>
+      <Picker selectedValue={compare[key] || ""}
+              onValueChange={value => change({[key]: value || null})}>
+        <Picker.Item label="Same" value="" />
+        {options.map(option =>
+          <Picker.Item key={option.value} label={option.label}
+                       value={option.value} />
+        )}
+      </Picker>;
+    return (
+      <Modal visible={this.props.visible}
+             animationType="slide"
+             onRequestClose={this.props.onClose}>
+        <View style={styles.container}>
+          <Text style={styles.heading}>Compare with</Text>
+          <Picker selectedValue={compare ? compare.as : ""}
+                  onValueChange={value => this.props.onChange(value ? {
+                    numerator: null,
+                    denominator: null,
+                    formula: null,
+                    days: 28,
+                    ...compare,
+                    as: value,
+                  } : null)}>
+            <Picker.Item label="Nothing" value="" />
+            {Object.entries(COMPARISONS).map(([value, comparison]) =>
+              <Picker.Item key={value} label={comparison.label}
+                           value={value} />
+            )}
+          </Picker>
+          {compare &&
+            <View>
+              <Text style={styles.heading}>Days earlier</Text>
+              <TextInput defaultValue={String(compare.days)}
+                         style={styles.input}
+                         keyboardType="numbers-and-punctuation"
+                         onEndEditing={e => this.setDays(e.nativeEvent.text)} />
+              {this.state.daysError &&
+                <Text style={styles.error}>{this.state.daysError}</Text>
+              }
+            </View>
+          }
+          {compare && this.props.mode == "formula" &&
+            <View>
+              <Text style={styles.heading}>Formula</Text>
+              <TextInput defaultValue={compare.formula
+                                       ? String(compare.formula.text ||
+                                                compare.formula) : ""}
+                         style={styles.input}
+                         autoCapitalize="none"
+                         autoCorrect={false}
+                         placeholder="Same"
+                         onEndEditing={e =>
+                           this.setFormula(e.nativeEvent.text)} />
+              {this.state.formulaError &&
+                <Text style={styles.error}>{this.state.formulaError}</Text>
+              }
+            </View>
+          }
+          {compare && this.props.mode != "formula" &&
+            <View>
+              <Text style={styles.heading}>Numerator</Text>
+              {optionPicker("numerator",
+                this.props.descriptor.numerators.filter(option =>
+                  numeratorFor(this.props.mode, option.value) === option.value
+                ))}
+              <Text style={styles.heading}>Denominator</Text>
+              {optionPicker("denominator", this.props.descriptor.denominators)}
+            </View>
+          }
+          <Button title="Done" onPress={this.props.onClose} />
+        </View>
+      </Modal>
+    );
+  }
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 24,
+    justifyContent: "center",
+  },
+  heading: {
+    fontWeight: "bold",
+    marginTop: 12,
+  },
+  input: {
+    height: 36,
+    paddingHorizontal: 8,
+    borderColor: "#cccccc",
+    borderWidth: 1,
+  },
+  error: {
+    color: "#cc0000",
+    fontSize: 12,
+  },
+});
@@ -0,0 +1,134 @@
+/*
+EpiView
+DetailPanel.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+import React from "react";
+import { Button, ScrollView, StyleSheet, Text, View } from "react-native";
+
+import TimeSeriesChart from "./TimeSeriesChart.js";
+import { udfRange } from "../struct/EpiViewEntry.js";
+import { fieldLabel } from "../struct/EpiViewFormula.js";
+import { formatNumber } from "../struct/EpiViewScale.js";
+
+/**
+ * Colors of the series in the charts, by field. Other fields take colors from
+ * OTHER_COLORS in turn.
+ */
+const SERIES_COLORS = {
+  cases: "#d62728",
+  deaths: "#333333",
+};
+
+/**
+ * Colors of series not listed in SERIES_COLORS.
+ */
+const OTHER_COLORS = ["#1f77b4", "#2ca02c", "#9467bd", "#ff7f0e", "#8c564b",
+                      "#17becf", "#e377c2", "#999999"];
+
+/**
+ * A panel describing a tapped entry: its name, region, population, area,
+ * other attributes, value under the current UDF, and charts of its counts
+ * over time with the UDF's window highlighted.
+ *
+ * Props {
+ *   "entry": !EpiViewEntry,
+ *   "message": string,  // Description of the entry's value under the UDF.
+ *   "fields": !Object<string, *>,  // Fields of the entry's table, as in
+ *       // EpiViewTable.fields. Every series is charted.
+ *   "udf": !Object<string, *>,  // The UDF, for its window of dates.
+ *   "width": number,
+ *   "style": ?Object,  // Extra styles for the container, e.g. positioning.
+ *   "onClose": function(),
+ * }
+ */
+export default function DetailPanel(props) {
+  const entry = props.entry;
+  const chartWidth = props.width - 24;
+  const others = props.fields.series.filter(field => !SERIES_COLORS[field]);
+  const chartSeries = daily => props.fields.series.map(field => ({
+    label: fieldLabel(props.fields, field),
+    color: SERIES_COLORS[field] ||
+           OTHER_COLORS[others.indexOf(field) % OTHER_COLORS.length],
+    points: entry.series(field, daily),
+  }));
+  const highlight = udfRange(props.udf);
+  return (
+    <View style={[styles.container, { width: props.width }, props.style]}>
+      <View style={styles.header}>
+        <View style={styles.titles}>
+          <Text style={styles.name}>{entry.name}</Text>
+          <Text style={styles.region}>{entry.region}</Text>
+        </View>
+        <Button title="✕" onPress={props.onClose} />
+      </View>
+      <ScrollView>
+        <Text style={styles.fact}>
+          Population: {formatNumber(entry.population)}
+        </Text>
+        <Text style={styles.fact}>
+          Area: {formatNumber(entry.area)} sq. mi.
+        </Text>
+        {props.fields.attributes
+          .filter(field => field !== "population" && field !== "area")
+          .map(field =>
+            <Text key={field} style={styles.fact}>
+              {fieldLabel(props.fields, field)}:{" "}
+              {Number.isFinite(entry.attribute(field))
+                ? formatNumber(entry.attribute(field)) : "no data"}
+            </Text>
+          )
+        }
+        <Text style={styles.value}>{props.message}</Text>
+        <TimeSeriesChart title="Total"
+                         width={chartWidth}
+                         height={100}
+                         series={chartSeries(false)}
+                         highlight={highlight} />
+        <TimeSeriesChart title="Daily new"
+                         width={chartWidth}
+                         height={100}
+                         series={chartSeries(true)}
+                         highlight={highlight} />
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    position: "absolute",
+    top: 0,
+    right: 0,
+    bottom: 0,
+    padding: 12,
+    backgroundColor: "rgba(255, 255, 255, 0.95)",
+    borderLeftColor: "#cccccc",
+    borderLeftWidth: 1,
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "flex-start",
+  },
+  titles: {
+    flex: 1,
+  },
+  name: {
+    fontSize: 16,
+    fontWeight: "bold",
+  },
+  region: {
+    fontSize: 12,
+    color: "#666666",
+  },
+  fact: {
+    fontSize: 12,
+    marginTop: 4,
+  },
+  value: {
+    fontSize: 12,
+    marginVertical: 8,
+  },
+});
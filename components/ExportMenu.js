@@ -0,0 +1,153 @@
+/*
+EpiView
+ExportMenu.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+import React from "react";
+import { Alert, Button, Modal, StyleSheet, Text, View } from "react-native";
+import * as FileSystem from "expo-file-system";
+import * as Sharing from "expo-sharing";
+import { captureRef } from "react-native-view-shot";
+
+import { toCsv, toGeoJson } from "../struct/EpiViewExport.js";
+import { describeUdf } from "../struct/EpiViewTable.js";
+
+/**
+ * A modal menu for exporting the current map as a .csv file, a .geojson
+ * file, or a .png snapshot, and sharing the result. What is exported is what
+ * the map shows, which may lag behind the pickers until it's recomputed.
+ *
+ * Props {
+ *   "visible": boolean,
+ *   "name": string,  // Base file name, e.g. "epiview-la-2020-05-14".
+ *   "table": !EpiViewTable,  // The table shown on the map.
+ *   "levels": !Array<Object<string, *>>,  // Levels of detail shown in place
+ *       // of some of the table's entries, from App.shownLevelTables.
+ *   "udf": ?Object<string, *>,  // The UDF shown on the map, if any.
+ *   "scale": ?EpiViewScale,  // Color scale of the map, if it's computed
+ *       // and up to date.
+ *   "snapshot": function(): ?View,  // Returns the view to capture as a .png.
+ *   "onClose": function(),
+ * }
+ */
+export default class ExportMenu extends React.Component {
+  /**
+   * Writes the map's values to a file and opens the share sheet.
+   *
+   * @param {string} format "csv" or "geojson".
+   */
+  async exportData(format) {
+    const results = this.shownValues();
+    const body = format === "csv"
+      ? toCsv(results, this.props.scale)
+      : JSON.stringify(toGeoJson(results, this.props.scale,
+                                 describeUdf(this.props.udf)));
+    const uri = `${FileSystem.cacheDirectory}${this.props.name}.${format}`;
+    await FileSystem.writeAsStringAsync(uri, body);
+    await this.share(uri, format === "csv" ? "text/csv"
+                                           : "application/geo+json");
+  }
+
+  /**
+   * Computes the values shown on the map: the table's, with the entries
+   * covered by a level of detail swapped for that level's.
+   *
+   * @return {!Array<Object<string, *>>} Results, as from
+   *     EpiViewTable.computeValues.
+   */
+  shownValues() {
+    let results = this.props.table.computeValues(this.props.udf);
+    for (const level of this.props.levels) {
+      const replaced = new Set(level.replaces);
+      results = results.filter(result => !replaced.has(result.key))
+        .concat(level.table.computeValues(this.props.udf));
+    }
+    return results;
+  }
+
+  /**
+   * Captures the map, legend, and caption as a .png file and opens the share
+   * sheet.
+   */
+  async exportImage() {
+    const uri = await captureRef(this.props.snapshot(), {
+      format: "png",
+      result: "tmpfile",
+      fileName: this.props.name,
+    });
+    await this.share(uri, "image/png");
+  }
+
+  /**
+   * Opens the share sheet for a file, if sharing is available.
+   *
+   * @param {string} uri Local URI of the file.
+   * @param {string} mimeType MIME type of the file.
+   */
+  async share(uri, mimeType) {
+    if (!(await Sharing.isAvailableAsync())) {
+      Alert.alert("Exported", `Saved to ${uri}`);
+      return;
+    }
+    await Sharing.shareAsync(uri, {mimeType: mimeType});
+  }
+
+  /**
+   * Runs an export, closing the menu first and reporting any failure.
+   *
+   * @param {function(): !Promise} action The export to run.
+   */
+  run(action) {
+    this.props.onClose();
+    action().catch(e => Alert.alert("Unable to export", String(e)));
+  }
+
+  render() {
+    const ready = this.props.scale !== null;
+    return (
+      <Modal visible={this.props.visible}
+             transparent={true}
+             animationType="fade"
+             onRequestClose={this.props.onClose}>
+        <View style={styles.backdrop}>
+          <View style={styles.menu}>
+            <Text style={styles.heading}>Export map</Text>
+            <Button title="Values (.csv)"
+                    disabled={!ready}
+                    onPress={() => this.run(() => this.exportData("csv"))} />
+            <Button title="Areas and values (.geojson)"
+                    disabled={!ready}
+                    onPress={() =>
+                      this.run(() => this.exportData("geojson"))} />
+            <Button title="Snapshot (.png)"
+                    disabled={!ready}
+                    onPress={() => this.run(() => this.exportImage())} />
+            <Button title="Cancel" onPress={this.props.onClose} />
+          </View>
+        </View>
+      </Modal>
+    );
+  }
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    alignItems: "center",
+    justifyContent: "center",
+    backgroundColor: "rgba(0, 0, 0, 0.4)",
+  },
+  menu: {
+    width: 280,
+    padding: 16,
+    borderRadius: 8,
+    backgroundColor: "#ffffff",
+  },
+  heading: {
+    fontSize: 16,
+    fontWeight: "bold",
+    marginBottom: 8,
+  },
+});
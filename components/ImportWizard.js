@@ -0,0 +1,484 @@
+/*
+EpiView
+ImportWizard.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+import React from "react";
+import { ActivityIndicator, Button, Modal, Picker, ScrollView, StyleSheet, Switch, Text, TextInput, View } from "react-native";
+import * as DocumentPicker from "expo-document-picker";
+import * as FileSystem from "expo-file-system";
+
+import { parseCsv, readCsvHeader } from "../struct/EpiViewCsv.js";
+import { readGeoJson } from "../struct/EpiViewGeoJson.js";
+import EpiViewTable_Custom, { fitRegion, readMapping } from "../struct/EpiViewTable_Custom.js";
+import { byMapping } from "../struct/EpiViewTable_Rollup.js";
+import { validate } from "../struct/EpiViewValidation.js";
+
+/**
+ * Files to import, in the order they're picked, and whether each is
+ * required.
+ */
+const FILES = {
+  bounds: {label: "Boundaries (.geojson)", required: true},
+  population: {label: "Population (.csv)", required: true},
+  counts: {label: "Case counts (.csv)", required: true},
+  groups: {label: "Groups (.csv, optional)", required: false},
+};
+
+/**
+ * Matches column names that are likely keys.
+ */
+const KEY = /^(key|id|geoid|fips|zip|zcta)/i;
+
+/**
+ * Fields to map to columns of the files: which file each comes from, whether
+ * it's required, and a pattern for guessing its column from the column names.
+ */
+const COLUMNS = {
+  boundsKey: {file: "bounds", label: "Key", required: true, guess: KEY},
+  populationKey: {file: "population", label: "Key", required: true,
+                  guess: KEY},
+  name: {file: "population", label: "Name", required: false, guess: /name/i},
+  population: {file: "population", label: "Population", required: true,
+               guess: /pop/i},
+  area: {file: "population", label: "Area (sq. mi.)", required: false,
+         guess: /area|sq/i},
+  countsKey: {file: "counts", label: "Key", required: true, guess: KEY},
+  date: {file: "counts", label: "Date", required: true, guess: /date/i},
+  cases: {file: "counts", label: "Cases (cumulative)", required: true,
+          guess: /case|confirmed|positive/i},
+  deaths: {file: "counts", label: "Deaths (cumulative)", required: false,
+           guess: /death/i},
+  groupsKey: {file: "groups", label: "Key", required: true, guess: KEY},
+  group: {file: "groups", label: "Group", required: true,
+          guess: /group|district|region|name/i},
+};
+
+/**
+ * Which list of other columns each file's unmapped columns may be added to,
+ * to import them as fields too.
+ */
+const OTHER_COLUMNS = {
+  population: "attributes",
+  counts: "series",
+};
+
+/**
+ * A modal wizard for importing a dataset from files on the device: a GeoJSON
+ * file of boundaries, a .csv file of population (and optionally area), and a
+ * .csv file of cumulative case counts by date. The user picks the files, maps
+ * their columns to fields, then names the dataset and reviews how many areas
+ * matched before importing it. Any other numeric columns, such as
+ * hospitalizations or median age, can be imported as fields too. A .csv file
+ * that assigns keys to groups, such as health districts, can be added to
+ * import a map of the groups too. Previous imports can be deleted on the
+ * first step.
+ *
+ * Props {
+ *   "visible": boolean,
+ *   "imports": !Array<ImportSpec>,  // Previous imports.
+ *   "onImport": function(!ImportSpec, !Object<string, string>): !Promise,
+ *       // Saves and opens an import, given its spec (without files) and the
+ *       // contents of its files, keyed like spec.files.
+ *   "onDelete": function(string),  // Deletes a previous import by id.
+ *   "onClose": function(),
+ * }
+ */
+export default class ImportWizard extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = this.initialState();
+  }
+
+  /**
+   * @return {!Object<string, *>} State for a new import.
+   */
+  initialState() {
+    return {
+      step: "files",  // "files", "columns", or "review"
+      files: {},  // {name, text} of each picked file, keyed like FILES.
+      fields: {},  // Column or property names of each file, keyed like FILES.
+      columns: {},  // Column of each field, keyed like COLUMNS.
+      others: {series: [], attributes: []},  // Other columns to import.
+      name: "",
+      region: "",
+      preview: null,  // {report, mapRegion, groups} of the import, once
+          // checked. groups is the number of groups, if any.
+      working: false,
+      error: null,
+    };
+  }
+
+  /**
+   * Lets the user pick a file and reads its column names, guessing which
+   * columns hold which fields.
+   *
+   * @param {string} kind Which file, from FILES.
+   */
+  async pick(kind) {
+    const result = await DocumentPicker.getDocumentAsync({
+      copyToCacheDirectory: true,
+    });
+    if (result.type !== "success") {
+      return;
+    }
+    this.setState({working: true, error: null});
+    try {
+      const text = await FileSystem.readAsStringAsync(result.uri);
+      const fields = kind === "bounds" ? propertiesOf(JSON.parse(text))
+                                       : readCsvHeader(text);
+      if (fields.length === 0) {
+        throw "no columns found";
+      }
+      const columns = {...this.state.columns};
+      for (const [field, column] of Object.entries(COLUMNS)) {
+        if (column.file === kind) {
+          columns[field] = fields.find(name => column.guess.test(name)) ||
+                           (column.required ? fields[0] : "");
+        }
+      }
+      this.setState({
+        files: {...this.state.files, [kind]: {name: result.name, text: text}},
+        fields: {...this.state.fields, [kind]: fields},
+        columns: columns,
+        others: kind in OTHER_COLUMNS
+          ? {...this.state.others, [OTHER_COLUMNS[kind]]: []}
+          : this.state.others,
+        preview: null,
+      });
+    }
+    catch (error) {
+      this.setState({error: `${result.name}: ${error}`});
+    }
+    this.setState({working: false});
+  }
+
+  /**
+   * Builds the spec of the import from the current state. Columns of a file
+   * that wasn't picked are null.
+   *
+   * @return {!ImportSpec} The spec, without files or mapRegion.
+   */
+  spec() {
+    const columns = {};
+    for (const [field, column] of Object.entries(COLUMNS)) {
+      columns[field] = this.state.files[column.file] &&
+                       this.state.columns[field] || null;
+    }
+    const mapped = Object.values(columns);
+    for (const kind of Object.values(OTHER_COLUMNS)) {
+      columns[kind] = this.state.others[kind].filter(column =>
+        !mapped.includes(column));
+    }
+    return {
+      id: `import-${Date.now()}`,
+      name: this.state.name.trim(),
+      region: this.state.region.trim(),
+      columns: columns,
+    };
+  }
+
+  /**
+   * Compiles the import as a preview, to check how many areas match across
+   * the files and how many groups they make, then moves on to the review
+   * step.
+   */
+  async review() {
+    this.setState({working: true, error: null});
+    try {
+      const spec = {
+        ...this.spec(),
+        files: {bounds: "bounds", population: "population", counts: "counts"},
+      };
+      const table = new EpiViewTable_Custom({
+        readFile: async kind => this.state.files[kind].text,
+      }, spec);
+      await table.compile();
+      let groups = null;
+      if (this.state.files.groups) {
+        const mapping = readMapping(parseCsv(this.state.files.groups.text),
+                                    spec.columns);
+        groups = Object.keys(table.rollup(byMapping(mapping)).data).length;
+      }
+      this.setState({
+        step: "review",
+        preview: {
+          report: validate(table),
+          mapRegion: fitRegion(table),
+          groups: groups,
+        },
+      });
+    }
+    catch (error) {
+      this.setState({error: String(error)});
+    }
+    this.setState({working: false});
+  }
+
+  /**
+   * Imports the dataset and closes the wizard.
+   */
+  async finish() {
+    this.setState({working: true, error: null});
+    try {
+      const contents = {};
+      for (const [kind, file] of Object.entries(this.state.files)) {
+        contents[kind] = file.text;
+      }
+      await this.props.onImport({
+        ...this.spec(),
+        mapRegion: this.state.preview.mapRegion,
+      }, contents);
+      this.setState(this.initialState());
+      this.props.onClose();
+    }
+    catch (error) {
+      this.setState({working: false, error: String(error)});
+    }
+  }
+
+  /**
+   * Adds or removes an unmapped column from the other columns to import.
+   *
+   * @param {string} kind "series" or "attributes", from OTHER_COLUMNS.
+   * @param {string} column Name of the column.
+   * @param {boolean} included Whether to import it.
+   */
+  toggleOther(kind, column, included) {
+    const others = this.state.others[kind].filter(name => name !== column);
+    if (included) {
+      others.push(column);
+    }
+    this.setState({others: {...this.state.others, [kind]: others}});
+  }
+
+  /**
+   * Closes the wizard, discarding the import in progress.
+   */
+  close() {
+    this.setState(this.initialState());
+    this.props.onClose();
+  }
+
+  render() {
+    const { step, files, fields, columns, preview } = this.state;
+    const picked = Object.entries(FILES).every(([kind, file]) =>
+      !file.required || files[kind]);
+    const mapped = Object.entries(COLUMNS).every(([field, column]) =>
+      !column.required || !files[column.file] || columns[field]);
+    const named = this.state.name.trim() !== "" &&
+                  this.state.region.trim() !== "";
+    return (
+      <Modal visible={this.props.visible}
+             animationType="slide"
+             onRequestClose={() => this.close()}>
+        <ScrollView contentContainerStyle={styles.container}>
+          <Text style={styles.heading}>Import data</Text>
+          {step === "files" && (
+            <View>
+              <Text style={styles.help}>
+                Choose a GeoJSON file of boundaries, a .csv file of
+                population, and a .csv file of cumulative case counts by
+                date. Each file needs a column (or property) with a key, such
+                as a ZIP code, that matches across the files. To also map
+                groups of areas, such as health districts, choose a .csv file
+                with each key's group.
+              </Text>
+              {Object.entries(FILES).map(([kind, file]) =>
+                <View key={kind} style={styles.row}>
+                  <Text style={styles.grow}>
+                    {file.label}: {files[kind] ? files[kind].name : "none"}
+                  </Text>
+                  <Button title="Choose" disabled={this.state.working}
+                          onPress={() => this.pick(kind)} />
+                </View>
+              )}
+              {this.props.imports.length !== 0 &&
+                <Text style={styles.subheading}>Previous imports</Text>
+              }
+              {this.props.imports.map(spec =>
+                <View key={spec.id} style={styles.row}>
+                  <Text style={styles.grow}>{spec.name}</Text>
+                  <Button title="✕"
+                          onPress={() => this.props.onDelete(spec.id)} />
+                </View>
+              )}
+            </View>
+          )}
+          {step === "columns" && Object.entries(FILES)
+            .filter(([kind, file]) => files[kind])
+            .map(([kind, file]) =>
+              <View key={kind}>
+                <Text style={styles.subheading}>{file.label}</Text>
+                {Object.entries(COLUMNS)
+                  .filter(([field, column]) => column.file === kind)
+                  .map(([field, column]) =>
+                    <View key={field} style={styles.row}>
+                      <Text style={styles.label}>{column.label}</Text>
+                      <Picker selectedValue={columns[field] || ""}
+                              style={styles.grow}
+                              onValueChange={value => this.setState({
+                                columns: {...columns, [field]: value},
+                              })}>
+                        {!column.required &&
+                          <Picker.Item label="(none)" value="" />
+                        }
+                        {fields[kind].map(name =>
+                          <Picker.Item key={name} label={name} value={name} />
+                        )}
+                      </Picker>
+                    </View>
+                  )
+                }
+                {kind in OTHER_COLUMNS &&
+                  <Text style={styles.help}>Other columns to import:</Text>
+                }
+                {kind in OTHER_COLUMNS && fields[kind]
+                  .filter(name => !Object.values(columns).includes(name))
+                  .map(name =>
+                    <View key={name} style={styles.row}>
+                      <Text style={styles.grow}>{name}</Text>
+                      <Switch value={this.state.others[OTHER_COLUMNS[kind]]
+                                       .includes(name)}
+                              onValueChange={included => this.toggleOther(
+                                OTHER_COLUMNS[kind], name, included)} />
+                    </View>
+                  )
+                }
+              </View>
+            )}
+          {step === "columns" &&
+            <View>
+              <Text style={styles.subheading}>Dataset</Text>
+              <TextInput value={this.state.name}
+                         style={styles.input}
+                         placeholder="Name, e.g. Alameda County ZIP Codes"
+                         onChangeText={name => this.setState({name: name})} />
+              <TextInput value={this.state.region}
+                         style={styles.input}
+                         placeholder="Region, e.g. Alameda County, California"
+                         onChangeText={region =>
+                           this.setState({region: region})} />
+            </View>
+          }
+          {step === "review" && (
+            <View>
+              <Text style={styles.help}>
+                {preview.report.shown} of {preview.report.entries} areas have
+                population, boundaries, and case counts, and will be on the
+                map. {preview.report.issues.length} problems were found; see
+                the data report after importing for details.
+              </Text>
+              {preview.groups !== null &&
+                <Text style={styles.help}>
+                  {preview.groups} groups have areas in this dataset, and
+                  will be mapped as "{this.state.name.trim()} by Group".
+                </Text>
+              }
+              {preview.report.shown === 0 &&
+                <Text style={styles.error}>
+                  No areas matched across all three files. Check the key
+                  columns.
+                </Text>
+              }
+            </View>
+          )}
+          {this.state.error &&
+            <Text style={styles.error}>{this.state.error}</Text>
+          }
+          {this.state.working &&
+            <ActivityIndicator size="large" color="#ee6e73" />
+          }
+          <View style={styles.row}>
+            <Button title="Cancel" onPress={() => this.close()} />
+            {step === "columns" &&
+              <Button title="Back"
+                      onPress={() => this.setState({step: "files"})} />
+            }
+            {step === "review" &&
+              <Button title="Back"
+                      onPress={() => this.setState({step: "columns"})} />
+            }
+            {step === "files" &&
+              <Button title="Next" disabled={!picked || this.state.working}
+                      onPress={() => this.setState({step: "columns"})} />
+            }
+            {step === "columns" &&
+              <Button title="Next"
+                      disabled={!mapped || !named || this.state.working}
+                      onPress={() => this.review()} />
+            }
+            {step === "review" &&
+              <Button title="Import"
+                      disabled={preview.report.shown === 0 ||
+                                this.state.working}
+                      onPress={() => this.finish()} />
+            }
+          </View>
+        </ScrollView>
+      </Modal>
+    );
+  }
+}
+
+/**
+ * Lists the property names of the features in a GeoJSON object.
+ *
+ * @param {!Object<string, *>} geojson The GeoJSON object.
+ * @return {!Array<string>} Every property name found, in order of first
+ *     appearance.
+ */
+function propertiesOf(geojson) {
+  const names = new Set();
+  for (const feature of readGeoJson(geojson)) {
+    for (const name of Object.keys(feature.properties)) {
+      names.add(name);
+    }
+  }
+  return [...names];
+}
+
+const styles = StyleSheet.create({
+  container: {
+    padding: 24,
+    paddingTop: 48,
+  },
+  heading: {
+    fontSize: 18,
+    fontWeight: "bold",
+    marginBottom: 12,
+  },
+  subheading: {
+    fontWeight: "bold",
+    marginTop: 12,
+  },
+  help: {
+    color: "#666666",
+    marginBottom: 8,
+  },
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginVertical: 4,
+  },
+  grow: {
+    flex: 1,
+  },
+  label: {
+    width: 140,
+  },
+  input: {
+    height: 36,
+    paddingHorizontal: 8,
+    marginVertical: 4,
+    borderColor: "#cccccc",
+    borderWidth: 1,
+  },
+  error: {
+    color: "#cc0000",
+    fontSize: 12,
+    marginVertical: 4,
+  },
+});
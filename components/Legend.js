@@ -0,0 +1,78 @@
+/*
+EpiView
+Legend.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+import React from "react";
+import { StyleSheet, Text, View } from "react-native";
+
+import { CLUSTERS } from "../struct/EpiViewClusters.js";
+import { NO_DATA_COLOR } from "../struct/EpiViewScale.js";
+
+/**
+ * A map legend listing the classes of a color scale, from highest to lowest,
+ * optionally a class for areas with no data, and the kinds of clusters
+ * outlined on the map, if any.
+ *
+ * Props {
+ *   "scale": !EpiViewScale,
+ *   "noData": ?boolean,  // Whether to list a class for areas with no data.
+ *   "clusters": ?Array<string>,  // Kinds of clusters to list, as keys of
+ *       // EpiViewClusters' CLUSTERS.
+ *   "style": ?Object,  // Extra styles for the container, e.g. positioning.
+ * }
+ */
+export default function Legend(props) {
+  const items = props.scale.legend().reverse();
+  if (props.noData) {
+    items.push({color: NO_DATA_COLOR, label: "No data"});
+  }
+  return (
+    <View style={[styles.container, props.style]} pointerEvents="none">
+      {items.map((item, i) =>
+        <View key={i} style={styles.row}>
+          <View style={[styles.swatch, { backgroundColor: item.color }]} />
+          <Text style={styles.label}>{item.label}</Text>
+        </View>
+      )}
+      {(props.clusters || []).map(cluster =>
+        <View key={cluster} style={styles.row}>
+          <View style={[styles.swatch, styles.outline, {
+            borderColor: CLUSTERS[cluster].strokeColor,
+            borderStyle: CLUSTERS[cluster].lineDashPattern ? "dashed"
+                                                           : "solid",
+          }]} />
+          <Text style={styles.label}>{CLUSTERS[cluster].label}</Text>
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    padding: 6,
+    borderRadius: 4,
+    backgroundColor: "rgba(255, 255, 255, 0.85)",
+  },
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginVertical: 1,
+  },
+  swatch: {
+    width: 16,
+    height: 12,
+    marginRight: 6,
+    borderColor: "#999999",
+    borderWidth: StyleSheet.hairlineWidth,
+  },
+  outline: {
+    borderWidth: 2,
+  },
+  label: {
+    fontSize: 11,
+  },
+});
@@ -0,0 +1,148 @@
+/*
+EpiView
+PresetList.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+import React from "react";
+import { Button, FlatList, Modal, StyleSheet, Text, TextInput, View } from "react-native";
+
+/**
+ * A modal panel for saving the current query as a named preset and for
+ * opening, renaming, reordering, and deleting saved presets. Also offers to
+ * share the current query as a link.
+ *
+ * Props {
+ *   "visible": boolean,
+ *   "presets": !EpiViewPresets,
+ *   "params": !Object<string, string>,  // The current query.
+ *   "onOpen": function(!Object<string, string>),  // Opens a preset's query.
+ *   "onShare": function(),  // Shares the current query as a link.
+ *   "onClose": function(),
+ * }
+ */
+export default class PresetList extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      name: "",  // Name for a new preset.
+      editing: -1,  // Index of the preset being renamed, if any.
+      items: props.presets.items.slice(),
+    };
+  }
+
+  /**
+   * Runs a change to the presets, then refreshes the list.
+   *
+   * @param {function(): !Promise} change The change to run.
+   */
+  async update(change) {
+    await change();
+    this.setState({items: this.props.presets.items.slice()});
+  }
+
+  render() {
+    return (
+      <Modal visible={this.props.visible}
+             animationType="slide"
+             onShow={() =>
+               this.setState({items: this.props.presets.items.slice()})}
+             onRequestClose={this.props.onClose}>
+        <View style={styles.container}>
+          <Text style={styles.heading}>Saved maps</Text>
+          <View style={styles.row}>
+            <TextInput value={this.state.name}
+                       style={[styles.input, styles.grow]}
+                       placeholder="Name for the current map"
+                       onChangeText={name => this.setState({name: name})} />
+            <Button title="Save"
+                    disabled={this.state.name.trim() === ""}
+                    onPress={() => this.update(async () => {
+                      await this.props.presets.add(this.state.name.trim(),
+                                                   this.props.params);
+                      this.setState({name: ""});
+                    })} />
+          </View>
+          <FlatList data={this.state.items}
+                    keyExtractor={(item, i) => String(i)}
+                    ListEmptyComponent={
+                      <Text style={styles.empty}>No saved maps yet.</Text>
+                    }
+                    renderItem={({ item, index }) =>
+                      <View style={styles.row}>
+                        {this.state.editing === index ? (
+                          <TextInput defaultValue={item.name}
+                                     style={[styles.input, styles.grow]}
+                                     autoFocus={true}
+                                     onEndEditing={e => this.update(() => {
+                                       this.setState({editing: -1});
+                                       return this.props.presets.rename(
+                                         index, e.nativeEvent.text.trim() ||
+                                                item.name);
+                                     })} />
+                        ) : (
+                          <Text style={[styles.name, styles.grow]}
+                                onPress={() => this.props.onOpen(item.params)}>
+                            {item.name}
+                          </Text>
+                        )}
+                        <Button title="✎"
+                                onPress={() =>
+                                  this.setState({editing: index})} />
+                        <Button title="↑"
+                                disabled={index === 0}
+                                onPress={() => this.update(() =>
+                                  this.props.presets.move(index, -1))} />
+                        <Button title="↓"
+                                disabled={index === this.state.items.length - 1}
+                                onPress={() => this.update(() =>
+                                  this.props.presets.move(index, 1))} />
+                        <Button title="✕"
+                                onPress={() => this.update(() =>
+                                  this.props.presets.remove(index))} />
+                      </View>
+                    } />
+          <Button title="Share link to current map"
+                  onPress={this.props.onShare} />
+          <Button title="Done" onPress={this.props.onClose} />
+        </View>
+      </Modal>
+    );
+  }
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 24,
+    paddingTop: 48,
+  },
+  heading: {
+    fontSize: 18,
+    fontWeight: "bold",
+    marginBottom: 12,
+  },
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginVertical: 4,
+  },
+  grow: {
+    flex: 1,
+  },
+  input: {
+    height: 36,
+    paddingHorizontal: 8,
+    borderColor: "#cccccc",
+    borderWidth: 1,
+  },
+  name: {
+    fontSize: 16,
+    paddingVertical: 8,
+  },
+  empty: {
+    color: "#666666",
+    marginVertical: 12,
+  },
+});
@@ -0,0 +1,181 @@
+/*
+EpiView
+RankingList.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+import React from "react";
+import { Button, FlatList, Modal, Picker, StyleSheet, Text, TextInput, View } from "react-native";
+
+import { formatNumber } from "../struct/EpiViewScale.js";
+
+/**
+ * Orders in which the ranking can be listed.
+ */
+const SORTS = {
+  highest: "Highest first",
+  lowest: "Lowest first",
+  name: "Name",
+};
+
+/**
+ * A modal panel listing every area of the current table with its value, rank,
+ * and percentile, which can be searched by name and sorted. Selecting an area
+ * shows it on the map.
+ *
+ * Props {
+ *   "ranking": ?Array<Object<string, *>>,  // From computeRanking. Hidden if
+ *       // null.
+ *   "caption": string,  // Description of the UDF ranked by.
+ *   "scale": ?EpiViewScale,  // Color scale of the map, for swatches.
+ *   "onSelect": function(string),  // Called with the key of a selected
+ *       // area.
+ *   "onClose": function(),
+ * }
+ */
+export default class RankingList extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      query: "",
+      sort: "highest",
+    };
+  }
+
+  /**
+   * Filters and sorts the ranking according to the search query and order.
+   *
+   * @return {!Array<Object<string, *>>} The areas to list.
+   */
+  items() {
+    const query = this.state.query.trim().toLowerCase();
+    const items = this.props.ranking.filter(item =>
+      `${item.entry.name}, ${item.entry.region}`.toLowerCase()
+                                                .includes(query));
+    switch (this.state.sort) {
+      case "lowest":
+        // Keep areas without a value last.
+        return items.filter(item => item.rank !== null).reverse()
+                    .concat(items.filter(item => item.rank === null));
+      case "name":
+        return items.slice().sort((a, b) =>
+          a.entry.name.localeCompare(b.entry.name));
+      default:
+        return items;
+    }
+  }
+
+  render() {
+    const ranking = this.props.ranking;
+    const ranked = ranking === null ? 0
+                   : ranking.filter(item => item.rank !== null).length;
+    return (
+      <Modal visible={ranking !== null}
+             animationType="slide"
+             onRequestClose={this.props.onClose}>
+        <View style={styles.container}>
+          <Text style={styles.heading}>Rankings</Text>
+          <Text style={styles.caption}>{this.props.caption}</Text>
+          <View style={styles.row}>
+            <TextInput value={this.state.query}
+                       style={[styles.input, styles.grow]}
+                       placeholder="Search areas"
+                       autoCorrect={false}
+                       clearButtonMode="while-editing"
+                       onChangeText={query => this.setState({query: query})} />
+            <Picker selectedValue={this.state.sort}
+                    style={{ width: 150 }}
+                    onValueChange={value => this.setState({sort: value})}>
+              {Object.entries(SORTS).map(([value, label]) =>
+                <Picker.Item key={value} label={label} value={value} />
+              )}
+            </Picker>
+          </View>
+          {ranking !== null &&
+            <FlatList data={this.items()}
+                      keyExtractor={item => item.key}
+                      initialNumToRender={30}
+                      ListEmptyComponent={
+                        <Text style={styles.empty}>No matching areas.</Text>
+                      }
+                      renderItem={({ item }) =>
+                        <View style={styles.row}>
+                          <View style={[styles.swatch, {
+                            backgroundColor: this.props.scale
+                              ? this.props.scale.colorOf(item.value)
+                              : "transparent",
+                          }]} />
+                          <Text style={[styles.name, styles.grow]}
+                                onPress={() => this.props.onSelect(item.key)}>
+                            {item.rank !== null ? `#${item.rank} ` : ""}
+                            {item.entry.name}, {item.entry.region}
+                            {"\n"}
+                            <Text style={styles.detail}>
+                              {item.rank !== null
+                                ? `${formatNumber(item.value)} · higher ` +
+                                  `than ${Math.round(item.percentile)}% ` +
+                                  `of ${ranked - 1} other areas`
+                                : "No data"}
+                            </Text>
+                          </Text>
+                        </View>
+                      } />
+          }
+          <Button title="Done" onPress={this.props.onClose} />
+        </View>
+      </Modal>
+    );
+  }
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 24,
+    paddingTop: 48,
+  },
+  heading: {
+    fontSize: 18,
+    fontWeight: "bold",
+    marginBottom: 4,
+  },
+  caption: {
+    color: "#666666",
+    fontSize: 12,
+    marginBottom: 8,
+  },
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginVertical: 2,
+  },
+  grow: {
+    flex: 1,
+  },
+  input: {
+    height: 36,
+    paddingHorizontal: 8,
+    borderColor: "#cccccc",
+    borderWidth: 1,
+  },
+  swatch: {
+    width: 16,
+    height: 16,
+    marginRight: 8,
+    borderColor: "#cccccc",
+    borderWidth: 1,
+  },
+  name: {
+    fontSize: 16,
+    paddingVertical: 6,
+  },
+  detail: {
+    color: "#666666",
+    fontSize: 12,
+  },
+  empty: {
+    color: "#666666",
+    marginVertical: 12,
+  },
+});
@@ -0,0 +1,181 @@
+/*
+EpiView
+StylePanel.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+import React from "react";
+import { Button, Modal, Picker, StyleSheet, Text, TextInput, View } from "react-native";
+
+import { MISSING_POLICIES } from "../struct/EpiViewEntry.js";
+import { CLASSIFICATIONS, PALETTES } from "../struct/EpiViewScale.js";
+
+/**
+ * A modal panel for choosing how values are classified and colored, and how
+ * dates without counts are handled.
+ *
+ * Props {
+ *   "visible": boolean,
+ *   "style": !Object<string, *>,  // Current styling options for EpiViewScale.
+ *   "missing": !Object<string, *>,  // Current missing data policy, as in
+ *       // EpiViewEntry's DEFAULT_MISSING.
+ *   "onChange": function(!Object<string, *>),  // Called with new options.
+ *   "onChangeMissing": function(!Object<string, *>),  // Called with a new
+ *       // missing data policy.
+ *   "onClose": function(),
+ * }
+ */
+export default class StylePanel extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      thresholdsText: props.style.thresholds.join(", "),
+      thresholdsError: null,
+      stalenessError: null,
+    };
+  }
+
+  /**
+   * Parses manual thresholds from a comma-separated list and, if they're all
+   * numbers, applies them.
+   *
+   * @param {string} text Comma-separated thresholds.
+   */
+  setThresholds(text) {
+    const thresholds = text.split(",")
+                           .map(part => part.trim())
+                           .filter(part => part !== "")
+                           .map(Number);
+    if (thresholds.some(t => !Number.isFinite(t))) {
+      this.setState({
+        thresholdsText: text,
+        thresholdsError: "thresholds must be numbers separated by commas",
+      });
+      return;
+    }
+    this.setState({thresholdsText: text, thresholdsError: null});
+    this.props.onChange({...this.props.style, thresholds: thresholds});
+  }
+
+  /**
+   * Parses the most days that a report may be carried forward and, if it's a
+   * whole number, applies it.
+   *
+   * @param {string} text Number of days.
+   */
+  setStaleness(text) {
+    const days = text.trim() === "" ? NaN : +text;
+    if (!Number.isInteger(days) || days < 0) {
+      this.setState({stalenessError: "days must be a whole number"});
+      return;
+    }
+    this.setState({stalenessError: null});
+    this.props.onChangeMissing({...this.props.missing, maxStaleness: days});
+  }
+
+  render() {
+    const style = this.props.style;
+    const missing = this.props.missing;
+    const change = options => this.props.onChange({...style, ...options});
+    return (
+      <Modal visible={this.props.visible}
+             animationType="slide"
+             onRequestClose={this.props.onClose}>
+        <View style={styles.container}>
+          <Text style={styles.heading}>Classification</Text>
+          <Picker selectedValue={style.classification}
+                  onValueChange={value => change({classification: value})}>
+            {Object.entries(CLASSIFICATIONS).map(([value, label]) =>
+              <Picker.Item key={value} label={label} value={value} />
+            )}
+          </Picker>
+          {style.classification == "manual" ? (
+            <View>
+              <Text style={styles.heading}>Thresholds</Text>
+              <TextInput defaultValue={this.state.thresholdsText}
+                         style={styles.input}
+                         keyboardType="numbers-and-punctuation"
+                         placeholder="e.g. 10, 50, 100, 500"
+                         onEndEditing={e =>
+                           this.setThresholds(e.nativeEvent.text)} />
+              {this.state.thresholdsError &&
+                <Text style={styles.error}>{this.state.thresholdsError}</Text>
+              }
+            </View>
+          ) : (
+            <View>
+              <Text style={styles.heading}>Classes</Text>
+              <Picker selectedValue={style.classes}
+                      onValueChange={value => change({classes: value})}>
+                {[2, 3, 4, 5, 6, 7, 8, 9].map(n =>
+                  <Picker.Item key={n} label={String(n)} value={n} />
+                )}
+              </Picker>
+            </View>
+          )}
+          <Text style={styles.heading}>Palette</Text>
+          <Picker selectedValue={style.palette}
+                  onValueChange={value => change({palette: value})}>
+            <Picker.Item label="Automatic" value="auto" />
+            {Object.entries(PALETTES).map(([value, palette]) =>
+              <Picker.Item key={value}
+                           label={palette.label + " (" + palette.type +
+                                  (palette.colorblindSafe
+                                    ? ", colorblind-safe)" : ")")}
+                           value={value} />
+            )}
+          </Picker>
+          <Text style={styles.heading}>Missing data</Text>
+          <Picker selectedValue={missing.policy}
+                  onValueChange={value => this.props.onChangeMissing({
+                    ...missing,
+                    policy: value,
+                  })}>
+            {Object.entries(MISSING_POLICIES).map(([value, policy]) =>
+              <Picker.Item key={value} label={policy.label} value={value} />
+            )}
+          </Picker>
+          {missing.policy != "missing" &&
+            <View>
+              <Text style={styles.heading}>
+                Days to carry the last report forward
+              </Text>
+              <TextInput defaultValue={String(missing.maxStaleness)}
+                         style={styles.input}
+                         keyboardType="number-pad"
+                         onEndEditing={e =>
+                           this.setStaleness(e.nativeEvent.text)} />
+              {this.state.stalenessError &&
+                <Text style={styles.error}>{this.state.stalenessError}</Text>
+              }
+            </View>
+          }
+          <Button title="Done" onPress={this.props.onClose} />
+        </View>
+      </Modal>
+    );
+  }
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 24,
+    justifyContent: "center",
+  },
+  heading: {
+    fontWeight: "bold",
+    marginTop: 12,
+  },
+  input: {
+    height: 36,
+    paddingHorizontal: 8,
+    borderColor: "#cccccc",
+    borderWidth: 1,
+  },
+  error: {
+    color: "#cc0000",
+    fontSize: 12,
+  },
+});
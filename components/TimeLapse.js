@@ -0,0 +1,61 @@
+/*
+EpiView
+TimeLapse.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+import React from "react";
+import { Button, Slider, StyleSheet, Text, View } from "react-native";
+
+import { addDays, daysBetween } from "../struct/EpiViewEntry.js";
+
+/**
+ * Play/pause and scrub controls for stepping the map through a range of
+ * dates. The parent owns the current date and the animation timer.
+ *
+ * Props {
+ *   "from": !Date,  // First date of the range.
+ *   "to": !Date,  // Last date of the range.
+ *   "date": !Date,  // Date currently shown.
+ *   "playing": boolean,
+ *   "onPlay": function(),
+ *   "onPause": function(),
+ *   "onScrub": function(!Date),  // Called when the user drags the slider.
+ *   "onClose": function(),
+ * }
+ */
+export default function TimeLapse(props) {
+  return (
+    <View style={styles.container}>
+      <Button title={props.playing ? "❚❚" : "▶"}
+              onPress={props.playing ? props.onPause : props.onPlay} />
+      <Slider style={styles.slider}
+              minimumValue={0}
+              maximumValue={daysBetween(props.from, props.to)}
+              step={1}
+              value={daysBetween(props.from, props.date)}
+              minimumTrackTintColor="#ee6e73"
+              onSlidingStart={props.onPause}
+              onValueChange={days =>
+                props.onScrub(addDays(props.from, days))} />
+      <Text style={styles.date}>{props.date.toLocaleDateString()}</Text>
+      <Button title="✕" onPress={props.onClose} />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  slider: {
+    width: 180,
+    marginHorizontal: 8,
+  },
+  date: {
+    width: 80,
+  },
+});
@@ -0,0 +1,131 @@
+/*
+EpiView
+TimeSeriesChart.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+import React from "react";
+import { StyleSheet, Text, View } from "react-native";
+import Svg, { Line, Polyline, Rect } from "react-native-svg";
+
+import { formatNumber } from "../struct/EpiViewScale.js";
+
+/**
+ * Padding around the plot area, in pixels.
+ */
+const PADDING = 4;
+
+/**
+ * A line chart of one or more time series sharing a date axis, with an
+ * optional highlighted range of dates.
+ *
+ * Props {
+ *   "title": string,
+ *   "width": number,
+ *   "height": number,
+ *   "series": !Array<{
+ *     "label": string,
+ *     "color": string,
+ *     "points": !Array<{"date": !Date, "value": number}>,  // In date order.
+ *   }>,
+ *   "highlight": ?{"from": !Date, "to": !Date},
+ * }
+ */
+export default function TimeSeriesChart(props) {
+  const points = props.series.reduce(
+    (total, series) => total.concat(series.points), []);
+  if (points.length === 0) {
+    return <Text style={styles.empty}>No data</Text>;
+  }
+
+  // Find the extent of the data and create functions that map dates and
+  // values to pixels.
+  const minTime = Math.min(...points.map(p => p.date.getTime()));
+  const maxTime = Math.max(...points.map(p => p.date.getTime()));
+  const minValue = Math.min(0, ...points.map(p => p.value));
+  const maxValue = Math.max(1, ...points.map(p => p.value));
+  const x = date => PADDING + (props.width - 2 * PADDING) *
+                    (maxTime === minTime
+                      ? 0.5 : (date.getTime() - minTime) / (maxTime - minTime));
+  const y = value => props.height - PADDING - (props.height - 2 * PADDING) *
+                     (value - minValue) / (maxValue - minValue);
+
+  // Clamp the highlighted range to the extent of the data.
+  let highlight = null;
+  if (props.highlight) {
+    const from = new Date(Math.max(props.highlight.from, minTime));
+    const to = new Date(Math.min(props.highlight.to, maxTime));
+    if (from <= to) {
+      highlight = {x: x(from), width: Math.max(2, x(to) - x(from))};
+    }
+  }
+
+  return (
+    <View>
+      <View style={styles.header}>
+        <Text style={styles.title}>{props.title}</Text>
+        {props.series.map(series =>
+          <Text key={series.label}
+                style={[styles.key, { color: series.color }]}>
+            {series.label}
+          </Text>
+        )}
+      </View>
+      <Svg width={props.width} height={props.height}>
+        {highlight &&
+          <Rect x={highlight.x} y={0}
+                width={highlight.width} height={props.height}
+                fill="rgba(238, 110, 115, 0.2)" />
+        }
+        <Line x1={PADDING} y1={y(0)} x2={props.width - PADDING} y2={y(0)}
+              stroke="#999999" strokeWidth={1} />
+        {props.series.map(series =>
+          <Polyline key={series.label}
+                    points={series.points
+                                  .map(p => `${x(p.date)},${y(p.value)}`)
+                                  .join(" ")}
+                    fill="none"
+                    stroke={series.color}
+                    strokeWidth={1.5} />
+        )}
+      </Svg>
+      <View style={styles.axis}>
+        <Text style={styles.tick}>
+          {new Date(minTime).toLocaleDateString()}
+        </Text>
+        <Text style={styles.tick}>max {formatNumber(maxValue)}</Text>
+        <Text style={styles.tick}>
+          {new Date(maxTime).toLocaleDateString()}
+        </Text>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  header: {
+    flexDirection: "row",
+    alignItems: "baseline",
+  },
+  title: {
+    fontWeight: "bold",
+    marginRight: 8,
+  },
+  key: {
+    fontSize: 11,
+    marginRight: 6,
+  },
+  axis: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+  },
+  tick: {
+    fontSize: 10,
+    color: "#666666",
+  },
+  empty: {
+    fontSize: 12,
+    color: "#666666",
+  },
+});
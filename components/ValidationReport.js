@@ -0,0 +1,96 @@
+/*
+EpiView
+ValidationReport.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+import React from "react";
+import { Button, Modal, SectionList, StyleSheet, Text, View } from "react-native";
+
+import { ISSUES } from "../struct/EpiViewValidation.js";
+
+/**
+ * A modal panel listing the problems found in a table's source data, grouped
+ * by kind.
+ *
+ * Props {
+ *   "report": ?Object<string, *>,  // From validate. Hidden if null.
+ *   "onClose": function(),
+ * }
+ */
+export default function ValidationReport(props) {
+  const report = props.report;
+  const sections = report === null ? [] : Object.entries(ISSUES)
+    .map(([type, issue]) => ({
+      ...issue,
+      data: report.issues.filter(item => item.type === type),
+    }))
+    .filter(section => section.data.length !== 0);
+  return (
+    <Modal visible={report !== null}
+           animationType="slide"
+           onRequestClose={props.onClose}>
+      <View style={styles.container}>
+        <Text style={styles.heading}>Data report</Text>
+        {report !== null &&
+          <Text style={styles.summary}>
+            {report.shown} of {report.entries} areas are on the map.
+            {sections.length === 0 ? " No problems were found." : ""}
+          </Text>
+        }
+        <SectionList sections={sections}
+                     keyExtractor={(item, i) => String(i)}
+                     renderSectionHeader={({ section }) =>
+                       <View style={styles.section}>
+                         <Text style={styles.label}>
+                           {section.label} ({section.data.length})
+                           {section.hidden ? " — not on the map" : ""}
+                         </Text>
+                         <Text style={styles.description}>
+                           {section.description}
+                         </Text>
+                       </View>
+                     }
+                     renderItem={({ item }) =>
+                       <Text style={styles.item}>
+                         {item.name}: {item.message}
+                       </Text>
+                     } />
+        <Button title="Done" onPress={props.onClose} />
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 24,
+    paddingTop: 48,
+  },
+  heading: {
+    fontSize: 18,
+    fontWeight: "bold",
+    marginBottom: 8,
+  },
+  summary: {
+    marginBottom: 8,
+  },
+  section: {
+    paddingTop: 12,
+    paddingBottom: 4,
+    backgroundColor: "#ffffff",
+  },
+  label: {
+    fontWeight: "bold",
+  },
+  description: {
+    color: "#666666",
+    fontSize: 12,
+  },
+  item: {
+    fontSize: 12,
+    paddingVertical: 2,
+  },
+});
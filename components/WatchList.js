@@ -0,0 +1,260 @@
+/*
+EpiView
+WatchList.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+import React from "react";
+import { Button, Modal, Picker, SectionList, StyleSheet, Text, TextInput, View } from "react-native";
+
+import { describeRule, RULE_TEMPLATES } from "../struct/EpiViewWatchlist.js";
+
+/**
+ * A modal panel for watching the selected area under a threshold rule, and
+ * for reviewing the watched areas and the history of alerts.
+ *
+ * Props {
+ *   "visible": boolean,
+ *   "watchlist": !EpiViewWatchlist,
+ *   "selection": ?Object<string, string>,  // The area to watch: {"tableId",
+ *       // "key", "title"}, or null if no area is selected.
+ *   "current": ?Object<string, *>,  // The UDF of the map, as a rule's
+ *       // "label" and "params", or null if it can't be watched.
+ *   "onWatch": function(!Rule): !Promise,  // Watches the selected area.
+ *   "onClose": function(),
+ * }
+ */
+export default class WatchList extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      template: "0",  // Index in RULE_TEMPLATES, or "current".
+      above: true,
+      threshold: String(RULE_TEMPLATES[0].threshold),
+      thresholdError: null,
+      updateError: null,  // Why the last change failed, if it did.
+      items: props.watchlist.items.slice(),
+      history: props.watchlist.history.slice(),
+    };
+  }
+
+  /**
+   * Runs a change to the watchlist, then refreshes the lists. If the change
+   * fails, e.g. because the watchlist can't be saved, shows why.
+   *
+   * @param {function(): !Promise} change The change to run.
+   */
+  async update(change) {
+    let updateError = null;
+    try {
+      await change();
+    }
+    catch (e) {
+      updateError = `Unable to update the watchlist: ${e}`;
+    }
+    this.setState({
+      updateError: updateError,
+      items: this.props.watchlist.items.slice(),
+      history: this.props.watchlist.history.slice(),
+    });
+  }
+
+  /**
+   * Chooses the UDF of the rule, suggesting its template's threshold.
+   *
+   * @param {string} template Index in RULE_TEMPLATES, or "current".
+   */
+  setTemplate(template) {
+    const rule = RULE_TEMPLATES[template];
+    this.setState(rule ? {
+      template: template,
+      above: rule.above,
+      threshold: String(rule.threshold),
+      thresholdError: null,
+    } : {template: template});
+  }
+
+  /**
+   * Watches the selected area under the rule being edited, if its threshold
+   * is a number.
+   */
+  watch() {
+    const threshold = this.state.threshold.trim() === ""
+                      ? NaN : +this.state.threshold;
+    if (!Number.isFinite(threshold)) {
+      this.setState({thresholdError: "threshold must be a number"});
+      return;
+    }
+    const udf = this.state.template === "current"
+                ? this.props.current : RULE_TEMPLATES[this.state.template];
+    this.setState({thresholdError: null});
+    this.update(() => this.props.onWatch({
+      label: udf.label,
+      params: udf.params,
+      above: this.state.above,
+      threshold: threshold,
+    }));
+  }
+
+  render() {
+    const selection = this.props.selection;
+    const sections = [
+      {title: "Watched areas", data: this.state.items,
+       empty: "No watched areas yet."},
+      {title: "Alert history", data: this.state.history,
+       empty: "No alerts yet."},
+    ];
+    return (
+      <Modal visible={this.props.visible}
+             animationType="slide"
+             onShow={() => this.setState({
+               items: this.props.watchlist.items.slice(),
+               history: this.props.watchlist.history.slice(),
+             })}
+             onRequestClose={this.props.onClose}>
+        <View style={styles.container}>
+          <Text style={styles.heading}>Watchlist</Text>
+          {this.state.updateError &&
+            <Text style={styles.error}>{this.state.updateError}</Text>
+          }
+          {selection ? (
+            <View>
+              <Text>Alert me when, in {selection.title},</Text>
+              <Picker selectedValue={this.state.template}
+                      onValueChange={value => this.setTemplate(value)}>
+                {RULE_TEMPLATES.map((rule, i) =>
+                  <Picker.Item key={i} label={rule.label} value={String(i)} />
+                )}
+                {this.props.current &&
+                  <Picker.Item label={this.props.current.label}
+                               value="current" />
+                }
+              </Picker>
+              <View style={styles.row}>
+                <Picker selectedValue={this.state.above ? "above" : "below"}
+                        style={styles.grow}
+                        onValueChange={value =>
+                          this.setState({above: value === "above"})}>
+                  <Picker.Item label="rises above" value="above" />
+                  <Picker.Item label="falls below" value="below" />
+                </Picker>
+                <TextInput value={this.state.threshold}
+                           style={[styles.input, styles.threshold]}
+                           keyboardType="numbers-and-punctuation"
+                           onChangeText={text =>
+                             this.setState({threshold: text})} />
+                <Button title="Watch" onPress={() => this.watch()} />
+              </View>
+              {this.state.thresholdError &&
+                <Text style={styles.error}>{this.state.thresholdError}</Text>
+              }
+            </View>
+          ) : (
+            <Text style={styles.empty}>
+              Tap an area on the map to watch it.
+            </Text>
+          )}
+          <SectionList sections={sections}
+                       keyExtractor={(item, i) => String(i)}
+                       renderSectionHeader={({ section }) =>
+                         <View style={styles.section}>
+                           <Text style={[styles.label, styles.grow]}>
+                             {section.title}
+                           </Text>
+                           {section.data === this.state.history &&
+                              section.data.length !== 0 &&
+                             <Button title="Clear"
+                                     onPress={() => this.update(() =>
+                                       this.props.watchlist.clearHistory())} />
+                           }
+                         </View>
+                       }
+                       renderSectionFooter={({ section }) =>
+                         section.data.length === 0
+                           ? <Text style={styles.empty}>{section.empty}</Text>
+                           : null
+                       }
+                       renderItem={({ item, index, section }) =>
+                         section.data === this.state.items ? (
+                           <View style={styles.row}>
+                             <Text style={[styles.item, styles.grow]}>
+                               {item.title}{"\n"}
+                               <Text style={styles.detail}>
+                                 {item.rule.label} {describeRule(item.rule)}
+                                 {item.firing ? " — alerting" : ""}
+                               </Text>
+                             </Text>
+                             <Button title="✕"
+                                     onPress={() => this.update(() =>
+                                       this.props.watchlist.remove(index))} />
+                           </View>
+                         ) : (
+                           <Text style={styles.item}>
+                             {item.title}{"\n"}
+                             <Text style={styles.detail}>{item.message}</Text>
+                           </Text>
+                         )
+                       } />
+          <Button title="Done" onPress={this.props.onClose} />
+        </View>
+      </Modal>
+    );
+  }
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 24,
+    paddingTop: 48,
+  },
+  heading: {
+    fontSize: 18,
+    fontWeight: "bold",
+    marginBottom: 8,
+  },
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginVertical: 2,
+  },
+  grow: {
+    flex: 1,
+  },
+  input: {
+    height: 36,
+    paddingHorizontal: 8,
+    borderColor: "#cccccc",
+    borderWidth: 1,
+  },
+  threshold: {
+    width: 80,
+  },
+  error: {
+    color: "#cc0000",
+    fontSize: 12,
+  },
+  section: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingTop: 12,
+    paddingBottom: 4,
+    backgroundColor: "#ffffff",
+  },
+  label: {
+    fontWeight: "bold",
+  },
+  item: {
+    fontSize: 14,
+    paddingVertical: 4,
+  },
+  detail: {
+    color: "#666666",
+    fontSize: 12,
+  },
+  empty: {
+    color: "#666666",
+    marginVertical: 8,
+  },
+});
@@ -0,0 +1,359 @@
+/*
+EpiView
+EpiViewClusters.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+/**
+ * Local statistics that detect clusters of areas. Each tests every area
+ * against its neighbors, the areas whose bounds share a point with its own.
+ * Getis-Ord Gi* finds hot and cold spots: areas that, together with their
+ * neighbors, are higher or lower than the map as a whole. Local Moran's I
+ * also finds outliers: areas unlike their neighbors.
+ */
+export const STATISTICS = {
+  "getis-ord": {label: "Hot & cold spots (Getis-Ord Gi*)", short: "Gi*"},
+  "moran": {label: "Clusters & outliers (local Moran's I)",
+            short: "Local Moran's I"},
+};
+
+/**
+ * Kinds of clusters that an area can belong to, and how they're outlined on
+ * the map. The colors stand apart from every palette's fills; outliers are
+ * dashed.
+ */
+export const CLUSTERS = {
+  "high": {label: "High cluster", strokeColor: "#c51b7d"},
+  "low": {label: "Low cluster", strokeColor: "#4d9221"},
+  "high outlier": {label: "High outlier", strokeColor: "#c51b7d",
+                   lineDashPattern: [6, 4]},
+  "low outlier": {label: "Low outlier", strokeColor: "#4d9221",
+                  lineDashPattern: [6, 4]},
+};
+
+/**
+ * Significance levels that a cluster can be tested at, with the critical
+ * z-score of each two-sided test. No correction is made for testing every
+ * area, so about one area in twenty is flagged at 0.05 by chance alone.
+ */
+export const SIGNIFICANCE_LEVELS = {
+  "0.05": {label: "p < 0.05", z: 1.959964},
+  "0.01": {label: "p < 0.01", z: 2.575829},
+  "0.001": {label: "p < 0.001", z: 3.290527},
+};
+
+/**
+ * Default analysis, which detects no clusters: an object with "statistic",
+ * a key of STATISTICS or null, "significance", a key of
+ * SIGNIFICANCE_LEVELS, and "smooth", whether to smooth rates first (see
+ * canSmooth).
+ */
+export const DEFAULT_ANALYSIS = {
+  statistic: null,
+  significance: "0.05",
+  smooth: true,
+};
+
+/**
+ * Modes in which a UDF sums or averages counts, so that per 100k population
+ * it's a rate that can be smoothed.
+ */
+const COUNT_MODES = ["on", "differenced between", "averaged",
+                     "rolling average", "rolling sum"];
+
+/**
+ * Precision in degrees to which points are matched when finding neighbors,
+ * about 10 cm. Neighboring areas in the same source share their boundary
+ * points exactly, save for rounding.
+ */
+const SNAP = 1e-6;
+
+/**
+ * Neighbors of the complete entries of each table, by the table's keys, so
+ * that they're found again once the table is reindexed.
+ */
+const neighborCache = new WeakMap();
+
+/**
+ * Checks whether the rates of a UDF can be smoothed: whether it's a count
+ * per 100k population, and not compared with another UDF.
+ *
+ * @param {!Object<string, *>} udf An object representing the UDF.
+ * @return {boolean} Whether it can be smoothed.
+ */
+export function canSmooth(udf) {
+  return !udf.compare && COUNT_MODES.includes(udf.mode) &&
+         udf.denominator === "per 100k population";
+}
+
+/**
+ * Finds which areas neighbor each other: those whose rings share a point
+ * (queen contiguity). Enclaves neighbor the areas around them through the
+ * rings of their holes.
+ *
+ * @param {!Array<Array<Array<LatLng>>>} rings Every ring of each area,
+ *     exterior and interior.
+ * @return {!Array<Array<number>>} The indices of each area's neighbors, in
+ *     ascending order.
+ */
+export function findNeighbors(rings) {
+  const owners = new Map();  // Areas with each point, by snapped point.
+  const neighbors = rings.map(() => new Set());
+  for (const [i, areaRings] of rings.entries()) {
+    for (const ring of areaRings) {
+      for (const { latitude, longitude } of ring) {
+        const point = `${Math.round(latitude / SNAP)},` +
+                      `${Math.round(longitude / SNAP)}`;
+        const areas = owners.get(point);
+        if (areas === undefined) {
+          owners.set(point, [i]);
+        }
+        else if (areas[areas.length - 1] !== i) {
+          for (const j of areas) {
+            neighbors[i].add(j);
+            neighbors[j].add(i);
+          }
+          areas.push(i);
+        }
+      }
+    }
+  }
+  return neighbors.map(set => [...set].sort((a, b) => a - b));
+}
+
+/**
+ * Finds the neighbors of the complete entries of a table (see
+ * findNeighbors). They're computed once per indexing of the table.
+ *
+ * @param {!EpiViewTable} table The table.
+ * @return {!Array<Array<number>>} The indices in keys of each entry's
+ *     neighbors, aligned with keys.
+ */
+export function neighborsOf(table) {
+  let neighbors = neighborCache.get(table.keys);
+  if (!neighbors) {
+    neighbors = findNeighbors(table.keys.map(key => {
+      const entry = table.data[key];
+      return entry.bounds.concat(...entry.holes);
+    }));
+    neighborCache.set(table.keys, neighbors);
+  }
+  return neighbors;
+}
+
+/**
+ * Smooths rates with Marshall's global empirical Bayes estimator. Each
+ * area's rate is shrunk towards the overall rate, the more so the smaller
+ * its population, so that a handful of cases in a small area doesn't stand
+ * out as a huge rate.
+ *
+ * @param {!Float64Array} events The number of events (e.g. cases) in each
+ *     area. Areas with NaN are left out.
+ * @param {!Float64Array} populations The population of each area. Areas
+ *     without population are left out.
+ * @return {!Float64Array} The smoothed rate of each area, per person, or NaN
+ *     for areas left out.
+ */
+export function smoothRates(events, populations) {
+  const smoothed = new Float64Array(events.length).fill(NaN);
+  const included = [];
+  let totalEvents = 0, totalPopulation = 0;
+  for (let i = 0; i < events.length; i++) {
+    if (Number.isFinite(events[i]) && populations[i] > 0) {
+      included.push(i);
+      totalEvents += events[i];
+      totalPopulation += populations[i];
+    }
+  }
+  if (included.length === 0) {
+    return smoothed;
+  }
+  // Estimate the mean and variance of the underlying rates by the method of
+  // moments.
+  const mean = totalEvents / totalPopulation;
+  let spread = 0;
+  for (const i of included) {
+    spread += populations[i] * (events[i] / populations[i] - mean) ** 2;
+  }
+  const variance = Math.max(
+    spread / totalPopulation - mean / (totalPopulation / included.length), 0);
+  for (const i of included) {
+    const rate = events[i] / populations[i];
+    const weight = variance === 0
+                   ? 0 : variance / (variance + mean / populations[i]);
+    smoothed[i] = mean + weight * (rate - mean);
+  }
+  return smoothed;
+}
+
+/**
+ * Computes the local Moran's I of each area with row-standardized weights,
+ * as a z-score under randomization (Anselin, 1995). A high z-score means an
+ * area is like its neighbors, and a low one that it's unlike them.
+ *
+ * @param {!Float64Array} values The value of each area. Areas with NaN are
+ *     left out, as if they weren't on the map.
+ * @param {!Array<Array<number>>} neighbors The neighbors of each area, from
+ *     findNeighbors.
+ * @return {!Float64Array} The z-score of each area, or NaN for areas left
+ *     out or without neighbors.
+ */
+export function localMoran(values, neighbors) {
+  const { included, n, mean, moments } = summarize(values, neighbors);
+  const z = new Float64Array(values.length).fill(NaN);
+  const m2 = moments[2], b2 = moments[4] / (m2 * m2);
+  if (n < 3 || m2 === 0) {
+    return z;
+  }
+  for (const [i, others] of included) {
+    const k = others.length;
+    let lag = 0;
+    for (const j of others) {
+      lag += values[j] - mean;
+    }
+    const statistic = (values[i] - mean) / m2 * lag / k;
+    const expected = -1 / (n - 1);
+    const variance = (n - b2) / (k * (n - 1)) +
+                     (1 - 1 / k) * (2 * b2 - n) / ((n - 1) * (n - 2)) -
+                     1 / ((n - 1) * (n - 1));
+    z[i] = variance > 0 ? (statistic - expected) / Math.sqrt(variance) : NaN;
+  }
+  return z;
+}
+
+/**
+ * Computes the Getis-Ord Gi* statistic of each area with binary weights,
+ * which is a z-score (Ord and Getis, 1995). A high z-score means an area and
+ * its neighbors are higher than the map as a whole.
+ *
+ * @param {!Float64Array} values The value of each area, as in localMoran.
+ * @param {!Array<Array<number>>} neighbors The neighbors of each area, from
+ *     findNeighbors.
+ * @return {!Float64Array} The z-score of each area, or NaN for areas left
+ *     out or without neighbors.
+ */
+export function getisOrd(values, neighbors) {
+  const { included, n, mean, moments } = summarize(values, neighbors);
+  const z = new Float64Array(values.length).fill(NaN);
+  const deviation = Math.sqrt(moments[2]);
+  if (n < 2 || deviation === 0) {
+    return z;
+  }
+  for (const [i, others] of included) {
+    // The area itself counts as one of its neighbors.
+    const weight = others.length + 1;
+    let sum = values[i];
+    for (const j of others) {
+      sum += values[j];
+    }
+    const spread = (n * weight - weight * weight) / (n - 1);
+    z[i] = spread > 0
+           ? (sum - mean * weight) / (deviation * Math.sqrt(spread)) : NaN;
+  }
+  return z;
+}
+
+/**
+ * Detects the areas that are in significant clusters.
+ *
+ * @param {!Float64Array} values The value of each area, as in localMoran.
+ * @param {!Array<Array<number>>} neighbors The neighbors of each area, from
+ *     findNeighbors.
+ * @param {!Object<string, *>} analysis The analysis, as in DEFAULT_ANALYSIS,
+ *     with a statistic.
+ * @return {!Object<string, *>} The clusters: {
+ *   "z": !Float64Array,  // The z-score of each area under the statistic.
+ *   "clusters": !Array<?string>,  // The cluster that each area is in, a key
+ *       // of CLUSTERS, or null if it isn't in one.
+ * }
+ */
+export function detectClusters(values, neighbors, analysis) {
+  if (!(analysis.statistic in STATISTICS)) {
+    throw `unknown statistic "${analysis.statistic}"`;
+  }
+  const z = analysis.statistic === "moran" ? localMoran(values, neighbors)
+                                           : getisOrd(values, neighbors);
+  const critical = SIGNIFICANCE_LEVELS[analysis.significance].z;
+  const { mean } = summarize(values, neighbors);
+  const clusters = Array.from(z, (score, i) => {
+    if (!(Math.abs(score) > critical)) {
+      return null;
+    }
+    if (analysis.statistic === "getis-ord") {
+      return score > 0 ? "high" : "low";
+    }
+    // Local Moran's I is high where an area is like its neighbors, so the
+    // area's own value tells high clusters from low ones.
+    const high = values[i] > mean;
+    return score > 0 ? (high ? "high" : "low")
+                     : (high ? "high outlier" : "low outlier");
+  });
+  return {z: z, clusters: clusters};
+}
+
+/**
+ * Describes the result of an analysis on one area, e.g. "High cluster
+ * (Gi* z = 2.81, p < 0.05)".
+ *
+ * @param {!Object<string, *>} result The area's result, from
+ *     EpiViewTable.computeClusters.
+ * @param {!Object<string, *>} analysis The analysis, as in DEFAULT_ANALYSIS,
+ *     with a statistic.
+ * @return {string} The description.
+ */
+export function describeCluster(result, analysis) {
+  const statistic = STATISTICS[analysis.statistic].short;
+  if (Number.isNaN(result.z)) {
+    return `Not tested by ${statistic} (no neighbors with data)`;
+  }
+  const z = `${statistic} z = ${result.z.toFixed(2)}`;
+  const smoothed = result.smoothed
+    ? `; smoothed rate ${+result.value.toFixed(3)} per 100k population` : "";
+  return result.cluster !== null
+    ? `${CLUSTERS[result.cluster].label} (${z}, ` +
+      `${SIGNIFICANCE_LEVELS[analysis.significance].label})${smoothed}`
+    : `Not in a cluster (${z})${smoothed}`;
+}
+
+/**
+ * Summarizes the areas with values: their number and the mean and central
+ * moments of their values, and their neighbors with values.
+ *
+ * @param {!Float64Array} values The value of each area.
+ * @param {!Array<Array<number>>} neighbors The neighbors of each area.
+ * @return {!Object<string, *>} The summary: {
+ *   "included": !Array<Array<*>>,  // [index, neighbors with values] of each
+ *       // area with a value and at least one such neighbor.
+ *   "n": number,  // Number of areas with values.
+ *   "mean": number,
+ *   "moments": !Object<number, number>,  // Second and fourth central
+ *       // moments, by order.
+ * }
+ */
+function summarize(values, neighbors) {
+  const valid = i => Number.isFinite(values[i]);
+  let n = 0, sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    if (valid(i)) {
+      n++;
+      sum += values[i];
+    }
+  }
+  const mean = sum / n;
+  const moments = {2: 0, 4: 0};
+  const included = [];
+  for (let i = 0; i < values.length; i++) {
+    if (!valid(i)) {
+      continue;
+    }
+    const deviation = values[i] - mean;
+    moments[2] += deviation ** 2 / n;
+    moments[4] += deviation ** 4 / n;
+    const others = neighbors[i].filter(valid);
+    if (others.length !== 0) {
+      included.push([i, others]);
+    }
+  }
+  return {included: included, n: n, mean: mean, moments: moments};
+}
@@ -0,0 +1,251 @@
+/*
+EpiView
+EpiViewCsv.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+/**
+ * Matches the delimiters that can end an unquoted field.
+ */
+const DELIMITER = /[,\r\n]/g;
+
+/**
+ * Parses .csv data (RFC 4180) that may arrive in chunks, calling back with
+ * each row as soon as it's complete. The first row is the header row, whose
+ * values name the fields of the rows after it.
+ *
+ * Fields may be quoted, in which case they may contain commas, line breaks,
+ * and doubled quotes. Lines may end in LF or CRLF, a leading byte order mark
+ * is ignored, and blank lines are skipped.
+ *
+ * EpiViewCsvParser {
+ *   "onRow": function(!Object<string, string>),
+ *   "header": ?Array<string>,  // Values of the header row, once parsed.
+ *   "buffer": string,  // Data not yet parsed: the start of an incomplete row.
+ *   "line": number,  // Line number of the start of buffer, for errors.
+ * }
+ */
+export default class EpiViewCsvParser {
+  /**
+   * @param {function(!Object<string, string>)} onRow Called with each row
+   *     after the header row, as an object keyed by field name.
+   */
+  constructor(onRow) {
+    this.onRow = onRow;
+    this.header = null;
+    this.buffer = "";
+    this.line = 1;
+  }
+
+  /**
+   * Parses the next chunk of data. Rows that the chunk completes are passed
+   * to onRow; the rest is kept until the next chunk.
+   *
+   * @param {string} chunk The next chunk of data.
+   */
+  push(chunk) {
+    this.buffer += chunk;
+    this.parse(false);
+  }
+
+  /**
+   * Parses the rest of the data, after the last chunk has been pushed.
+   */
+  end() {
+    this.parse(true);
+  }
+
+  /**
+   * Parses every complete row in the buffer.
+   *
+   * @param {boolean} final Whether no more data will arrive, so that the
+   *     last row is complete even without a line break.
+   */
+  parse(final) {
+    let text = this.buffer;
+    if (this.header === null && text.charCodeAt(0) === 0xFEFF) {
+      text = text.slice(1);
+    }
+    let pos = 0;
+    while (pos < text.length) {
+      const record = readRecord(text, pos, final, this.line);
+      if (record === null) {
+        break;
+      }
+      pos = record.end;
+      this.line += record.lines;
+      if (record.values.length === 1 && record.values[0] === "") {
+        continue;  // blank line
+      }
+      if (this.header === null) {
+        this.header = record.values;
+        continue;
+      }
+      this.onRow(Object.fromEntries(
+        record.values.map((value, j) => [this.header[j], value])));
+    }
+    this.buffer = text.slice(pos);
+  }
+}
+
+/**
+ * Parses .csv data all at once.
+ *
+ * @param {string} csv Body of .csv file, starting with a header row.
+ * @return {!Array<Object<string, string>>} Array of rows, each represented
+ *     as an object keyed by field name.
+ */
+export function parseCsv(csv) {
+  const rows = [];
+  readCsv(csv, row => rows.push(row));
+  return rows;
+}
+
+/**
+ * Parses .csv data all at once, calling back with each row instead of
+ * collecting them, for data with too many rows to hold at once.
+ *
+ * @param {string} csv Body of .csv file, starting with a header row.
+ * @param {function(!Object<string, string>)} onRow Called with each row, as
+ *     for EpiViewCsvParser.
+ */
+export function readCsv(csv, onRow) {
+  const parser = new EpiViewCsvParser(onRow);
+  parser.push(csv);
+  parser.end();
+}
+
+/**
+ * Parses the .csv body of a response as it arrives, calling back with each
+ * row. The body is read through body.getReader() where the response has
+ * one, in chunks of text or of UTF-8 bytes; otherwise it's read all at once.
+ *
+ * @param {!Response} res The response, as from fetch.
+ * @param {function(!Object<string, string>)} onRow Called with each row, as
+ *     for EpiViewCsvParser.
+ * @return {!Promise} Resolves once the whole body has been parsed.
+ */
+export async function readCsvResponse(res, onRow) {
+  if (!res.body || !res.body.getReader) {
+    readCsv(await res.text(), onRow);
+    return;
+  }
+  const parser = new EpiViewCsvParser(onRow);
+  const reader = res.body.getReader();
+  let decoder = null;
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    if (typeof value === "string") {
+      parser.push(value);
+    }
+    else {
+      decoder = decoder || new TextDecoder();
+      parser.push(decoder.decode(value, {stream: true}));
+    }
+  }
+  if (decoder) {
+    parser.push(decoder.decode());
+  }
+  parser.end();
+}
+
+/**
+ * Reads one record (a row of values) from .csv data.
+ *
+ * @param {string} text The data.
+ * @param {number} pos Position in the data where the record starts.
+ * @param {boolean} final Whether the data is complete. If not, a record that
+ *     runs to the end of the data may continue in the next chunk.
+ * @param {number} line Line number of the start of the record, for errors.
+ * @return {?Object<string, *>} The record: {
+ *   "values": !Array<string>,
+ *   "end": number,  // Position in the data after the record's line break.
+ *   "lines": number,  // Number of lines that the record spans.
+ * }, or null if the record may be incomplete.
+ */
+function readRecord(text, pos, final, line) {
+  const values = [];
+  let lines = 1;
+  while (true) {
+    // Read a field.
+    if (text[pos] === "\"") {
+      let value = "";
+      let start = pos + 1;
+      while (true) {
+        const quote = text.indexOf("\"", start);
+        if (quote === -1 || quote === text.length - 1 && !final) {
+          if (final) {
+            throw `malformed .csv: unterminated quote on line ${line}`;
+          }
+          return null;
+        }
+        value += text.slice(start, quote);
+        if (text[quote + 1] !== "\"") {
+          pos = quote + 1;
+          break;
+        }
+        value += "\"";
+        start = quote + 2;
+      }
+      lines += (value.match(/\n/g) || []).length;
+      values.push(value);
+    }
+    else {
+      DELIMITER.lastIndex = pos;
+      const match = DELIMITER.exec(text);
+      if (match === null && !final) {
+        return null;
+      }
+      const end = match === null ? text.length : match.index;
+      values.push(text.slice(pos, end));
+      pos = end;
+    }
+
+    // Read the delimiter after it.
+    if (pos === text.length) {
+      return final ? {values: values, end: pos, lines: lines} : null;
+    }
+    switch (text[pos]) {
+      case ",":
+        pos++;
+        break;
+      case "\r":
+        if (pos === text.length - 1 && !final) {
+          return null;  // The \n may be in the next chunk.
+        }
+        return {
+          values: values,
+          end: text[pos + 1] === "\n" ? pos + 2 : pos + 1,
+          lines: lines,
+        };
+      case "\n":
+        return {values: values, end: pos + 1, lines: lines};
+      default:
+        throw `malformed .csv: unexpected ${text[pos]} after quoted field ` +
+              `on line ${line + lines - 1}`;
+    }
+  }
+}
+
+/**
+ * Reads just the header row of .csv data, e.g. to list its fields.
+ *
+ * @param {string} csv Body of .csv file, starting with a header row.
+ * @return {!Array<string>} Values of the header row.
+ */
+export function readCsvHeader(csv) {
+  const parser = new EpiViewCsvParser(() => {});
+  // The header row is almost always near the start; avoid parsing the rest.
+  for (let start = 0; parser.header === null && start < csv.length;
+       start += 65536) {
+    parser.push(csv.slice(start, start + 65536));
+  }
+  if (parser.header === null) {
+    parser.end();
+  }
+  return parser.header || [];
+}
@@ -5,6 +5,68 @@ EpiViewEntry.js
 Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
 */
 
+import { boxOf, DETAIL_BANDS, simplifyShape } from "./EpiViewGeometry.js";
+
+/**
+ * Modes in which a user-defined function (UDF) can be evaluated. Modes that
+ * use a reference date evaluate over refDate-date; modes that use a window
+ * evaluate over the udf.window days ending on date (and, for those that
+ * compare, the udf.window days before that). Modes that use a window sum
+ * daily values, so they only take daily new numerators (see numeratorFor).
+ */
+export const MODES = {
+  "on": {label: "On"},
+  "differenced between": {label: "Diff. btw.", refDate: true},
+  "averaged": {label: "Avg.", refDate: true},
+  "rolling average": {label: "Rolling avg.", window: true},
+  "rolling sum": {label: "Rolling sum", window: true},
+  "percent change": {label: "% change", window: true},
+  "doubling time": {label: "Doubling time", window: true},
+  "reproduction number": {label: "Est. Rt", window: true},
+  "formula": {label: "Formula", refDate: true},
+};
+
+/**
+ * Default number of days in the window of a windowed mode.
+ */
+export const DEFAULT_WINDOW = 7;
+
+/**
+ * Ways to compare a UDF with another (see compareUdf). "split" shows the two
+ * side by side on the same color scale; the others map a single value, the
+ * UDF's value relative to the other's.
+ */
+export const COMPARISONS = {
+  "split": {label: "Side by side"},
+  "ratio": {label: "Ratio"},
+  "percent change": {label: "% change"},
+};
+
+/**
+ * Policies for dates on which an entry has no counts, such as between weekly
+ * reports or after an area stops reporting. Dates before an entry's first
+ * counts are always taken to have counts of 0, since sources start listing
+ * an area with its first case.
+ */
+export const MISSING_POLICIES = {
+  "forward fill": {label: "Carry last report forward"},
+  "interpolate": {label: "Interpolate between reports"},
+  "missing": {label: "Show as no data"},
+};
+
+/**
+ * Default handling of missing counts: an object with "policy", a key of
+ * MISSING_POLICIES, and "maxStaleness", the most days that a report may be
+ * carried forward before the area has no data.
+ */
+export const DEFAULT_MISSING = {policy: "forward fill", maxStaleness: 14};
+
+/**
+ * Mean serial interval of COVID-19 in days, used to convert a growth rate to
+ * an effective reproduction number.
+ */
+const SERIAL_INTERVAL = 4;
+
 /**
  * Holds epidemic and related information about a particular area.
  *
@@ -14,12 +76,30 @@ Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
  *   "population": number,
  *   "area": number,  // Land area in square miles.
  *   "bounds": !Array<Array<LatLng>>,
- *   "counts": {
+ *   "holes": !Array<Array<Array<LatLng>>>,  // Interior rings of each bound,
+ *       // by index in bounds.
+ *   "attributes": {  // Other fixed values, e.g. "median_age".
+ *     "field": number,
+ *   },
+ *   "counts": {  // Time series, e.g. "cases", "deaths", or "tests". A field
+ *       // may be missing on some dates.
  *     "date": {
- *       "cases": number,
- *       "deaths": number,
+ *       "field": number,
+ *     },
+ *   },
+ *   "index": ?{  // Sorted index of counts, built by buildIndex.
+ *     "days": !Int32Array,  // Day numbers (see dayNumber) of the dates.
+ *     "values": {
+ *       "field": !Float64Array,  // Values of the field on those dates.
  *     },
  *   },
+ *   "shapes": ?{  // Simplified bounds, built by buildShapes.
+ *     "bounds": !Array<Array<LatLng>>,  // The bounds they were built from.
+ *     "holes": !Array<Array<Array<LatLng>>>,
+ *     "box": ?Box,  // Bounding box of the bounds (see EpiViewGeometry.js).
+ *     "bands": !Array<?Object<string, *>>,  // Bounds and holes simplified
+ *         // for each of DETAIL_BANDS, or null until shapeAt needs them.
+ *   },
  * }
  */
 export default class EpiViewEntry {
@@ -29,7 +109,11 @@ export default class EpiViewEntry {
     this.population = 0;
     this.area = 0;
     this.bounds = [];
+    this.holes = [];
+    this.attributes = {};
     this.counts = {};
+    this.index = null;
+    this.shapes = null;
   }
 
   /**
@@ -44,114 +128,408 @@ export default class EpiViewEntry {
            Object.keys(this.counts).length !== 0;
   }
 
+  /**
+   * Looks up the value of an attribute field.
+   *
+   * @param {string} field The attribute field to look up (e.g. "population").
+   * @return {number} The value of the field, or NaN if the entry has no such
+   *     field.
+   */
+  attribute(field) {
+    if (field === "population" || field === "area") {
+      return this[field];
+    }
+    return field in this.attributes ? this.attributes[field] : NaN;
+  }
+
+  /**
+   * Looks up the value of a count field on the given date, filling in
+   * missing counts according to a policy.
+   *
+   * @param {string} field The count field to look up (e.g. "cases").
+   * @param {!Date} date The date on which to look up the field.
+   * @param {!Object<string, *>=} missing How to handle missing counts, as in
+   *     DEFAULT_MISSING.
+   * @return {number} The value of the field, or NaN if there is no data.
+   */
+  lookup(field, date, missing = DEFAULT_MISSING) {
+    const at = this.locate(date, missing);
+    return at === null ? NaN : this.valueAt(field, at);
+  }
+
+  /**
+   * Prepares this entry's bounds for drawing, unless they're unchanged since
+   * the last time. Bounds are only ever replaced, never modified in place, so
+   * that checking whether they're the same arrays suffices.
+   * EpiViewTable.reindex calls this.
+   *
+   * Only the bounding box is computed here. Simplifying every entry for every
+   * zoom band up front would hold up compiling, all on the UI's thread, so
+   * each band is simplified by shapeAt when it's first drawn, and only for
+   * the entries in view.
+   */
+  buildShapes() {
+    if (this.shapes !== null && this.shapes.bounds === this.bounds &&
+        this.shapes.holes === this.holes) {
+      return;
+    }
+    this.shapes = {
+      bounds: this.bounds,
+      holes: this.holes,
+      box: boxOf(this.bounds),
+      bands: DETAIL_BANDS.map(() => null),
+    };
+  }
+
+  /**
+   * Gets this entry's bounds and holes simplified for a zoom band,
+   * simplifying them the first time. buildShapes must have been called.
+   *
+   * @param {number} band Index in DETAIL_BANDS.
+   * @return {!Object<string, *>} The simplified shape: {
+   *   "bounds": !Array<Array<LatLng>>,
+   *   "holes": !Array<Array<Array<LatLng>>>,
+   * }
+   */
+  shapeAt(band) {
+    const shapes = this.shapes;
+    if (shapes.bands[band] === null) {
+      shapes.bands[band] = simplifyShape(shapes.bounds, shapes.holes,
+                                         DETAIL_BANDS[band].tolerance);
+    }
+    return shapes.bands[band];
+  }
+
+  /**
+   * Builds a sorted index of this entry's counts, so that lookups can use
+   * binary search over day numbers instead of parsing every date. The index
+   * must be rebuilt whenever counts change; EpiViewTable.reindex does so.
+   */
+  buildIndex() {
+    const dates = Object.keys(this.counts).sort();
+    const fields = new Set();
+    for (const dateStr of dates) {
+      for (const field of Object.keys(this.counts[dateStr])) {
+        fields.add(field);
+      }
+    }
+    this.index = {
+      days: Int32Array.from(dates, dayNumber),
+      values: {},
+    };
+    for (const field of fields) {
+      this.index.values[field] = Float64Array.from(
+        dates, dateStr => this.counts[dateStr][field]);
+    }
+  }
+
+  /**
+   * Finds the position in the index of the most recent counts on or before
+   * the given date. Builds the index first if needed.
+   *
+   * @param {!Date} date The date to search for.
+   * @return {number} The position, or -1 if there are no counts on or before
+   *     the date.
+   */
+  indexOf(date) {
+    if (!this.index) {
+      this.buildIndex();
+    }
+    const days = this.index.days;
+    const target = dayNumber(date);
+    let lo = 0, hi = days.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (days[mid] <= target) {
+        lo = mid + 1;
+      }
+      else {
+        hi = mid;
+      }
+    }
+    return lo - 1;
+  }
+
+  /**
+   * Finds the counts to use for a date, filling in missing counts according
+   * to a policy (see MISSING_POLICIES).
+   *
+   * @param {!Date} date The date to look up.
+   * @param {!Object<string, *>=} missing How to handle missing counts, as in
+   *     DEFAULT_MISSING.
+   * @return {?Object<string, number>} Where to read the counts: {
+   *   "i": number,  // Position in the index of the counts on or before the
+   *       // date, or -1 if the date is before the first counts.
+   *   "j": number,  // Position of the counts to interpolate towards.
+   *   "weight": number,  // Weight of the counts at j, from 0 to 1.
+   * }, or null if there is no data for the date.
+   */
+  locate(date, missing = DEFAULT_MISSING) {
+    const i = this.indexOf(date);
+    if (i === -1) {
+      return {i: -1, j: -1, weight: 0};
+    }
+    const days = this.index.days;
+    const target = dayNumber(date);
+    if (days[i] === target) {
+      return {i: i, j: i, weight: 0};
+    }
+    if (missing.policy === "interpolate" && i + 1 < days.length) {
+      return {
+        i: i,
+        j: i + 1,
+        weight: (target - days[i]) / (days[i + 1] - days[i]),
+      };
+    }
+    if (missing.policy === "missing" ||
+        target - days[i] > missing.maxStaleness) {
+      return null;
+    }
+    return {i: i, j: i, weight: 0};
+  }
+
+  /**
+   * Reads the value of a count field from the index.
+   *
+   * @param {string} field The count field to read (e.g. "cases").
+   * @param {!Object<string, number>} at Where to read it, from locate.
+   * @return {number} The value of the field, or NaN if the entry has no such
+   *     field.
+   */
+  valueAt(field, at) {
+    const values = this.index.values[field];
+    if (!values) {
+      return NaN;
+    }
+    if (at.i === -1) {
+      return 0;
+    }
+    return at.weight === 0 ? values[at.i]
+                           : values[at.i] * (1 - at.weight) +
+                             values[at.j] * at.weight;
+  }
+
+  /**
+   * Lists the dates of the counts used for a date, e.g. to show how stale
+   * the data behind a value is.
+   *
+   * @param {!Date} date The date to look up.
+   * @param {!Object<string, *>=} missing How to handle missing counts, as in
+   *     DEFAULT_MISSING.
+   * @return {?Array<Date>} The dates: none if the date is before the first
+   *     counts, one if counts are used as is, or two if they're interpolated
+   *     between. Null if there is no data for the date.
+   */
+  reportDates(date, missing = DEFAULT_MISSING) {
+    const at = this.locate(date, missing);
+    if (at === null) {
+      return null;
+    }
+    if (at.i === -1) {
+      return [];
+    }
+    const days = at.weight === 0 ? [this.index.days[at.i]]
+                                 : [this.index.days[at.i],
+                                    this.index.days[at.j]];
+    return days.map(fromDayNumber);
+  }
+
+  /**
+   * Lists the values of a count field on every date that has one, in date
+   * order.
+   *
+   * @param {string} field The count field to list (e.g. "cases").
+   * @param {boolean=} daily Whether to list daily new values (the change since
+   *     the previous date with a value) instead of cumulative values.
+   * @return {!Array<Object<string, *>>} Points: {
+   *   "date": !Date,
+   *   "value": number,
+   * }
+   */
+  series(field, daily = false) {
+    const dates = Object.keys(this.counts).sort()
+      .filter(dateStr => Number.isFinite(this.counts[dateStr][field]));
+    return dates.map((dateStr, i) => ({
+      date: parseDate(dateStr),
+      value: this.counts[dateStr][field] -
+             (daily && i > 0 ? this.counts[dates[i - 1]][field] : 0),
+    }));
+  }
+
   /**
    * Evaluates a user-defined function (UDF) specified by a numerator,
    * denominator, and mode on this entry for the given date (and possibly
-   * a reference date, if the mode requires one).
+   * a reference date or window, if the mode requires one). In "formula" mode,
+   * the UDF is instead specified by a parsed EpiViewFormula.
+   *
+   * The windowed modes compare the sum of the basic UDF over the last window
+   * to its sum over the window before that. Their ratio gives the percent
+   * change, and the daily growth rate implied by it gives the doubling time
+   * and the effective reproduction number.
    *
    * @param {!Object<string, *>} udf An object representing the UDF: {
    *   "numerator": string,
    *   "denominator": string,
    *   "mode": string,
+   *   "formula": ?EpiViewFormula,
    *   "refDate": ?Date,
+   *   "window": ?number,  // Days; defaults to DEFAULT_WINDOW.
+   *   "missing": ?Object<string, *>,  // As in DEFAULT_MISSING, the default.
+   *   "compare": ?Object<string, *>,  // What to compare with, as in
+   *       // compareUdf. In "split" comparisons, the UDF's own value is
+   *       // returned.
    *   "date": !Date,
    * }
-   * @return {number} The result of the UDF.
+   * @return {number} The result of the UDF, or NaN if there is no data for
+   *     it, e.g. because the entry is incomplete or its counts are stale.
    */
   evaluate(udf) {
     if (!this.complete()) {
-      return 0;
+      return NaN;
+    }
+    if (udf.compare) {
+      const value = this.evaluate({...udf, compare: null});
+      switch (udf.compare.as) {
+        case "split":
+          return value;
+        case "ratio":
+          return value / this.evaluate(compareUdf(udf));
+        case "percent change":
+          return (value / this.evaluate(compareUdf(udf)) - 1) * 100;
+        default:
+          throw "invalid comparison";
+      }
+    }
+    if (udf.mode !== "formula" &&
+        numeratorFor(udf.mode, udf.numerator) !== udf.numerator) {
+      throw `invalid numerator "${udf.numerator}" for mode "${udf.mode}"`;
     }
+    const basic = date => this.evaluateBasic(udf.numerator, udf.denominator,
+                                             date, udf.missing);
     switch (udf.mode) {
+      case "formula":
+        return udf.formula.evaluate(this, udf);
       case "on":
-        return this.evaluateBasic(udf.numerator, udf.denominator, udf.date);
+        return basic(udf.date);
       case "differenced between":
-        return this.evaluateBasic(udf.numerator, udf.denominator, udf.date) -
-               this.evaluateBasic(udf.numerator, udf.denominator, udf.refDate);
+        return basic(udf.date) - basic(udf.refDate);
       case "averaged":
         let values = [];
         for (let d = new Date(udf.date); d >= udf.refDate;
              d.setDate(d.getDate() - 1)) {
-          values.push(this.evaluateBasic(udf.numerator, udf.denominator, d));
+          values.push(basic(d));
         }
         return values.reduce((sum, v) => sum + v, 0) / values.length;
+      case "rolling average":
+        return this.evaluateWindow(udf, 0) / (udf.window || DEFAULT_WINDOW);
+      case "rolling sum":
+        return this.evaluateWindow(udf, 0);
+      case "percent change":
+        return (this.evaluateWindow(udf, 0) /
+                this.evaluateWindow(udf, 1) - 1) * 100;
+      case "doubling time":
+        return Math.LN2 / this.evaluateGrowth(udf);
+      case "reproduction number":
+        return Math.exp(this.evaluateGrowth(udf) * SERIAL_INTERVAL);
       default:
         throw "invalid mode";
     }
   }
 
+  /**
+   * Sums a basic UDF over one of the consecutive windows ending on the UDF's
+   * date.
+   *
+   * @param {!Object<string, *>} udf An object representing the UDF.
+   * @param {number} index Which window to sum: 0 for the latest, 1 for the
+   *     one before it, and so on.
+   * @return {number} The sum of the basic UDF over the window.
+   */
+  evaluateWindow(udf, index) {
+    const window = udf.window || DEFAULT_WINDOW;
+    let sum = 0;
+    const d = addDays(udf.date, -window * index);
+    for (let i = 0; i < window; i++, d.setDate(d.getDate() - 1)) {
+      sum += this.evaluateBasic(udf.numerator, udf.denominator, d,
+                                udf.missing);
+    }
+    return sum;
+  }
+
+  /**
+   * Estimates the daily exponential growth rate of a basic UDF from its sums
+   * over the latest window and the one before it.
+   *
+   * @param {!Object<string, *>} udf An object representing the UDF.
+   * @return {number} The growth rate per day. Not finite if either sum is 0.
+   */
+  evaluateGrowth(udf) {
+    return Math.log(this.evaluateWindow(udf, 0) / this.evaluateWindow(udf, 1)) /
+           (udf.window || DEFAULT_WINDOW);
+  }
+
   /**
    * Evalutes a basic user-defined function (basic UDF) specified by a
    * numerator and a denominator on this entry for the given date.
    *
+   * The numerator is a count field (e.g. "tests"), optionally as its daily
+   * change (e.g. "daily new tests"). The denominator is "total", "per 100k
+   * population", "per sq. mi.", or "per" followed by any other field (e.g.
+   * "per tests" or "per median_age"). "per case" is the same as "per cases".
+   *
    * @param {string} numerator The numerator of the basic UDF.
    * @param {string} denominator The denominator of the basic UDF.
    * @param {!Date} date The date on which to evaluate the basic UDF.
-   * @return {number} The result of the basic UDF.
+   * @param {!Object<string, *>=} missing How to handle missing counts, as in
+   *     DEFAULT_MISSING.
+   * @return {number} The result of the basic UDF, or NaN if there is no data
+   *     for the date.
    */
-  evaluateBasic(numerator, denominator, date) {
-    // Find a key to the counts object that corresponds to a date on or before
-    // the requested date. Stop if none is available.
-    const dateStr = Object.keys(this.counts)
-                          .reverse()
-                          .find(k => parseDate(k) <= date);
-    if (!dateStr) {
-      return 0;
+  evaluateBasic(numerator, denominator, date, missing = DEFAULT_MISSING) {
+    // Find the counts to use for the requested date. Stop if there are none.
+    const at = this.locate(date, missing);
+    if (at === null) {
+      return NaN;
     }
 
-    // Find the numerator and denominator values.
-    let nval, dval;
-    switch (numerator.replace(/ \(.*\)/, "")) {
-      case "cases":
-        nval = this.counts[dateStr].cases;
-        break;
-      case "daily new cases": {
-        nval = this.counts[dateStr].cases;
-        // Subtract the previous day's number, if it's available.
-        let prevDate = new Date(date);
-        prevDate.setDate(prevDate.getDate() - 1);
-        let prevDateStr = Object.keys(this.counts)
-                                .reverse()
-                                .find(k => parseDate(k) <= prevDate);
-        if (prevDateStr) {
-          nval -= this.counts[prevDateStr].cases;
-        }
-        break;
-      }
-      case "deaths":
-        nval = this.counts[dateStr].deaths;
-        break;
-      case "daily new deaths": {
-        nval = this.counts[dateStr].deaths;
-        // Subtract the previous day's number, if it's available.
-        let prevDate = new Date(date);
-        prevDate.setDate(prevDate.getDate() - 1);
-        let prevDateStr = Object.keys(this.counts)
-                                .reverse()
-                                .find(k => parseDate(k) <= prevDate);
-        if (prevDateStr) {
-          nval -= this.counts[prevDateStr].deaths;
-        }
-        break;
+    // Find the numerator value.
+    const match = /^(daily new )?(\w+)$/.exec(numerator.replace(/ \(.*\)/, ""));
+    if (!match) {
+      throw "invalid numerator";
+    }
+    let nval = this.valueAt(match[2], at);
+    if (match[1]) {
+      // Subtract the previous day's number.
+      const prev = this.locate(addDays(date, -1), missing);
+      if (prev === null) {
+        return NaN;
       }
-      default:
-        throw "invalid numerator";
+      nval -= this.valueAt(match[2], prev);
     }
+
+    // Find the denominator value.
+    let dval;
     switch (denominator) {
       case "total":
         dval = 1;
         break;
-      case "per case":
-        dval = this.counts[dateStr].cases;
-        break;
       case "per 100k population":
         dval = this.population / 1e5;
         break;
       case "per sq. mi.":
         dval = this.area;
         break;
-      default:
-        throw "invalid denominator";
+      case "per case":
+        dval = this.valueAt("cases", at);
+        break;
+      default: {
+        const field = /^per (\w+)$/.exec(denominator);
+        if (!field) {
+          throw "invalid denominator";
+        }
+        dval = this.index.values[field[1]] ? this.valueAt(field[1], at)
+                                           : this.attribute(field[1]);
+      }
     }
     return nval / dval;
   }
@@ -167,20 +545,6 @@ export function parseCoord(coord) {
   return {latitude: coord[1], longitude: coord[0]};
 }
 
-/**
- * Converts a .csv file to an object representation.
- *
- * @param {string} csv Body of .csv file, starting with a header row.
- * @return {!Array<Object>} Array of rows, each represented as an object.
- */
-export function parseCsv(csv) {
-  const lines = csv.split("\n").filter(line => line !== "");
-  const header = lines[0].split(",");
-  const data = lines.slice(1).map(row => Object.fromEntries(
-    row.split(",").map((value, j) => [header[j], value])));
-  return data;
-}
-
 /**
  * Converts an ISO date string (YYYY-MM-DD) to a Date object in the local time
  * zone.
@@ -192,3 +556,143 @@ export function parseDate(dateStr) {
   const parts = dateStr.split("-");
   return new Date(parts[0], parts[1] - 1, parts[2]);
 }
+
+/**
+ * Converts a date to a day number: the number of days since 1970-01-01, by
+ * the calendar date in the local time zone. Unlike timestamps, day numbers
+ * are unaffected by time of day and daylight saving time.
+ *
+ * @param {!Date|string} date A Date, or an ISO date string (YYYY-MM-DD).
+ * @return {number} The day number.
+ */
+export function dayNumber(date) {
+  if (typeof date === "string") {
+    const parts = date.split("-");
+    return Date.UTC(parts[0], parts[1] - 1, parts[2]) / 864e5;
+  }
+  return Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / 864e5;
+}
+
+/**
+ * Converts a day number (see dayNumber) back to a Date at midnight in the
+ * local time zone.
+ *
+ * @param {number} day The day number.
+ * @return {!Date} The date.
+ */
+export function fromDayNumber(day) {
+  const utc = new Date(day * 864e5);
+  return new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate());
+}
+
+/**
+ * Returns a new Date that is some number of days after the given one.
+ *
+ * @param {!Date} date The starting date.
+ * @param {number} days The number of days to add (may be negative).
+ * @return {!Date} The resulting date.
+ */
+export function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+/**
+ * Counts the number of calendar days from one date to another.
+ *
+ * @param {!Date} from The starting date.
+ * @param {!Date} to The ending date.
+ * @return {number} The number of days, negative if to is before from.
+ */
+export function daysBetween(from, to) {
+  // Compare at noon to avoid being thrown off by daylight saving time.
+  const noon = d => new Date(d.getFullYear(), d.getMonth(), d.getDate(), 12);
+  return Math.round((noon(to) - noon(from)) / 864e5);
+}
+
+/**
+ * Finds the range of dates that a UDF's value depends on directly, including
+ * through the UDF that it's compared with. A formula's range comes from the
+ * dates that it reads (see EpiViewFormula.dateRange), so it needs to be
+ * parsed (see EpiViewTable.prepareUdf); one that isn't yet is taken to span
+ * refDate to date.
+ *
+ * @param {!Object<string, *>} udf An object representing the UDF.
+ * @return {!Object<string, !Date>} The range: {"from": !Date, "to": !Date}.
+ */
+export function udfRange(udf) {
+  if (udf.compare) {
+    const own = udfRange({...udf, compare: null});
+    const other = udfRange(compareUdf(udf));
+    return {
+      from: other.from < own.from ? other.from : own.from,
+      to: other.to > own.to ? other.to : own.to,
+    };
+  }
+  if (udf.mode === "formula" && udf.formula &&
+      typeof udf.formula !== "string") {
+    return udf.formula.dateRange(udf);
+  }
+  const mode = MODES[udf.mode] || {};
+  if (mode.refDate) {
+    return {from: udf.refDate, to: udf.date};
+  }
+  if (mode.window) {
+    return {from: addDays(udf.date, 1 - (udf.window || DEFAULT_WINDOW)),
+            to: udf.date};
+  }
+  return {from: udf.date, to: udf.date};
+}
+
+/**
+ * Finds the numerator to use in a mode in place of the given one. Modes that
+ * use a window only take daily new numerators: summed over a window, or
+ * compared between windows, a cumulative count would count each day's new
+ * values again on every later day. For those, a cumulative numerator (e.g.
+ * "cases") is replaced by its daily new counterpart ("daily new cases").
+ *
+ * @param {string} mode A key of MODES.
+ * @param {string} numerator The numerator.
+ * @return {string} The numerator to use, which is the given one if the mode
+ *     takes it.
+ */
+export function numeratorFor(mode, numerator) {
+  const window = (MODES[mode] || {}).window;
+  return window && !/^daily new /.test(numerator) ? `daily new ${numerator}`
+                                                  : numerator;
+}
+
+/**
+ * Gets the UDF that a UDF is compared with: the same UDF with some of its
+ * fields replaced and its dates shifted back, e.g. deaths instead of cases,
+ * or the same metric 28 days earlier.
+ *
+ * @param {!Object<string, *>} udf An object representing the UDF, with
+ *     "compare": {
+ *   "as": string,  // A key of COMPARISONS.
+ *   "numerator": ?string,  // Replaces the UDF's, unless null.
+ *   "denominator": ?string,  // Replaces the UDF's, unless null.
+ *   "formula": ?string|EpiViewFormula,  // Replaces the UDF's, unless null.
+ *   "days": number,  // How many days earlier to evaluate; 0 for the same
+ *       // dates.
+ * }
+ * @return {?Object<string, *>} The UDF to compare with, which doesn't
+ *     compare with anything itself, or null if the UDF doesn't compare.
+ */
+export function compareUdf(udf) {
+  const compare = udf.compare;
+  if (!compare) {
+    return null;
+  }
+  const days = compare.days || 0;
+  return {
+    ...udf,
+    numerator: compare.numerator || udf.numerator,
+    denominator: compare.denominator || udf.denominator,
+    formula: compare.formula || udf.formula,
+    refDate: udf.refDate ? addDays(udf.refDate, -days) : udf.refDate,
+    date: addDays(udf.date, -days),
+    compare: null,
+  };
+}
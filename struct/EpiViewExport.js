@@ -0,0 +1,120 @@
+/*
+EpiView
+EpiViewExport.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+/**
+ * Columns of exported .csv files.
+ */
+const CSV_COLUMNS = ["key", "name", "region", "value", "bin", "bin_min",
+                     "bin_max"];
+
+/**
+ * Converts the values of a UDF to a .csv file with one row per entry. The
+ * bin is the 1-based class of the value in the color scale, and is empty for
+ * values that aren't finite.
+ *
+ * @param {!Array<Object<string, *>>} results Results from
+ *     EpiViewTable.computeValues.
+ * @param {!EpiViewScale} scale The color scale in use.
+ * @return {string} Body of the .csv file, starting with a header row.
+ */
+export function toCsv(results, scale) {
+  const rows = [CSV_COLUMNS];
+  for (const result of results) {
+    const bin = binOf(result.value, scale);
+    rows.push([
+      result.key,
+      result.entry.name,
+      result.entry.region,
+      Number.isFinite(result.value) ? result.value : "",
+      bin ? bin.bin : "",
+      bin ? bin.bin_min : "",
+      bin ? bin.bin_max : "",
+    ]);
+  }
+  return rows.map(row => row.map(quoteCsv).join(",")).join("\n") + "\n";
+}
+
+/**
+ * Converts the values of a UDF to a GeoJSON FeatureCollection with one
+ * MultiPolygon feature per entry, built from the entry's bounds and holes.
+ * Each feature's properties hold the same fields as the .csv export, plus the
+ * value's color.
+ *
+ * @param {!Array<Object<string, *>>} results Results from
+ *     EpiViewTable.computeValues.
+ * @param {!EpiViewScale} scale The color scale in use.
+ * @param {string=} description Description of the UDF, stored as the
+ *     collection's name.
+ * @return {!Object<string, *>} The GeoJSON FeatureCollection.
+ */
+export function toGeoJson(results, scale, description = "") {
+  return {
+    type: "FeatureCollection",
+    name: description,
+    features: results.map(result => ({
+      type: "Feature",
+      properties: {
+        key: result.key,
+        name: result.entry.name,
+        region: result.entry.region,
+        value: Number.isFinite(result.value) ? result.value : null,
+        ...(binOf(result.value, scale) ||
+            {bin: null, bin_min: null, bin_max: null}),
+        color: scale.colorOf(result.value),
+      },
+      geometry: {
+        type: "MultiPolygon",
+        coordinates: result.entry.bounds.map((bound, i) =>
+          [bound, ...(result.entry.holes[i] || [])].map(toRing)),
+      },
+    })),
+  };
+}
+
+/**
+ * Finds the class of a value in a color scale.
+ *
+ * @param {number} value The value to classify.
+ * @param {!EpiViewScale} scale The color scale in use.
+ * @return {?Object<string, number>} The class, as {"bin", "bin_min",
+ *     "bin_max"}, or null if the value isn't finite.
+ */
+function binOf(value, scale) {
+  const i = scale.classOf(value);
+  if (i === -1) {
+    return null;
+  }
+  const item = scale.legend()[i];
+  return {bin: i + 1, bin_min: item.min, bin_max: item.max};
+}
+
+/**
+ * Converts an array of LatLngs to a closed GeoJSON linear ring.
+ *
+ * @param {!Array<LatLng>} bound The LatLngs.
+ * @return {!Array<Array<number>>} The GeoJSON linear ring.
+ */
+function toRing(bound) {
+  const ring = bound.map(point => [point.longitude, point.latitude]);
+  const first = ring[0], last = ring[ring.length - 1];
+  if (ring.length !== 0 && (first[0] !== last[0] || first[1] !== last[1])) {
+    ring.push(first);
+  }
+  return ring;
+}
+
+/**
+ * Quotes a field of a .csv file, if needed.
+ *
+ * @param {*} value The field's value.
+ * @return {string} The field, quoted if it contains a comma, quote, or line
+ *     break.
+ */
+function quoteCsv(value) {
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
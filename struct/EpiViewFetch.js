@@ -0,0 +1,94 @@
+/*
+EpiView
+EpiViewFetch.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+/**
+ * Fetches a URL like fetch, but resolves as soon as the response headers
+ * arrive, with a body that can be read as it downloads (see readCsvResponse).
+ * React Native's fetch has no body stream, so this uses XMLHttpRequest,
+ * whose responseText grows with each progress event. For EpiViewTable's
+ * fetch option.
+ *
+ * Only the parts of a Response that EpiViewTable uses are provided: ok,
+ * status, headers.get, text, and body.getReader, whose reads resolve to
+ * chunks of text.
+ *
+ * @param {string} url The URL.
+ * @param {!Object<string, *>=} init As for fetch; only method and headers
+ *     are used.
+ * @return {!Promise<Object<string, *>>} The response, or a rejection if the
+ *     request fails before the headers arrive.
+ */
+export default function streamingFetch(url, init = {}) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    let read = 0;  // Length of responseText passed to the reader so far.
+    let done = false;
+    let failed = false;
+    let waiting = null;  // The pending read, if any: {resolve, reject}.
+    const settle = () => {
+      if (waiting === null) {
+        return;
+      }
+      const text = xhr.responseText || "";
+      const pending = waiting;
+      if (text.length > read) {
+        waiting = null;
+        pending.resolve({done: false, value: text.slice(read)});
+        read = text.length;
+      }
+      else if (failed) {
+        waiting = null;
+        pending.reject(`unable to download ${url}`);
+      }
+      else if (done) {
+        waiting = null;
+        pending.resolve({done: true, value: undefined});
+      }
+    };
+    const respond = () => resolve({
+      ok: xhr.status >= 200 && xhr.status < 300,
+      status: xhr.status,
+      headers: {get: name => xhr.getResponseHeader(name)},
+      text: () => finished,
+      body: {
+        getReader: () => ({
+          read: () => new Promise((resolveRead, rejectRead) => {
+            waiting = {resolve: resolveRead, reject: rejectRead};
+            settle();
+          }),
+        }),
+      },
+    });
+    const finished = new Promise((resolveText, rejectText) => {
+      xhr.onload = () => {
+        respond();
+        done = true;
+        settle();
+        resolveText(xhr.responseText);
+      };
+      xhr.onerror = () => {
+        failed = true;
+        settle();
+        reject(`unable to download ${url}`);
+        rejectText(`unable to download ${url}`);
+      };
+    });
+    // Nothing may wait on text(); don't report its failure as unhandled.
+    finished.catch(() => {});
+    xhr.onprogress = settle;
+    xhr.onreadystatechange = () => {
+      if (xhr.readyState >= xhr.HEADERS_RECEIVED) {
+        respond();
+      }
+    };
+    xhr.open(init.method || "GET", url);
+    for (const [name, value] of Object.entries(init.headers || {})) {
+      xhr.setRequestHeader(name, value);
+    }
+    xhr.send();
+  });
+}
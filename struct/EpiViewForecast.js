@@ -0,0 +1,324 @@
+/*
+EpiView
+EpiViewForecast.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+import EpiViewEntry, { addDays, dayNumber, daysBetween, DEFAULT_MISSING, fromDayNumber } from "./EpiViewEntry.js";
+
+/**
+ * Models that project an entry's counts past the latest date of data. Each
+ * is fitted to the daily new values of every count field over the last
+ * "days" days, separately for each entry and field.
+ */
+export const FORECAST_MODELS = {
+  "log-linear": {label: "Log-linear growth", short: "log-linear growth"},
+  "holt": {label: "Exponential smoothing (Holt's linear trend)",
+           short: "Holt's linear trend"},
+};
+
+/**
+ * Most days past the latest date of data that can be projected.
+ */
+export const MAX_HORIZON = 14;
+
+/**
+ * Numbers of days that a model can be fitted to.
+ */
+export const FIT_DAYS = [7, 14, 21, 28];
+
+/**
+ * Default forecast: an object with "model", a key of FORECAST_MODELS, and
+ * "days", one of FIT_DAYS.
+ */
+export const DEFAULT_FORECAST = {model: "log-linear", days: 14};
+
+/**
+ * Coverage of prediction intervals, as a label. Values other than a single
+ * day's count or daily new count, such as averages and ratios, are only
+ * evaluated at the ends of the counts' intervals, which bound them roughly;
+ * BOUND_LABEL is for those.
+ */
+export const INTERVAL_LABEL = "95% prediction interval";
+export const BOUND_LABEL = "rough range from 95% prediction intervals";
+
+/**
+ * Critical value of the normal distribution for a two-sided 95% interval.
+ */
+const Z_CRITICAL = 1.96;
+
+/**
+ * Critical values of Student's t distribution for a two-sided 95% interval,
+ * by degrees of freedom from 1, so that T_CRITICAL[df - 1] is for df degrees
+ * of freedom. Beyond the table, Z_CRITICAL is close enough.
+ */
+const T_CRITICAL = [12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306,
+                    2.262, 2.228, 2.201, 2.179, 2.160, 2.145, 2.131, 2.120,
+                    2.110, 2.101, 2.093, 2.086, 2.080, 2.074, 2.069, 2.064,
+                    2.060, 2.056, 2.052, 2.048, 2.045, 2.042];
+
+/**
+ * How counts between reports are read when fitting, so that weekly reports
+ * are spread over the days in between rather than landing all at once.
+ */
+const FIT_MISSING = {policy: "interpolate", maxStaleness: Infinity};
+
+/**
+ * Projects a series of daily values.
+ *
+ * @param {!Array<number>} values The daily values to fit, oldest first.
+ * @param {string} model A key of FORECAST_MODELS.
+ * @param {number} horizon How many days past the last value to project.
+ * @return {?Array<Object<string, number>>} The projection of each day after
+ *     the last value: {"value", "lower", "upper", "totalLower",
+ *     "totalUpper"}, where lower and upper bound the 95% prediction interval
+ *     of the day's value, and totalLower and totalUpper that of the total of
+ *     the values through the day. Never negative. Null if there are too few
+ *     values to fit the model.
+ */
+export function forecastSeries(values, model, horizon) {
+  switch (model) {
+    case "log-linear":
+      return logLinear(values, horizon);
+    case "holt":
+      return holt(values, horizon);
+    default:
+      throw `unknown forecast model "${model}"`;
+  }
+}
+
+/**
+ * Projects an entry's counts past the latest date of data. Each count field
+ * is projected as its last count plus the projected daily new values, from
+ * the entry's last report on. Entries whose last report is staler than
+ * DEFAULT_MISSING allows aren't projected.
+ *
+ * The ends of the interval are projected twice: once with the interval of
+ * each count, for the counts themselves, and once with the interval of each
+ * day's daily new value, for daily new values.
+ *
+ * @param {!EpiViewEntry} entry The entry, which must be indexed.
+ * @param {!Object<string, *>} forecast The forecast, as in DEFAULT_FORECAST.
+ * @param {!Date} maxDate The latest date of data in the entry's table.
+ * @return {?Object<string, *>} The projection: {
+ *   "from": !Date,  // The first projected date.
+ *   "point": !EpiViewEntry,  // A copy of the entry with projected counts.
+ *   "lower": !EpiViewEntry,  // The same, at the lower end of the interval
+ *       // of each count.
+ *   "upper": !EpiViewEntry,  // The same, at the upper end.
+ *   "daily": {  // The same, with the counts of each day adding the ends of
+ *       // the interval of its daily new value.
+ *     "lower": !EpiViewEntry,
+ *     "upper": !EpiViewEntry,
+ *   },
+ * }, or null if the entry can't be projected.
+ */
+export function projectEntry(entry, forecast, maxDate) {
+  const days = entry.index.days;
+  if (days.length === 0) {
+    return null;
+  }
+  const origin = fromDayNumber(days[days.length - 1]);
+  const stale = daysBetween(origin, maxDate);
+  if (stale > DEFAULT_MISSING.maxStaleness) {
+    return null;
+  }
+  const horizon = stale + MAX_HORIZON;
+  const counts = {point: {}, lower: {}, upper: {}, dailyLower: {},
+                  dailyUpper: {}};
+  for (const field of Object.keys(entry.index.values)) {
+    const cumulative = [];
+    for (let i = forecast.days; i >= 0; i--) {
+      cumulative.push(entry.lookup(field, addDays(origin, -i), FIT_MISSING));
+    }
+    if (!cumulative.every(Number.isFinite)) {
+      continue;  // E.g. a field that the entry stopped reporting.
+    }
+    const daily = cumulative.slice(1).map((value, i) => value - cumulative[i]);
+    const projection = forecastSeries(daily, forecast.model, horizon);
+    if (projection === null) {
+      continue;
+    }
+    const last = cumulative[cumulative.length - 1];
+    let point = last, dailyLower = last, dailyUpper = last;
+    for (const [h, day] of projection.entries()) {
+      const dateStr = isoDate(dayNumber(origin) + h + 1);
+      point += day.value;
+      dailyLower += day.lower;
+      dailyUpper += day.upper;
+      const values = {
+        point: point,
+        lower: last + day.totalLower,
+        upper: last + day.totalUpper,
+        dailyLower: dailyLower,
+        dailyUpper: dailyUpper,
+      };
+      for (const bound of Object.keys(counts)) {
+        counts[bound][dateStr] = {
+          ...counts[bound][dateStr],
+          [field]: values[bound],
+        };
+      }
+    }
+  }
+  if (Object.keys(counts.point).length === 0) {
+    return null;
+  }
+  const copy = projected => {
+    const result = new EpiViewEntry(entry.name, entry.region);
+    Object.assign(result, entry, {
+      counts: {...entry.counts, ...projected},
+      index: null,
+    });
+    result.buildIndex();
+    return result;
+  };
+  return {
+    from: addDays(origin, 1),
+    point: copy(counts.point),
+    lower: copy(counts.lower),
+    upper: copy(counts.upper),
+    daily: {
+      lower: copy(counts.dailyLower),
+      upper: copy(counts.dailyUpper),
+    },
+  };
+}
+
+/**
+ * Fits a line to the logarithm of the values by least squares, so that
+ * growth or decay is exponential, and projects it with the usual prediction
+ * interval of a regression, whose residuals have n - 2 degrees of freedom.
+ * The projected values are then lognormal and correlated; their total is
+ * approximated by a lognormal with the same mean and variance
+ * (Fenton-Wilkinson).
+ *
+ * @param {!Array<number>} values The daily values. Negative values, e.g.
+ *     from corrections, are taken as 0.
+ * @param {number} horizon How many days to project.
+ * @return {?Array<Object<string, number>>} As in forecastSeries.
+ */
+function logLinear(values, horizon) {
+  const n = values.length;
+  if (n < 3) {
+    return null;
+  }
+  const ys = values.map(value => Math.log(Math.max(value, 0) + 1));
+  const meanX = (n - 1) / 2;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+  let sxx = 0, sxy = 0;
+  for (const [x, y] of ys.entries()) {
+    sxx += (x - meanX) ** 2;
+    sxy += (x - meanX) * (y - meanY);
+  }
+  const slope = sxy / sxx;
+  const intercept = meanY - slope * meanX;
+  let sse = 0;
+  for (const [x, y] of ys.entries()) {
+    sse += (y - intercept - slope * x) ** 2;
+  }
+  const variance = sse / (n - 2);
+  const t = T_CRITICAL[n - 3] || Z_CRITICAL;
+  // Covariance of the projected logarithms of days h and k.
+  const covariance = (h, k) => variance * ((h === k ? 1 : 0) + 1 / n +
+    (n - 1 + h - meanX) * (n - 1 + k - meanX) / sxx);
+  const value = y => Math.max(Math.exp(y) - 1, 0);
+  const projection = [];
+  const means = [];  // Mean of the exponential of each day's logarithm.
+  let total = 0, mean = 0, totalVariance = 0;
+  for (let h = 1; h <= horizon; h++) {
+    const y = intercept + slope * (n - 1 + h);
+    const margin = t * Math.sqrt(covariance(h, h));
+    total += value(y);
+    means.push(Math.exp(y + covariance(h, h) / 2));
+    mean += means[h - 1];
+    for (let k = 1; k <= h; k++) {
+      totalVariance += (k === h ? 1 : 2) * means[h - 1] * means[k - 1] *
+                       Math.expm1(covariance(h, k));
+    }
+    const spread = Math.sqrt(Math.log1p(totalVariance / (mean * mean)));
+    const center = Math.log(mean) - spread * spread / 2;
+    // The approximation keeps the mean rather than the projected total, so
+    // make sure that the interval still holds the total.
+    projection.push({
+      value: value(y),
+      lower: value(y - margin),
+      upper: value(y + margin),
+      totalLower: Math.max(Math.min(Math.exp(center - t * spread) - h,
+                                    total), 0),
+      totalUpper: Math.max(Math.exp(center + t * spread) - h, total),
+    });
+  }
+  return projection;
+}
+
+/**
+ * Fits Holt's linear trend method, choosing its smoothing parameters from a
+ * grid by the one-step-ahead errors, and projects the trend with the
+ * prediction interval of the equivalent state space model (Hyndman et al.,
+ * 2008). Like that model's, the interval takes the fitted parameters as
+ * known and so uses Z_CRITICAL, unlike the regression in logLinear, which
+ * accounts for fitting its line with Student's t.
+ *
+ * @param {!Array<number>} values The daily values.
+ * @param {number} horizon How many days to project.
+ * @return {?Array<Object<string, number>>} As in forecastSeries.
+ */
+function holt(values, horizon) {
+  const n = values.length;
+  if (n < 3) {
+    return null;
+  }
+  let best = null;
+  for (let i = 1; i <= 9; i++) {
+    for (let j = 1; j <= 9; j++) {
+      // Smoothing of the level and of the trend, in error correction form.
+      const alpha = i / 10, beta = alpha * j / 10;
+      let level = values[1], trend = values[1] - values[0], sse = 0;
+      for (let t = 2; t < n; t++) {
+        const error = values[t] - level - trend;
+        sse += error * error;
+        level += trend + alpha * error;
+        trend += beta * error;
+      }
+      if (best === null || sse < best.sse) {
+        best = {alpha, beta, level, trend, sse};
+      }
+    }
+  }
+  const { alpha, beta, level, trend } = best;
+  const variance = best.sse / (n - 2);
+  const projection = [];
+  // The error of the total through day h weighs the error of each day k by 1
+  // plus the sum of alpha + beta * j for j from 1 to h - k.
+  let total = 0, totalVariance = 0;
+  for (let h = 1; h <= horizon; h++) {
+    const value = level + trend * h;
+    const margin = Z_CRITICAL * Math.sqrt(variance * (1 + (h - 1) *
+      (alpha * alpha + alpha * beta * h + beta * beta * h * (2 * h - 1) / 6)));
+    const weight = 1 + alpha * (h - 1) + beta * (h - 1) * h / 2;
+    total += Math.max(value, 0);
+    totalVariance += variance * weight * weight;
+    const totalMargin = Z_CRITICAL * Math.sqrt(totalVariance);
+    projection.push({
+      value: Math.max(value, 0),
+      lower: Math.max(value - margin, 0),
+      upper: Math.max(value + margin, 0),
+      totalLower: Math.max(total - totalMargin, 0),
+      totalUpper: total + totalMargin,
+    });
+  }
+  return projection;
+}
+
+/**
+ * Converts a day number (see EpiViewEntry's dayNumber) to an ISO date
+ * string (YYYY-MM-DD), as used for the keys of counts.
+ *
+ * @param {number} day The day number.
+ * @return {string} The ISO date string.
+ */
+function isoDate(day) {
+  return new Date(day * 864e5).toISOString().slice(0, 10);
+}
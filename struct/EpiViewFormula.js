@@ -0,0 +1,496 @@
+/*
+EpiView
+EpiViewFormula.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+import { addDays } from "./EpiViewEntry.js";
+
+/**
+ * Fields available to formulas by default. Series fields vary by date and may
+ * be indexed with a date reference (e.g. cases[date-14]); attribute fields are
+ * constant for each entry. Tables list their own fields in the same form (see
+ * EpiViewTable.fields), optionally with display labels for fields whose names
+ * don't read well, e.g. {"icu_beds": "ICU beds"}.
+ */
+export const DEFAULT_FIELDS = {
+  series: ["cases", "deaths"],
+  attributes: ["population", "area"],
+};
+
+/**
+ * Gets the display label of a field.
+ *
+ * @param {!Object<string, *>} fields The fields of a table, as in
+ *     DEFAULT_FIELDS, with optional "labels".
+ * @param {string} field Name of the field, e.g. "icu_beds".
+ * @return {string} Its label, e.g. "ICU beds", or else its name with
+ *     underscores as spaces.
+ */
+export function fieldLabel(fields, field) {
+  return fields.labels && fields.labels[field] || field.replace(/_/g, " ");
+}
+
+/**
+ * Functions available to formulas, with the minimum and maximum number of
+ * arguments each one accepts.
+ *
+ *   diff(x, n)  x on the current date minus x n days earlier (default 1).
+ *   avg(x, n)   Average of x over the last n days, or over refDate-date if n
+ *               is omitted. sum, min, and max work the same way.
+ *   abs(x), exp(x), log(x), sqrt(x), round(x)
+ */
+const FUNCTIONS = {
+  diff: [1, 2],
+  avg: [1, 2],
+  sum: [1, 2],
+  min: [1, 2],
+  max: [1, 2],
+  abs: [1, 1],
+  exp: [1, 1],
+  log: [1, 1],
+  sqrt: [1, 1],
+  round: [1, 1],
+};
+
+/**
+ * A user-defined function (UDF) written as a free-form arithmetic expression
+ * in terms of the available fields. The formula is parsed and validated once
+ * on construction; evaluation then walks the parsed tree for each entry.
+ *
+ * Example: (cases[date] - cases[date-14]) / population * 1e5
+ *
+ * EpiViewFormula {
+ *   "text": string,
+ *   "fields": {
+ *     "series": !Array<string>,
+ *     "attributes": !Array<string>,
+ *     "labels": ?Object<string, string>,
+ *   },
+ *   "tree": !Object<string, *>,  // Parsed expression tree.
+ * }
+ */
+export default class EpiViewFormula {
+  /**
+   * Parses and validates a formula. Throws a readable error message if the
+   * formula is malformed or refers to unknown fields or functions.
+   *
+   * @param {string} text The formula to parse.
+   * @param {!Object<string, !Array<string>>=} fields The series and attribute
+   *     fields that the formula may refer to.
+   */
+  constructor(text, fields = DEFAULT_FIELDS) {
+    this.text = text;
+    this.fields = fields;
+    this.tokens = tokenize(text);
+    this.pos = 0;
+    if (this.tokens.length === 1) {
+      throw "formula is empty";
+    }
+    this.tree = this.parseExpression();
+    if (this.peek().type !== "end") {
+      this.fail(`unexpected "${this.peek().text}"`);
+    }
+    delete this.tokens;
+    delete this.pos;
+  }
+
+  /**
+   * Evaluates this formula on an entry.
+   *
+   * @param {!EpiViewEntry} entry The entry on which to evaluate the formula.
+   * @param {!Object<string, *>} udf An object holding the "date" (and
+   *     optionally "refDate") on which to evaluate the formula.
+   * @return {number} The result of the formula.
+   */
+  evaluate(entry, udf) {
+    return evaluateNode(this.tree, entry, udf, udf.date);
+  }
+
+  /**
+   * Finds the range of dates whose counts this formula reads, e.g. from
+   * date-29 to date for avg(cases,30), or up to date+7 for cases[date+7].
+   *
+   * @param {!Object<string, *>} udf An object holding the "date" (and
+   *     optionally "refDate") on which the formula is evaluated.
+   * @return {!Object<string, !Date>} The range: {"from": !Date, "to": !Date}.
+   *     Just the date if the formula reads no counts.
+   */
+  dateRange(udf) {
+    return rangeOfNode(this.tree, udf, udf.date, udf.date) ||
+           {from: udf.date, to: udf.date};
+  }
+
+  /**
+   * Returns the next token without consuming it.
+   *
+   * @return {!Object<string, *>} The next token.
+   */
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  /**
+   * Consumes the next token, optionally checking that it has the given text.
+   *
+   * @param {string=} text The expected text of the token.
+   * @return {!Object<string, *>} The consumed token.
+   */
+  next(text) {
+    const token = this.tokens[this.pos];
+    if (text !== undefined && token.text !== text) {
+      this.fail(`expected "${text}"`);
+    }
+    this.pos++;
+    return token;
+  }
+
+  /**
+   * Throws an error message pointing at a token.
+   *
+   * @param {string} message Description of the problem.
+   * @param {!Object<string, *>=} token The offending token, if not the next
+   *     one.
+   */
+  fail(message, token = this.peek()) {
+    const where = token.type === "end" ? "at end of formula"
+                                       : `at position ${token.pos + 1}`;
+    throw `${message} ${where}`;
+  }
+
+  // expression := term (("+" | "-") term)*
+  parseExpression() {
+    let node = this.parseTerm();
+    while (this.peek().text === "+" || this.peek().text === "-") {
+      const op = this.next().text;
+      node = {type: "binary", op: op, left: node, right: this.parseTerm()};
+    }
+    return node;
+  }
+
+  // term := unary (("*" | "/") unary)*
+  parseTerm() {
+    let node = this.parseUnary();
+    while (this.peek().text === "*" || this.peek().text === "/") {
+      const op = this.next().text;
+      node = {type: "binary", op: op, left: node, right: this.parseUnary()};
+    }
+    return node;
+  }
+
+  // unary := "-" unary | power
+  parseUnary() {
+    if (this.peek().text === "-") {
+      this.next();
+      return {type: "negate", operand: this.parseUnary()};
+    }
+    return this.parsePower();
+  }
+
+  // power := primary ("^" unary)?
+  parsePower() {
+    const node = this.parsePrimary();
+    if (this.peek().text === "^") {
+      this.next();
+      return {type: "binary", op: "^", left: node, right: this.parseUnary()};
+    }
+    return node;
+  }
+
+  // primary := number | field ("[" dateRef "]")? | name "(" args ")"
+  //          | "(" expression ")"
+  parsePrimary() {
+    const token = this.peek();
+    if (token.type === "number") {
+      this.next();
+      return {type: "number", value: token.value};
+    }
+    if (token.text === "(") {
+      this.next();
+      const node = this.parseExpression();
+      this.next(")");
+      return node;
+    }
+    if (token.type !== "name") {
+      this.fail(token.type === "end" ? "expected a value"
+                                     : `unexpected "${token.text}"`);
+    }
+    this.next();
+    if (this.peek().text === "(") {
+      return this.parseCall(token);
+    }
+    if (this.fields.series.includes(token.text)) {
+      const node = {type: "series", field: token.text, base: "date",
+                    offset: 0};
+      if (this.peek().text === "[") {
+        this.next();
+        Object.assign(node, this.parseDateRef());
+        this.next("]");
+      }
+      return node;
+    }
+    if (this.fields.attributes.includes(token.text)) {
+      if (this.peek().text === "[") {
+        this.fail(`"${token.text}" does not vary by date`);
+      }
+      return {type: "attribute", field: token.text};
+    }
+    if (token.text === "date" || token.text === "refDate") {
+      this.fail(`"${token.text}" may only be used inside [ ]`, token);
+    }
+    this.fail(`unknown field "${token.text}"`, token);
+  }
+
+  // args := expression ("," expression)*
+  parseCall(token) {
+    if (!(token.text in FUNCTIONS)) {
+      this.fail(`unknown function "${token.text}"`, token);
+    }
+    this.next("(");
+    const args = [this.parseExpression()];
+    while (this.peek().text === ",") {
+      this.next();
+      args.push(this.parseExpression());
+    }
+    this.next(")");
+    const [min, max] = FUNCTIONS[token.text];
+    if (args.length < min || args.length > max) {
+      this.fail(`${token.text}() takes ` +
+                `${min === max ? min : `${min} or ${max}`} ` +
+                `argument${max === 1 ? "" : "s"}`, token);
+    }
+    if (args.length === 2 && (args[1].type !== "number" ||
+                              !Number.isInteger(args[1].value) ||
+                              args[1].value < 1)) {
+      this.fail(`the number of days in ${token.text}() must be a positive ` +
+                "integer", token);
+    }
+    return {type: "call", name: token.text, args: args};
+  }
+
+  // dateRef := ("date" | "refDate") (("+" | "-") number)?
+  parseDateRef() {
+    const token = this.peek();
+    if (token.text !== "date" && token.text !== "refDate") {
+      this.fail('expected "date" or "refDate"');
+    }
+    this.next();
+    let offset = 0;
+    if (this.peek().text === "+" || this.peek().text === "-") {
+      const sign = this.next().text === "-" ? -1 : 1;
+      const days = this.peek();
+      if (days.type !== "number" || !Number.isInteger(days.value)) {
+        this.fail("expected a whole number of days");
+      }
+      this.next();
+      offset = sign * days.value;
+    }
+    return {base: token.text, offset: offset};
+  }
+}
+
+/**
+ * Splits a formula into tokens. Each token records its position in the
+ * formula so that errors can point at it. The last token is always "end".
+ *
+ * @param {string} text The formula to split.
+ * @return {!Array<Object<string, *>>} The tokens.
+ */
+function tokenize(text) {
+  const tokens = [];
+  let pos = 0;
+  while (true) {
+    while (pos < text.length && /\s/.test(text[pos])) {
+      pos++;
+    }
+    if (pos >= text.length) {
+      break;
+    }
+    const rest = text.slice(pos);
+    let match;
+    if ((match = /^(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?/i.exec(rest))) {
+      tokens.push({type: "number", text: match[0], value: +match[0], pos: pos});
+    }
+    else if ((match = /^[A-Za-z_]\w*/.exec(rest))) {
+      tokens.push({type: "name", text: match[0], pos: pos});
+    }
+    else if ((match = /^[-+*/^()[\],]/.exec(rest))) {
+      tokens.push({type: "symbol", text: match[0], pos: pos});
+    }
+    else {
+      throw `unexpected "${text[pos]}" at position ${pos + 1}`;
+    }
+    pos += match[0].length;
+  }
+  tokens.push({type: "end", text: "", pos: text.length});
+  return tokens;
+}
+
+/**
+ * Evaluates a node of a parsed formula.
+ *
+ * @param {!Object<string, *>} node The node to evaluate.
+ * @param {!EpiViewEntry} entry The entry on which to evaluate the node.
+ * @param {!Object<string, *>} udf The UDF holding "date" and "refDate".
+ * @param {!Date} date The current date, which differs from udf.date inside
+ *     diff() and the windowed functions.
+ * @return {number} The value of the node.
+ */
+function evaluateNode(node, entry, udf, date) {
+  switch (node.type) {
+    case "number":
+      return node.value;
+    case "attribute":
+      return entry.attribute(node.field);
+    case "series": {
+      const base = node.base === "date" ? date : udf.refDate;
+      if (!base) {
+        throw "refDate is required to evaluate this formula";
+      }
+      return entry.lookup(node.field, addDays(base, node.offset),
+                          udf.missing);
+    }
+    case "negate":
+      return -evaluateNode(node.operand, entry, udf, date);
+    case "binary":
+      return OPERATORS[node.op](evaluateNode(node.left, entry, udf, date),
+                                evaluateNode(node.right, entry, udf, date));
+    case "call":
+      return evaluateCall(node, entry, udf, date);
+    default:
+      throw "invalid formula node";
+  }
+}
+
+/**
+ * Finds the range of dates whose counts a node of a parsed formula reads, as
+ * the current date goes from one date to another.
+ *
+ * @param {!Object<string, *>} node The node.
+ * @param {!Object<string, *>} udf The UDF holding "date" and "refDate".
+ * @param {!Date} from The earliest current date.
+ * @param {!Date} to The latest current date.
+ * @return {?Object<string, !Date>} The range: {"from": !Date, "to": !Date},
+ *     or null if the node reads no counts.
+ */
+function rangeOfNode(node, udf, from, to) {
+  switch (node.type) {
+    case "series": {
+      if (node.base === "date") {
+        return {from: addDays(from, node.offset), to: addDays(to, node.offset)};
+      }
+      const date = udf.refDate ? addDays(udf.refDate, node.offset) : null;
+      return date ? {from: date, to: date} : null;
+    }
+    case "negate":
+      return rangeOfNode(node.operand, udf, from, to);
+    case "binary":
+      return unionOf(rangeOfNode(node.left, udf, from, to),
+                     rangeOfNode(node.right, udf, from, to));
+    case "call": {
+      const [arg, days] = node.args;
+      switch (node.name) {
+        case "diff": {
+          const n = days ? days.value : 1;
+          return unionOf(rangeOfNode(arg, udf, from, to),
+                         rangeOfNode(arg, udf, addDays(from, -n),
+                                     addDays(to, -n)));
+        }
+        case "avg":
+        case "sum":
+        case "min":
+        case "max":
+          // As in evaluateCall: the last n days, or else back to refDate.
+          if (days) {
+            return rangeOfNode(arg, udf, addDays(from, 1 - days.value), to);
+          }
+          return udf.refDate && udf.refDate <= to
+            ? rangeOfNode(arg, udf, udf.refDate, to) : null;
+        default:
+          return rangeOfNode(arg, udf, from, to);
+      }
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Combines two ranges of dates into the range that spans both.
+ *
+ * @param {?Object<string, !Date>} a A range, as from rangeOfNode, or null.
+ * @param {?Object<string, !Date>} b Another range, or null.
+ * @return {?Object<string, !Date>} The range spanning both, or null if both
+ *     are null.
+ */
+function unionOf(a, b) {
+  if (!a || !b) {
+    return a || b;
+  }
+  return {
+    from: a.from < b.from ? a.from : b.from,
+    to: a.to > b.to ? a.to : b.to,
+  };
+}
+
+/**
+ * Binary operators available to formulas.
+ */
+const OPERATORS = {
+  "+": (a, b) => a + b,
+  "-": (a, b) => a - b,
+  "*": (a, b) => a * b,
+  "/": (a, b) => a / b,
+  "^": (a, b) => Math.pow(a, b),
+};
+
+/**
+ * Evaluates a function call node of a parsed formula.
+ *
+ * @param {!Object<string, *>} node The node to evaluate.
+ * @param {!EpiViewEntry} entry The entry on which to evaluate the node.
+ * @param {!Object<string, *>} udf The UDF holding "date" and "refDate".
+ * @param {!Date} date The current date.
+ * @return {number} The value of the node.
+ */
+function evaluateCall(node, entry, udf, date) {
+  const [arg, days] = node.args;
+  switch (node.name) {
+    case "diff": {
+      const n = days ? days.value : 1;
+      return evaluateNode(arg, entry, udf, date) -
+             evaluateNode(arg, entry, udf, addDays(date, -n));
+    }
+    case "avg":
+    case "sum":
+    case "min":
+    case "max": {
+      // Use the last n days if given, or else the UDF's window.
+      let start;
+      if (days) {
+        start = addDays(date, 1 - days.value);
+      }
+      else if (udf.refDate) {
+        start = udf.refDate;
+      }
+      else {
+        throw `refDate is required to evaluate ${node.name}() without a ` +
+              "number of days";
+      }
+      let values = [];
+      for (let d = new Date(date); d >= start; d.setDate(d.getDate() - 1)) {
+        values.push(evaluateNode(arg, entry, udf, new Date(d)));
+      }
+      if (values.length === 0) {
+        return 0;
+      }
+      const sum = values.reduce((total, v) => total + v, 0);
+      return node.name === "avg" ? sum / values.length :
+             node.name === "sum" ? sum :
+             Math[node.name](...values);
+    }
+    default:
+      return Math[node.name](evaluateNode(arg, entry, udf, date));
+  }
+}
@@ -0,0 +1,180 @@
+/*
+EpiView
+EpiViewGeoJson.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+import { parseCoord } from "./EpiViewEntry.js";
+
+/**
+ * Reads the polygons of every feature in a GeoJSON FeatureCollection (or a
+ * single Feature), keeping interior rings as holes. Polygons may come from
+ * Polygon, MultiPolygon, or GeometryCollection geometries.
+ *
+ * Malformed features aren't fatal: whatever polygons can be read are kept,
+ * and the problems are listed with the feature, so that callers can report
+ * them.
+ *
+ * @param {!Object<string, *>} geojson The GeoJSON object.
+ * @return {!Array<Object<string, *>>} The features, in order: {
+ *   "properties": !Object<string, *>,
+ *   "bounds": !Array<Array<LatLng>>,  // Exterior ring of each polygon.
+ *   "holes": !Array<Array<Array<LatLng>>>,  // Interior rings of each
+ *       // polygon, by index in bounds.
+ *   "errors": !Array<string>,  // Problems found with the feature.
+ * }
+ */
+export function readGeoJson(geojson) {
+  let features;
+  if (geojson && geojson.type === "FeatureCollection" &&
+      Array.isArray(geojson.features)) {
+    features = geojson.features;
+  }
+  else if (geojson && geojson.type === "Feature") {
+    features = [geojson];
+  }
+  else {
+    throw "malformed GeoJSON: not a FeatureCollection or Feature";
+  }
+  return features.map(feature => {
+    const result = {
+      properties: feature && feature.properties || {},
+      bounds: [],
+      holes: [],
+      errors: [],
+    };
+    if (!feature || feature.type !== "Feature") {
+      result.errors.push("not a Feature");
+    }
+    else if (!feature.geometry) {
+      result.errors.push("no geometry");
+    }
+    else {
+      readGeometry(feature.geometry, result);
+    }
+    return result;
+  });
+}
+
+/**
+ * Reads the polygons of a geometry into a feature from readGeoJson.
+ *
+ * @param {!Object<string, *>} geometry The GeoJSON geometry.
+ * @param {!Object<string, *>} result The feature to add polygons and errors
+ *     to.
+ */
+function readGeometry(geometry, result) {
+  switch (geometry.type) {
+    case "Polygon":
+      readPolygon(geometry.coordinates, result);
+      break;
+    case "MultiPolygon":
+      if (!Array.isArray(geometry.coordinates)) {
+        result.errors.push("MultiPolygon without coordinates");
+        break;
+      }
+      for (const polygon of geometry.coordinates) {
+        readPolygon(polygon, result);
+      }
+      break;
+    case "GeometryCollection":
+      if (!Array.isArray(geometry.geometries)) {
+        result.errors.push("GeometryCollection without geometries");
+        break;
+      }
+      for (const member of geometry.geometries) {
+        if (member) {
+          readGeometry(member, result);
+        }
+      }
+      break;
+    default:
+      result.errors.push(`unsupported geometry type "${geometry.type}"`);
+  }
+}
+
+/**
+ * Reads a polygon's rings into a feature from readGeoJson. The polygon is
+ * skipped if its exterior ring is malformed; only the interior rings are
+ * skipped if they are.
+ *
+ * @param {*} coordinates The polygon's GeoJSON coordinates: an array of
+ *     linear rings, exterior first.
+ * @param {!Object<string, *>} result The feature to add the polygon and any
+ *     errors to.
+ */
+function readPolygon(coordinates, result) {
+  if (!Array.isArray(coordinates) || coordinates.length === 0) {
+    result.errors.push("Polygon without coordinates");
+    return;
+  }
+  const rings = coordinates.map(readRing);
+  if (rings[0] === null) {
+    result.errors.push("Polygon with a malformed exterior ring");
+    return;
+  }
+  if (rings.includes(null)) {
+    result.errors.push("Polygon with a malformed interior ring");
+  }
+  result.bounds.push(rings[0]);
+  result.holes.push(rings.slice(1).filter(ring => ring !== null));
+}
+
+/**
+ * Reads a linear ring.
+ *
+ * @param {*} ring The ring's GeoJSON coordinates.
+ * @return {?Array<LatLng>} The ring, or null if it isn't an array of at least
+ *     3 positions with finite coordinates.
+ */
+function readRing(ring) {
+  if (!Array.isArray(ring) || ring.length < 3 ||
+      !ring.every(coord => Array.isArray(coord) && coord.length >= 2 &&
+                           Number.isFinite(coord[0]) &&
+                           Number.isFinite(coord[1]))) {
+    return null;
+  }
+  return ring.map(parseCoord);
+}
+
+/**
+ * Mean radius of the Earth in miles.
+ */
+const EARTH_RADIUS = 3958.8;
+
+/**
+ * Computes the area of the polygons of a feature from readGeoJson, treating
+ * the Earth as a sphere.
+ *
+ * @param {!Object<string, *>} feature The feature.
+ * @return {number} The area in square miles, excluding holes.
+ */
+export function areaOf(feature) {
+  let area = 0;
+  for (const [i, bound] of feature.bounds.entries()) {
+    area += ringArea(bound);
+    for (const hole of feature.holes[i]) {
+      area -= ringArea(hole);
+    }
+  }
+  return area;
+}
+
+/**
+ * Computes the area enclosed by a ring on a sphere, using the method of
+ * Chamberlain and Duquette (2007).
+ *
+ * @param {!Array<LatLng>} ring The ring.
+ * @return {number} The area in square miles.
+ */
+function ringArea(ring) {
+  const radians = degrees => degrees * Math.PI / 180;
+  let sum = 0;
+  for (let i = 0; i < ring.length; i++) {
+    const p = ring[i], q = ring[(i + 1) % ring.length];
+    sum += radians(q.longitude - p.longitude) *
+           (2 + Math.sin(radians(p.latitude)) + Math.sin(radians(q.latitude)));
+  }
+  return Math.abs(sum) * EARTH_RADIUS * EARTH_RADIUS / 2;
+}
@@ -0,0 +1,265 @@
+/*
+EpiView
+EpiViewGeometry.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+/**
+ * Zoom bands in which polygons are drawn with simplified rings, from the
+ * most zoomed out to the most zoomed in. A map region is in the first band
+ * whose minDelta its latitudeDelta is at least. Rings are simplified to
+ * within the band's tolerance in degrees, about a pixel at the band's
+ * closest zoom; a tolerance of 0 keeps the full rings.
+ */
+export const DETAIL_BANDS = [
+  {minDelta: 20, tolerance: 0.02},
+  {minDelta: 5, tolerance: 0.005},
+  {minDelta: 1, tolerance: 0.001},
+  {minDelta: 0, tolerance: 0},
+];
+
+/**
+ * Computes the bounding box of some rings.
+ *
+ * @param {!Array<Array<LatLng>>} rings The rings.
+ * @return {?Box} The bounding box: {
+ *   "minLatitude": number,
+ *   "maxLatitude": number,
+ *   "minLongitude": number,
+ *   "maxLongitude": number,
+ * }, or null if there are no points.
+ */
+export function boxOf(rings) {
+  let box = null;
+  for (const ring of rings) {
+    for (const { latitude, longitude } of ring) {
+      if (box === null) {
+        box = {
+          minLatitude: latitude,
+          maxLatitude: latitude,
+          minLongitude: longitude,
+          maxLongitude: longitude,
+        };
+      }
+      box.minLatitude = Math.min(box.minLatitude, latitude);
+      box.maxLatitude = Math.max(box.maxLatitude, latitude);
+      box.minLongitude = Math.min(box.minLongitude, longitude);
+      box.maxLongitude = Math.max(box.maxLongitude, longitude);
+    }
+  }
+  return box;
+}
+
+/**
+ * Computes the bounding box of some bounding boxes.
+ *
+ * @param {!Array<?Box>} boxes The boxes. Nulls are skipped.
+ * @return {?Box} The bounding box, or null if there are no boxes.
+ */
+export function unionOf(boxes) {
+  let union = null;
+  for (const box of boxes) {
+    if (box === null) {
+      continue;
+    }
+    union = union === null ? {...box} : {
+      minLatitude: Math.min(union.minLatitude, box.minLatitude),
+      maxLatitude: Math.max(union.maxLatitude, box.maxLatitude),
+      minLongitude: Math.min(union.minLongitude, box.minLongitude),
+      maxLongitude: Math.max(union.maxLongitude, box.maxLongitude),
+    };
+  }
+  return union;
+}
+
+/**
+ * Checks whether two bounding boxes overlap.
+ *
+ * @param {!Box} a A box.
+ * @param {!Box} b Another box.
+ * @return {boolean} Whether they overlap.
+ */
+export function intersects(a, b) {
+  return a.minLatitude <= b.maxLatitude && a.maxLatitude >= b.minLatitude &&
+         a.minLongitude <= b.maxLongitude && a.maxLongitude >= b.minLongitude;
+}
+
+/**
+ * Computes a map region that fits a bounding box.
+ *
+ * @param {!Box} box The bounding box.
+ * @param {number=} margin How many times larger than the box the region
+ *     should be.
+ * @return {!Region} The region, centered on the box.
+ */
+export function regionOf(box, margin = 1.1) {
+  return {
+    latitude: (box.minLatitude + box.maxLatitude) / 2,
+    longitude: (box.minLongitude + box.maxLongitude) / 2,
+    latitudeDelta: (box.maxLatitude - box.minLatitude) * margin,
+    longitudeDelta: (box.maxLongitude - box.minLongitude) * margin,
+  };
+}
+
+/**
+ * Determines what to draw for a map region: its zoom band, and the box to
+ * cull polygons to. The box is the region padded by its own size on every
+ * side, so that the map can be panned a little without recomputing
+ * polygons.
+ *
+ * @param {!Region} region The map region.
+ * @return {!Object<string, *>} The view: {
+ *   "band": number,  // Index in DETAIL_BANDS.
+ *   "box": !Box,
+ * }
+ */
+export function viewOf(region) {
+  const band = DETAIL_BANDS.findIndex(
+    band => region.latitudeDelta >= band.minDelta);
+  return {
+    band: band,
+    box: {
+      minLatitude: region.latitude - region.latitudeDelta * 1.5,
+      maxLatitude: region.latitude + region.latitudeDelta * 1.5,
+      minLongitude: region.longitude - region.longitudeDelta * 1.5,
+      maxLongitude: region.longitude + region.longitudeDelta * 1.5,
+    },
+  };
+}
+
+/**
+ * Checks whether polygons computed for a view still suffice for a map
+ * region: whether the region is in the same zoom band and within the view's
+ * box.
+ *
+ * @param {?Object<string, *>} view The view, from viewOf.
+ * @param {!Region} region The map region.
+ * @return {boolean} Whether the view covers the region.
+ */
+export function covers(view, region) {
+  return view !== null && view.band === viewOf(region).band &&
+         region.latitude - region.latitudeDelta / 2 >= view.box.minLatitude &&
+         region.latitude + region.latitudeDelta / 2 <= view.box.maxLatitude &&
+         region.longitude - region.longitudeDelta / 2 >=
+           view.box.minLongitude &&
+         region.longitude + region.longitudeDelta / 2 <=
+           view.box.maxLongitude;
+}
+
+/**
+ * Simplifies a ring with the Douglas-Peucker algorithm. The ring is first
+ * split at the point farthest from its first point and at the point farthest
+ * from the line between them, so that a ring that isn't degenerate keeps at
+ * least a triangle, however small.
+ *
+ * @param {!Array<LatLng>} ring The ring, open or closed.
+ * @param {number} tolerance The most that the simplified ring may stray from
+ *     the original, in degrees.
+ * @return {!Array<LatLng>} The simplified ring, which shares points with the
+ *     original. The original itself if the tolerance is 0.
+ */
+export function simplifyRing(ring, tolerance) {
+  if (tolerance === 0 || ring.length <= 4) {
+    return ring;
+  }
+  // Treat the ring as a path that returns to its first point.
+  const n = ring.length;
+  const point = i => ring[i % n];
+  let far = 0;
+  for (let i = 1; i < n; i++) {
+    if (distance(ring[0], ring[i]) > distance(ring[0], ring[far])) {
+      far = i;
+    }
+  }
+  let apex = 0;
+  for (let i = 1; i < n; i++) {
+    if (segmentDistance(ring[i], ring[0], ring[far]) >
+        segmentDistance(ring[apex], ring[0], ring[far])) {
+      apex = i;
+    }
+  }
+  const splits = [...new Set([0, far, apex].sort((a, b) => a - b)), n];
+  const keep = new Uint8Array(n);
+  const stack = [];
+  for (let i = 0; i + 1 < splits.length; i++) {
+    keep[splits[i]] = 1;
+    stack.push([splits[i], splits[i + 1]]);
+  }
+  while (stack.length !== 0) {
+    const [first, last] = stack.pop();
+    let worst = -1, worstDistance = tolerance;
+    for (let i = first + 1; i < last; i++) {
+      const d = segmentDistance(ring[i], point(first), point(last));
+      if (d > worstDistance) {
+        worst = i;
+        worstDistance = d;
+      }
+    }
+    if (worst !== -1) {
+      keep[worst] = 1;
+      stack.push([first, worst], [worst, last]);
+    }
+  }
+  return ring.filter((_, i) => keep[i]);
+}
+
+/**
+ * Simplifies the rings of an entry for a zoom band. Holes smaller than the
+ * band's tolerance are dropped, since they wouldn't be visible.
+ *
+ * @param {!Array<Array<LatLng>>} bounds Exterior rings.
+ * @param {!Array<Array<Array<LatLng>>>} holes Interior rings, by index in
+ *     bounds.
+ * @param {number} tolerance As in simplifyRing.
+ * @return {!Object<string, *>} The simplified "bounds" and "holes".
+ */
+export function simplifyShape(bounds, holes, tolerance) {
+  if (tolerance === 0) {
+    return {bounds: bounds, holes: holes};
+  }
+  const large = ring => {
+    const box = boxOf([ring]);
+    return box.maxLatitude - box.minLatitude > tolerance ||
+           box.maxLongitude - box.minLongitude > tolerance;
+  };
+  return {
+    bounds: bounds.map(bound => simplifyRing(bound, tolerance)),
+    holes: bounds.map((_, i) => (holes[i] || [])
+      .filter(hole => hole.length !== 0 && large(hole))
+      .map(hole => simplifyRing(hole, tolerance))),
+  };
+}
+
+/**
+ * Computes the distance between two points, treating degrees as planar.
+ *
+ * @param {!LatLng} p A point.
+ * @param {!LatLng} q Another point.
+ * @return {number} The distance in degrees.
+ */
+function distance(p, q) {
+  return Math.hypot(p.latitude - q.latitude, p.longitude - q.longitude);
+}
+
+/**
+ * Computes the distance from a point to a line segment, treating degrees as
+ * planar.
+ *
+ * @param {!LatLng} p The point.
+ * @param {!LatLng} a One end of the segment.
+ * @param {!LatLng} b The other end.
+ * @return {number} The distance in degrees.
+ */
+function segmentDistance(p, a, b) {
+  const dx = b.longitude - a.longitude, dy = b.latitude - a.latitude;
+  const length2 = dx * dx + dy * dy;
+  if (length2 === 0) {
+    return distance(p, a);
+  }
+  const t = Math.max(0, Math.min(1, ((p.longitude - a.longitude) * dx +
+                                     (p.latitude - a.latitude) * dy) /
+                                    length2));
+  return Math.hypot(p.longitude - a.longitude - t * dx,
+                    p.latitude - a.latitude - t * dy);
+}
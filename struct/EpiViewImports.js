@@ -0,0 +1,83 @@
+/*
+EpiView
+EpiViewImports.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+/**
+ * Holds the list of datasets that the user has imported, persisted to
+ * storage so that they can be registered again when the app starts. Only
+ * each ImportSpec is stored here; the imported files themselves are kept
+ * wherever the spec's URIs point. Every change is written through
+ * immediately.
+ *
+ * EpiViewImports {
+ *   "items": !Array<ImportSpec>,  // See EpiViewTable_Custom.js.
+ * }
+ */
+export default class EpiViewImports {
+  /**
+   * @param {?AsyncStorage} storage Storage for the list. Anything with async
+   *     getItem and setItem methods will do. If null, imports only last until
+   *     the app closes.
+   * @param {string} storageKey Storage key of the list.
+   */
+  constructor(storage, storageKey) {
+    this.storage = storage;
+    this.storageKey = storageKey;
+    this.items = [];
+  }
+
+  /**
+   * Loads the list from storage, replacing any in memory.
+   *
+   * @return {!Promise<!EpiViewImports>} This object, once loaded.
+   */
+  async load() {
+    if (this.storage) {
+      try {
+        const items = JSON.parse(await this.storage.getItem(this.storageKey));
+        this.items = Array.isArray(items) ? items : [];
+      }
+      catch (e) {
+        this.items = [];
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Adds an import to the end of the list, replacing any with the same
+   * identifier.
+   *
+   * @param {!ImportSpec} spec What was imported.
+   */
+  async add(spec) {
+    this.items = this.items.filter(item => item.id !== spec.id);
+    this.items.push(spec);
+    await this.persist();
+  }
+
+  /**
+   * Deletes an import from the list.
+   *
+   * @param {string} id Identifier of the import's table.
+   * @return {?ImportSpec} The deleted import, or undefined if there was none.
+   */
+  async remove(id) {
+    const spec = this.items.find(item => item.id === id);
+    this.items = this.items.filter(item => item.id !== id);
+    await this.persist();
+    return spec;
+  }
+
+  /**
+   * Writes the list to storage, if any.
+   */
+  async persist() {
+    if (this.storage) {
+      await this.storage.setItem(this.storageKey, JSON.stringify(this.items));
+    }
+  }
+}
@@ -0,0 +1,103 @@
+/*
+EpiView
+EpiViewPresets.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+/**
+ * Holds a list of named queries that the user has saved, persisted to
+ * storage. Every change is written through immediately.
+ *
+ * EpiViewPresets {
+ *   "items": !Array<{
+ *     "name": string,
+ *     "params": !Object<string, string>,  // From toQueryParams.
+ *   }>,
+ * }
+ */
+export default class EpiViewPresets {
+  /**
+   * @param {?AsyncStorage} storage Storage for the presets. Anything with
+   *     async getItem and setItem methods will do. If null, presets only last
+   *     until the app closes.
+   * @param {string} storageKey Storage key of the presets.
+   */
+  constructor(storage, storageKey) {
+    this.storage = storage;
+    this.storageKey = storageKey;
+    this.items = [];
+  }
+
+  /**
+   * Loads the presets from storage, replacing any in memory.
+   *
+   * @return {!Promise<!EpiViewPresets>} This object, once loaded.
+   */
+  async load() {
+    if (this.storage) {
+      try {
+        const items = JSON.parse(await this.storage.getItem(this.storageKey));
+        this.items = Array.isArray(items) ? items : [];
+      }
+      catch (e) {
+        this.items = [];
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Saves a query as a new preset at the end of the list.
+   *
+   * @param {string} name Name of the preset.
+   * @param {!Object<string, string>} params The query, from toQueryParams.
+   */
+  async add(name, params) {
+    this.items.push({name: name, params: params});
+    await this.persist();
+  }
+
+  /**
+   * Renames a preset.
+   *
+   * @param {number} index Position of the preset in the list.
+   * @param {string} name New name of the preset.
+   */
+  async rename(index, name) {
+    this.items[index] = {...this.items[index], name: name};
+    await this.persist();
+  }
+
+  /**
+   * Moves a preset up or down the list.
+   *
+   * @param {number} index Position of the preset in the list.
+   * @param {number} delta How far to move it: negative moves it up.
+   */
+  async move(index, delta) {
+    const target = Math.min(Math.max(index + delta, 0), this.items.length - 1);
+    const [item] = this.items.splice(index, 1);
+    this.items.splice(target, 0, item);
+    await this.persist();
+  }
+
+  /**
+   * Deletes a preset.
+   *
+   * @param {number} index Position of the preset in the list.
+   */
+  async remove(index) {
+    this.items.splice(index, 1);
+    await this.persist();
+  }
+
+  /**
+   * Writes the presets to storage, if any.
+   */
+  async persist() {
+    if (this.storage) {
+      await this.storage.setItem(this.storageKey, JSON.stringify(this.items));
+    }
+  }
+}
@@ -0,0 +1,331 @@
+/*
+EpiView
+EpiViewQuery.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+import { addDays, COMPARISONS, daysBetween, DEFAULT_MISSING, MISSING_POLICIES, MODES, numeratorFor, parseDate } from "./EpiViewEntry.js";
+import { DEFAULT_FORECAST, FIT_DAYS, FORECAST_MODELS } from "./EpiViewForecast.js";
+import { getTable } from "./EpiViewRegistry.js";
+
+/**
+ * Converts a query (the table, UDF, and map region) to URL query parameters,
+ * e.g. for a deep link or a saved preset.
+ *
+ * If the query's date is the latest date of data, it is written as "latest"
+ * and the reference date as a number of days before it (e.g. "-13"), so that
+ * "the last 14 days" keeps its meaning as new data arrives. Otherwise, dates
+ * are written as ISO dates (YYYY-MM-DD). The missing data policy and the
+ * forecast are only written if they aren't the default.
+ *
+ * @param {!Object<string, *>} query The query: {
+ *   "tableId": string,
+ *   "numerator": string,
+ *   "denominator": string,
+ *   "mode": string,
+ *   "formula": ?string,
+ *   "window": ?number,
+ *   "refDate": ?Date,
+ *   "date": !Date,
+ *   "missing": ?Object<string, *>,  // Missing data policy, as in
+ *       // EpiViewEntry's DEFAULT_MISSING.
+ *   "compare": ?Object<string, *>,  // What to compare with, as in
+ *       // EpiViewEntry's compareUdf.
+ *   "forecast": ?Object<string, *>,  // How dates past the data are
+ *       // projected, as in EpiViewForecast's DEFAULT_FORECAST.
+ *   "region": ?Region,  // Map region, if it should be restored.
+ * }
+ * @param {?Date=} maxDate The latest date of data in the query's table.
+ * @return {!Object<string, string>} The query parameters.
+ */
+export function toQueryParams(query, maxDate = null) {
+  const mode = MODES[query.mode];
+  const latest = maxDate !== null && daysBetween(query.date, maxDate) === 0;
+  const params = {
+    table: query.tableId,
+    mode: query.mode,
+    date: latest ? "latest" : formatDate(query.date),
+  };
+  if (query.mode === "formula") {
+    params.formula = query.formula;
+  }
+  else {
+    params.numerator = query.numerator;
+    params.denominator = query.denominator;
+  }
+  if (mode.window) {
+    params.window = String(query.window);
+  }
+  if (mode.refDate) {
+    params.refDate = latest ? String(daysBetween(query.date, query.refDate))
+                            : formatDate(query.refDate);
+  }
+  if (query.missing && query.missing.policy !== DEFAULT_MISSING.policy) {
+    params.missing = query.missing.policy;
+  }
+  if (query.missing && query.missing.policy !== "missing" &&
+      query.missing.maxStaleness !== DEFAULT_MISSING.maxStaleness) {
+    params.staleness = String(query.missing.maxStaleness);
+  }
+  if (query.forecast && query.forecast.model !== DEFAULT_FORECAST.model) {
+    params.forecast = query.forecast.model;
+  }
+  if (query.forecast && query.forecast.days !== DEFAULT_FORECAST.days) {
+    params.fitDays = String(query.forecast.days);
+  }
+  if (query.compare) {
+    params.compare = query.compare.as;
+    params.compareDays = String(query.compare.days || 0);
+    if (query.mode === "formula" && query.compare.formula) {
+      params.compareFormula = String(query.compare.formula.text ||
+                                     query.compare.formula);
+    }
+    else if (query.mode !== "formula") {
+      for (const key of ["numerator", "denominator"]) {
+        if (query.compare[key]) {
+          params[`compare${key[0].toUpperCase()}${key.slice(1)}`] =
+            query.compare[key];
+        }
+      }
+    }
+  }
+  if (query.region) {
+    params.region = ["latitude", "longitude", "latitudeDelta",
+                     "longitudeDelta"].map(k => +query.region[k].toFixed(4))
+                                      .join(",");
+  }
+  return params;
+}
+
+/**
+ * Converts URL query parameters from toQueryParams back to a query. The
+ * table and mode are checked against the registry, and anything invalid or
+ * missing is left out so that the current value is kept.
+ *
+ * @param {!Object<string, string>} params The query parameters.
+ * @param {function(string): ?Date} maxDateOf Returns the latest date of data
+ *     in a table, or null if the table isn't loaded yet. Needed to resolve
+ *     "latest" and relative reference dates.
+ * @return {!Object<string, *>} The query, with the same fields as in
+ *     toQueryParams, plus "errors": an array of problems found.
+ */
+export function fromQueryParams(params, maxDateOf) {
+  const query = {errors: []};
+  if (params.table !== undefined) {
+    if (getTable(params.table)) {
+      query.tableId = params.table;
+    }
+    else {
+      query.errors.push(`unknown table "${params.table}"`);
+    }
+  }
+  const descriptor = getTable(query.tableId || params.table);
+  if (params.mode !== undefined) {
+    if (params.mode in MODES) {
+      query.mode = params.mode;
+    }
+    else {
+      query.errors.push(`unknown mode "${params.mode}"`);
+    }
+  }
+  for (const [key, options] of [["numerator", "numerators"],
+                                ["denominator", "denominators"]]) {
+    if (params[key] === undefined) {
+      continue;
+    }
+    if (descriptor &&
+        descriptor[options].some(option => option.value === params[key])) {
+      query[key] = params[key];
+    }
+    else {
+      query.errors.push(`unknown ${key} "${params[key]}"`);
+    }
+  }
+  if (params.formula !== undefined) {
+    query.formula = params.formula;
+  }
+  if (params.window !== undefined) {
+    const window = +params.window;
+    if (Number.isInteger(window) && window > 0) {
+      query.window = window;
+    }
+    else {
+      query.errors.push(`invalid window "${params.window}"`);
+    }
+  }
+  if (params.compare !== undefined) {
+    query.compare = readCompare(params, descriptor, query.errors);
+  }
+  // Windowed modes only take daily new numerators.
+  const fits = numerator => !query.mode || !numerator ||
+                            numeratorFor(query.mode, numerator) === numerator;
+  if (!fits(query.numerator)) {
+    query.errors.push(`numerator "${query.numerator}" can't be used in ` +
+                      `mode "${query.mode}"`);
+    delete query.numerator;
+  }
+  if (query.compare && !fits(query.compare.numerator)) {
+    query.errors.push("numerator to compare with " +
+                      `"${query.compare.numerator}" can't be used in mode ` +
+                      `"${query.mode}"`);
+    query.compare.numerator = null;
+  }
+  if (params.missing !== undefined || params.staleness !== undefined) {
+    query.missing = {...DEFAULT_MISSING};
+    if (params.missing !== undefined) {
+      if (params.missing in MISSING_POLICIES) {
+        query.missing.policy = params.missing;
+      }
+      else {
+        query.errors.push(`unknown missing data policy "${params.missing}"`);
+      }
+    }
+    if (params.staleness !== undefined) {
+      const staleness = +params.staleness;
+      if (Number.isInteger(staleness) && staleness >= 0) {
+        query.missing.maxStaleness = staleness;
+      }
+      else {
+        query.errors.push(`invalid staleness "${params.staleness}"`);
+      }
+    }
+  }
+  if (params.forecast !== undefined || params.fitDays !== undefined) {
+    query.forecast = {...DEFAULT_FORECAST};
+    if (params.forecast !== undefined) {
+      if (params.forecast in FORECAST_MODELS) {
+        query.forecast.model = params.forecast;
+      }
+      else {
+        query.errors.push(`unknown forecast model "${params.forecast}"`);
+      }
+    }
+    if (params.fitDays !== undefined) {
+      if (FIT_DAYS.includes(+params.fitDays)) {
+        query.forecast.days = +params.fitDays;
+      }
+      else {
+        query.errors.push(`invalid fitDays "${params.fitDays}"`);
+      }
+    }
+  }
+
+  // Resolve dates, which may be relative to the latest date of data.
+  const maxDate = descriptor ? maxDateOf(descriptor.id) : null;
+  if (params.date !== undefined) {
+    query.date = params.date === "latest" ? maxDate : readDate(params.date);
+    if (!query.date) {
+      delete query.date;
+      if (params.date !== "latest") {
+        query.errors.push(`invalid date "${params.date}"`);
+      }
+    }
+  }
+  if (params.refDate !== undefined) {
+    const date = query.date || maxDate;
+    query.refDate = /^-?\d+$/.test(params.refDate)
+                    ? date && addDays(date, +params.refDate)
+                    : readDate(params.refDate);
+    if (!query.refDate) {
+      delete query.refDate;
+      if (!/^-?\d+$/.test(params.refDate)) {
+        query.errors.push(`invalid refDate "${params.refDate}"`);
+      }
+    }
+  }
+  if (params.region !== undefined) {
+    const parts = params.region.split(",").map(Number);
+    if (parts.length === 4 && parts.every(Number.isFinite)) {
+      query.region = {
+        latitude: parts[0],
+        longitude: parts[1],
+        latitudeDelta: parts[2],
+        longitudeDelta: parts[3],
+      };
+    }
+    else {
+      query.errors.push(`invalid region "${params.region}"`);
+    }
+  }
+  return query;
+}
+
+/**
+ * Reads what to compare with from query parameters.
+ *
+ * @param {!Object<string, string>} params The query parameters, including
+ *     "compare".
+ * @param {?TableDescriptor} descriptor The query's table, if known.
+ * @param {!Array<string>} errors Problems found are added to this.
+ * @return {?Object<string, *>} What to compare with, as in EpiViewEntry's
+ *     compareUdf, or null to compare with nothing.
+ */
+function readCompare(params, descriptor, errors) {
+  if (params.compare === "") {
+    return null;
+  }
+  if (!(params.compare in COMPARISONS)) {
+    errors.push(`unknown comparison "${params.compare}"`);
+    return null;
+  }
+  const compare = {
+    as: params.compare,
+    numerator: null,
+    denominator: null,
+    formula: params.compareFormula || null,
+    days: 0,
+  };
+  for (const [key, options] of [["numerator", "numerators"],
+                                ["denominator", "denominators"]]) {
+    const value = params[`compare${key[0].toUpperCase()}${key.slice(1)}`];
+    if (value === undefined) {
+      continue;
+    }
+    if (descriptor &&
+        descriptor[options].some(option => option.value === value)) {
+      compare[key] = value;
+    }
+    else {
+      errors.push(`unknown ${key} to compare with "${value}"`);
+    }
+  }
+  if (params.compareDays !== undefined) {
+    const days = +params.compareDays;
+    if (Number.isInteger(days)) {
+      compare.days = days;
+    }
+    else {
+      errors.push(`invalid compareDays "${params.compareDays}"`);
+    }
+  }
+  return compare;
+}
+
+/**
+ * Converts a Date to an ISO date string (YYYY-MM-DD) in the local time zone.
+ *
+ * @param {!Date} date The date to convert.
+ * @return {string} The ISO date string.
+ */
+export function formatDate(date) {
+  return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+    .map((part, i) => String(part).padStart(i === 0 ? 4 : 2, "0"))
+    .join("-");
+}
+
+/**
+ * Parses an ISO date string (YYYY-MM-DD), rejecting anything else, including
+ * dates that don't exist, e.g. 2020-02-30.
+ *
+ * @param {string} dateStr The string to parse.
+ * @return {?Date} The date, or null if the string isn't an ISO date.
+ */
+function readDate(dateStr) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) {
+    return null;
+  }
+  // parseDate rolls over, e.g. from 2020-13-45 to 2021-02-14.
+  const date = parseDate(dateStr);
+  return formatDate(date) === dateStr ? date : null;
+}
@@ -0,0 +1,154 @@
+/*
+EpiView
+EpiViewRegistry.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+import { fieldLabel } from "./EpiViewFormula.js";
+
+/**
+ * Registered data tables, in registration order.
+ *
+ * TableDescriptor {
+ *   "id": string,  // Unique identifier, e.g. "us".
+ *   "name": string,  // Display name, e.g. "U.S. Counties".
+ *   "region": !Region,  // Default map region for this table.
+ *   "fields": !Object<string, *>,  // Fields of the table's entries, as in
+ *       // EpiViewTable.fields. Defaults to the source's, if any.
+ *   "numerators": !Array<Option>,  // Available numerators. Filled in from
+ *       // fields by registerTable.
+ *   "denominators": !Array<Option>,  // Available denominators. Filled in
+ *       // from fields by registerTable.
+ *   "create": function(Object=): !EpiViewTable,  // Constructs an uncompiled
+ *       table, passing along options such as fetch and storage.
+ *   "source": ?string,  // If given, this table is derived from another
+ *       // table, such as by rolling it up. The other table is compiled first
+ *       // and passed to this table's compile.
+ *   "parent": ?{  // If given, this table is a finer level of detail of
+ *       // another table, shown in place of some of its entries when the map
+ *       // is zoomed in on them.
+ *     "id": string,  // Identifier of the parent table.
+ *     "keys": !Array<string>,  // Keys of the parent's entries it replaces.
+ *     "maxDelta": number,  // Shown once the map's latitudeDelta is at most
+ *         // this.
+ *   },
+ * }
+ *
+ * Option {
+ *   "label": string,  // Display label in pickers.
+ *   "value": string,  // Value understood by EpiViewEntry.evaluate.
+ * }
+ */
+const descriptors = [];
+
+/**
+ * Registers a data table so that it becomes available in the UI. Each table
+ * module calls this once, and is imported by EpiViewTables.js. Tables that
+ * the user imports are registered when the app starts (see
+ * EpiViewTable_Custom.js).
+ *
+ * @param {!TableDescriptor} descriptor Metadata describing the table.
+ */
+export function registerTable(descriptor) {
+  if (descriptor.source && getTable(descriptor.source) && !descriptor.fields) {
+    descriptor = {...descriptor, fields: getTable(descriptor.source).fields};
+  }
+  for (const key of ["id", "name", "region", "fields", "create"]) {
+    if (!(key in descriptor)) {
+      throw `table descriptor is missing "${key}"`;
+    }
+  }
+  if (descriptor.parent &&
+      !["id", "keys", "maxDelta"].every(key => key in descriptor.parent)) {
+    throw `table "${descriptor.id}" has an incomplete parent`;
+  }
+  if (descriptor.source && !getTable(descriptor.source)) {
+    throw `table "${descriptor.id}" has an unregistered source`;
+  }
+  if (getTable(descriptor.id)) {
+    throw `table "${descriptor.id}" is already registered`;
+  }
+  descriptors.push({...descriptor, ...fieldOptions(descriptor.fields)});
+}
+
+/**
+ * Lists the numerators and denominators that a table's fields support: each
+ * series field, cumulative and daily new, over a total, population, area, or
+ * any other field.
+ *
+ * @param {!Object<string, *>} fields Fields of the table's entries.
+ * @return {!Object<string, !Array<Option>>} {"numerators", "denominators"}.
+ */
+function fieldOptions(fields) {
+  const label = field => fieldLabel(fields, field);
+  const capitalize = text => text[0].toUpperCase() + text.slice(1);
+  const numerators = [];
+  for (const field of fields.series) {
+    numerators.push({label: capitalize(label(field)), value: field},
+                    {label: `Daily new ${label(field)}`,
+                     value: `daily new ${field}`});
+  }
+  const denominators = [{label: "Total", value: "total"}];
+  for (const field of fields.series) {
+    // "per case" predates other fields; keep it so that saved links work.
+    denominators.push(field === "cases"
+      ? {label: "Per case", value: "per case"}
+      : {label: `Per ${label(field)}`, value: `per ${field}`});
+  }
+  for (const field of fields.attributes) {
+    denominators.push(
+      field === "population" ? {label: "Per 100k pop.",
+                                value: "per 100k population"} :
+      field === "area" ? {label: "Per sq. mi.", value: "per sq. mi."} :
+      {label: `Per ${label(field)}`, value: `per ${field}`});
+  }
+  return {numerators: numerators, denominators: denominators};
+}
+
+/**
+ * Unregisters a data table, such as one the user imported and then deleted.
+ * Does nothing if no such table has been registered.
+ *
+ * @param {string} id Identifier of the table.
+ */
+export function unregisterTable(id) {
+  const index = descriptors.findIndex(descriptor => descriptor.id === id);
+  if (index !== -1) {
+    descriptors.splice(index, 1);
+  }
+}
+
+/**
+ * Looks up a registered data table.
+ *
+ * @param {string} id Identifier of the table.
+ * @return {?TableDescriptor} The table's descriptor, or undefined if no such
+ *     table has been registered.
+ */
+export function getTable(id) {
+  return descriptors.find(descriptor => descriptor.id === id);
+}
+
+/**
+ * Lists the registered data tables.
+ *
+ * @return {!Array<TableDescriptor>} Descriptors of all registered tables, in
+ *     registration order.
+ */
+export function listTables() {
+  return descriptors.slice();
+}
+
+/**
+ * Lists the registered data tables that are finer levels of detail of a
+ * table.
+ *
+ * @param {string} id Identifier of the parent table.
+ * @return {!Array<TableDescriptor>} Descriptors of the tables whose parent is
+ *     the given table, in registration order.
+ */
+export function listChildren(id) {
+  return descriptors.filter(descriptor =>
+    descriptor.parent && descriptor.parent.id === id);
+}
@@ -0,0 +1,436 @@
+/*
+EpiView
+EpiViewScale.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+/**
+ * Color palettes, given as evenly spaced anchor colors from the lowest to the
+ * highest class. Sequential palettes are for values that are all of one sign;
+ * diverging palettes are for values that may be positive or negative, and
+ * have their lightest color in the middle. Apart from the "classic" palettes,
+ * which mimic the original transparent red/blue shading, all are ColorBrewer
+ * or matplotlib palettes that remain distinguishable with common forms of
+ * color blindness.
+ */
+export const PALETTES = {
+  classic: {
+    label: "Classic red",
+    type: "sequential",
+    colorblindSafe: false,
+    colors: ["rgba(255, 0, 0, 0.05)", "rgba(255, 0, 0, 0.6)"],
+  },
+  reds: {
+    label: "Reds",
+    type: "sequential",
+    colorblindSafe: true,
+    colors: ["#fee0d2", "#fcbba1", "#fc9272", "#fb6a4a", "#ef3b2c", "#cb181d",
+             "#a50f15", "#67000d"],
+  },
+  blues: {
+    label: "Blues",
+    type: "sequential",
+    colorblindSafe: true,
+    colors: ["#deebf7", "#c6dbef", "#9ecae1", "#6baed6", "#4292c6", "#2171b5",
+             "#08519c", "#08306b"],
+  },
+  ylorrd: {
+    label: "Yellow-orange-red",
+    type: "sequential",
+    colorblindSafe: true,
+    colors: ["#ffffcc", "#ffeda0", "#fed976", "#feb24c", "#fd8d3c", "#fc4e2a",
+             "#e31a1c", "#bd0026", "#800026"],
+  },
+  viridis: {
+    label: "Viridis",
+    type: "sequential",
+    colorblindSafe: true,
+    colors: ["#fde725", "#b5de2b", "#6ece58", "#35b779", "#1f9e89", "#26828e",
+             "#31688e", "#3e4989", "#482878", "#440154"],
+  },
+  classicDiverging: {
+    label: "Classic blue-red",
+    type: "diverging",
+    colorblindSafe: false,
+    colors: ["rgba(0, 0, 255, 0.6)", "rgba(0, 0, 255, 0)",
+             "rgba(255, 0, 0, 0)", "rgba(255, 0, 0, 0.6)"],
+  },
+  rdbu: {
+    label: "Blue-red",
+    type: "diverging",
+    colorblindSafe: true,
+    colors: ["#053061", "#2166ac", "#4393c3", "#92c5de", "#d1e5f0", "#f7f7f7",
+             "#fddbc7", "#f4a582", "#d6604d", "#b2182b", "#67001f"],
+  },
+  puor: {
+    label: "Purple-orange",
+    type: "diverging",
+    colorblindSafe: true,
+    colors: ["#2d004b", "#542788", "#8073ac", "#b2abd2", "#d8daeb", "#f7f7f7",
+             "#fee0b6", "#fdb863", "#e08214", "#b35806", "#7f3b08"],
+  },
+  brbg: {
+    label: "Teal-brown",
+    type: "diverging",
+    colorblindSafe: true,
+    colors: ["#003c30", "#01665e", "#35978f", "#80cdc1", "#c7eae5", "#f5f5f5",
+             "#f6e8c3", "#dfc27d", "#bf812d", "#8c510a", "#543005"],
+  },
+};
+
+/**
+ * Classification schemes, which decide where the boundaries between classes
+ * fall.
+ */
+export const CLASSIFICATIONS = {
+  linear: "Equal interval",
+  log: "Logarithmic",
+  quantile: "Quantile",
+  jenks: "Natural breaks (Jenks)",
+  manual: "Manual",
+};
+
+/**
+ * Default styling options. The "auto" palette picks "reds" when every value
+ * is non-negative (or, for ratios, at least 1) and "rdbu" otherwise.
+ */
+export const DEFAULT_STYLE = {
+  classification: "quantile",
+  palette: "auto",
+  classes: 5,
+  thresholds: [],  // Used by "manual" classification.
+};
+
+/**
+ * Color of areas with no data (a value of NaN), distinct from every palette.
+ */
+export const NO_DATA_COLOR = "rgba(128, 128, 128, 0.45)";
+
+/**
+ * Opacity of palette colors given in hex, so that the map stays visible
+ * underneath.
+ */
+const FILL_OPACITY = 0.7;
+
+/**
+ * The largest number of values that Jenks natural breaks will consider.
+ * Larger inputs are sampled down to this size, since the algorithm is
+ * quadratic.
+ */
+const JENKS_MAX_VALUES = 1000;
+
+/**
+ * Maps values to colored classes according to a classification scheme and
+ * palette.
+ *
+ * EpiViewScale {
+ *   "palette": string,  // Key of PALETTES actually used.
+ *   "breaks": !Array<number>,  // Upper bound of every class but the last.
+ *   "colors": !Array<string>,  // Color of each class.
+ *   "min": number,  // Smallest value classified.
+ *   "max": number,  // Largest value classified.
+ * }
+ */
+export default class EpiViewScale {
+  /**
+   * Creates a scale fitted to a set of values.
+   *
+   * @param {!Array<number>} values The values to fit. Values that aren't
+   *     finite are ignored.
+   * @param {!Object<string, *>=} style Styling options, as in DEFAULT_STYLE,
+   *     plus "ratio": whether the values are ratios. Diverging palettes
+   *     center ratios on 1 rather than 0, with 1/2 and 2 equally far from
+   *     the center.
+   */
+  constructor(values, style = {}) {
+    style = {...DEFAULT_STYLE, ...style};
+    const center = style.ratio ? 1 : 0;
+    const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+    this.min = sorted.length !== 0 ? sorted[0] : 0;
+    this.max = sorted.length !== 0 ? sorted[sorted.length - 1] : 0;
+    this.palette = style.palette !== "auto" ? style.palette
+                   : this.min < center ? "rdbu" : "reds";
+    if (!(this.palette in PALETTES)) {
+      throw "invalid palette";
+    }
+    if (!(style.classification in CLASSIFICATIONS)) {
+      throw "invalid classification";
+    }
+    const classes = Math.max(1, Math.round(style.classes));
+
+    if (style.classification === "manual") {
+      this.breaks = style.thresholds.slice().sort((a, b) => a - b);
+    }
+    else if (PALETTES[this.palette].type === "diverging" && style.ratio) {
+      // As below, but for the magnitudes of the ratios' logarithms. Ratios
+      // that aren't positive all fall into the first class.
+      const magnitudes = sorted.filter(v => v > 0)
+                               .map(v => Math.abs(Math.log(v)))
+                               .sort((a, b) => a - b);
+      const half = classify(magnitudes, Math.max(1, Math.floor(classes / 2)),
+                            style.classification);
+      this.breaks = [...half.slice().reverse().map(b => Math.exp(-b)), 1,
+                     ...half.map(Math.exp)];
+    }
+    else if (PALETTES[this.palette].type === "diverging") {
+      // Classify magnitudes and mirror the result around 0, so that 0 always
+      // falls between the palette's two lightest classes. This rounds the
+      // number of classes down to an even number.
+      const magnitudes = sorted.map(Math.abs).sort((a, b) => a - b);
+      const half = classify(magnitudes, Math.max(1, Math.floor(classes / 2)),
+                            style.classification);
+      this.breaks = [...half.slice().reverse().map(b => -b), 0, ...half];
+    }
+    else {
+      this.breaks = classify(sorted, classes, style.classification);
+    }
+    this.breaks = dedupe(this.breaks);
+    this.colors = sampleColors(PALETTES[this.palette].colors,
+                               this.breaks.length + 1);
+  }
+
+  /**
+   * Finds the class that a value falls into.
+   *
+   * @param {number} value The value to classify.
+   * @return {number} Index of the value's class, or -1 if the value isn't
+   *     finite.
+   */
+  classOf(value) {
+    if (!Number.isFinite(value)) {
+      return -1;
+    }
+    let i = 0;
+    while (i < this.breaks.length && value > this.breaks[i]) {
+      i++;
+    }
+    return i;
+  }
+
+  /**
+   * Finds the color of a value.
+   *
+   * @param {number} value The value to color.
+   * @return {string} The value's color: NO_DATA_COLOR if it's NaN, or
+   *     transparent if it's infinite.
+   */
+  colorOf(value) {
+    if (Number.isNaN(value)) {
+      return NO_DATA_COLOR;
+    }
+    const i = this.classOf(value);
+    return i === -1 ? "rgba(0, 0, 0, 0)" : this.colors[i];
+  }
+
+  /**
+   * Describes the classes of this scale, for display in a legend.
+   *
+   * @return {!Array<Object<string, *>>} One item per class: {
+   *   "color": string,
+   *   "min": number,  // Lower bound (exclusive, except for the first class).
+   *   "max": number,  // Upper bound (inclusive).
+   *   "label": string,
+   * }
+   */
+  legend() {
+    return this.colors.map((color, i) => {
+      const min = i !== 0 ? this.breaks[i - 1]
+                  : Math.min(this.min, ...this.breaks.slice(0, 1));
+      const max = i !== this.breaks.length ? this.breaks[i]
+                  : Math.max(this.max, ...this.breaks.slice(-1));
+      return {
+        color: color,
+        min: min,
+        max: max,
+        label: `${formatNumber(min)} – ${formatNumber(max)}`,
+      };
+    });
+  }
+}
+
+/**
+ * Formats a number compactly for display, with about three significant
+ * digits.
+ *
+ * @param {number} x The number to format.
+ * @return {string} The formatted number.
+ */
+export function formatNumber(x) {
+  if (!Number.isFinite(x)) {
+    return String(x);
+  }
+  if (Math.abs(x) >= 1000) {
+    return Math.round(x).toLocaleString();
+  }
+  return String(+x.toPrecision(3));
+}
+
+/**
+ * Computes class breaks for sorted values.
+ *
+ * @param {!Array<number>} sorted Finite values in ascending order.
+ * @param {number} classes The number of classes.
+ * @param {string} classification A key of CLASSIFICATIONS other than
+ *     "manual".
+ * @return {!Array<number>} The upper bound of every class but the last.
+ */
+function classify(sorted, classes, classification) {
+  if (sorted.length === 0 || classes < 2) {
+    return [];
+  }
+  const min = sorted[0], max = sorted[sorted.length - 1];
+  const breaks = [];
+  switch (classification) {
+    case "linear":
+      for (let i = 1; i < classes; i++) {
+        breaks.push(min + (max - min) * i / classes);
+      }
+      return breaks;
+    case "log": {
+      // Values that aren't positive all fall into the first class.
+      const low = sorted.find(v => v > 0);
+      if (low === undefined || low === max) {
+        return classify(sorted, classes, "linear");
+      }
+      for (let i = 1; i < classes; i++) {
+        breaks.push(low * Math.pow(max / low, i / classes));
+      }
+      return breaks;
+    }
+    case "quantile":
+      for (let i = 1; i < classes; i++) {
+        breaks.push(sorted[Math.ceil(sorted.length * i / classes) - 1]);
+      }
+      return breaks;
+    case "jenks":
+      return jenks(sorted, classes);
+    default:
+      throw "invalid classification";
+  }
+}
+
+/**
+ * Computes Jenks natural breaks, which minimize the variance within each
+ * class, using Fisher's dynamic programming algorithm. Repeated values are
+ * weighted by how often they occur, rather than counted once, but are never
+ * split between classes.
+ *
+ * @param {!Array<number>} sorted Finite values in ascending order.
+ * @param {number} classes The number of classes.
+ * @return {!Array<number>} The upper bound of every class but the last.
+ */
+function jenks(sorted, classes) {
+  // Sample evenly through the sorted values, so that the sample keeps their
+  // distribution.
+  let sample = sorted;
+  if (sample.length > JENKS_MAX_VALUES) {
+    const step = (sorted.length - 1) / (JENKS_MAX_VALUES - 1);
+    sample = Array.from({length: JENKS_MAX_VALUES},
+                        (_, i) => sorted[Math.round(i * step)]);
+  }
+  // data holds the distinct values, and weights how often each occurs.
+  const data = [], weights = [];
+  for (const value of sample) {
+    if (data.length !== 0 && data[data.length - 1] === value) {
+      weights[weights.length - 1]++;
+    }
+    else {
+      data.push(value);
+      weights.push(1);
+    }
+  }
+  const n = data.length;
+  if (n <= classes) {
+    return data.slice(0, -1);
+  }
+
+  // lower[l][j] is the index (1-based) of the first value in the last class
+  // of the best split of the first l values into j classes, and cost[l][j] is
+  // the total within-class variance of that split.
+  const lower = [], cost = [];
+  for (let l = 0; l <= n; l++) {
+    lower.push(new Array(classes + 1).fill(0));
+    cost.push(new Array(classes + 1).fill(l <= 1 ? 0 : Infinity));
+  }
+  for (let j = 1; j <= classes; j++) {
+    lower[1][j] = 1;
+  }
+  for (let l = 2; l <= n; l++) {
+    let count = 0, sum = 0, sumSquares = 0, variance = 0;
+    for (let m = 1; m <= l; m++) {
+      const first = l - m + 1;
+      const value = data[first - 1], weight = weights[first - 1];
+      count += weight;
+      sum += weight * value;
+      sumSquares += weight * value * value;
+      variance = sumSquares - sum * sum / count;
+      if (first > 1) {
+        for (let j = 2; j <= classes; j++) {
+          if (cost[l][j] >= variance + cost[first - 1][j - 1]) {
+            lower[l][j] = first;
+            cost[l][j] = variance + cost[first - 1][j - 1];
+          }
+        }
+      }
+    }
+    lower[l][1] = 1;
+    cost[l][1] = variance;
+  }
+
+  // Walk back through the splits to find the breaks.
+  const breaks = [];
+  let l = n;
+  for (let j = classes; j >= 2; j--) {
+    breaks.unshift(data[lower[l][j] - 2]);
+    l = lower[l][j] - 1;
+  }
+  return breaks;
+}
+
+/**
+ * Removes adjacent duplicates from a sorted array.
+ *
+ * @param {!Array<number>} sorted Values in ascending order.
+ * @return {!Array<number>} The distinct values, in ascending order.
+ */
+function dedupe(sorted) {
+  return sorted.filter((v, i) => i === 0 || v !== sorted[i - 1]);
+}
+
+/**
+ * Samples evenly spaced colors from a palette, interpolating between its
+ * anchor colors.
+ *
+ * @param {!Array<string>} anchors Anchor colors, as "#rrggbb" or
+ *     "rgba(r, g, b, a)".
+ * @param {number} count The number of colors to sample.
+ * @return {!Array<string>} The sampled colors, as "rgba(r, g, b, a)".
+ */
+function sampleColors(anchors, count) {
+  const rgba = anchors.map(parseColor);
+  const colors = [];
+  for (let i = 0; i < count; i++) {
+    const t = count === 1 ? 1 : i / (count - 1) * (rgba.length - 1);
+    const lo = Math.floor(t), hi = Math.min(lo + 1, rgba.length - 1);
+    const mix = rgba[lo].map((c, k) => c + (rgba[hi][k] - c) * (t - lo));
+    colors.push(`rgba(${Math.round(mix[0])}, ${Math.round(mix[1])}, ` +
+                `${Math.round(mix[2])}, ${+mix[3].toFixed(3)})`);
+  }
+  return colors;
+}
+
+/**
+ * Parses a color into its components.
+ *
+ * @param {string} color A color, as "#rrggbb" or "rgba(r, g, b, a)".
+ * @return {!Array<number>} Red, green, blue, and alpha components. Hex colors
+ *     get FILL_OPACITY as their alpha.
+ */
+function parseColor(color) {
+  if (color.startsWith("#")) {
+    return [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16))
+                    .concat([FILL_OPACITY]);
+  }
+  return color.match(/[\d.]+/g).map(Number);
+}
@@ -5,9 +5,34 @@ EpiViewTable.js
 Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
 */
 
-import React from "react";
-import { Alert } from "react-native";
-import { Polygon } from "react-native-maps";
+import { canSmooth, detectClusters, neighborsOf, smoothRates } from "./EpiViewClusters.js";
+import { readCsvResponse } from "./EpiViewCsv.js";
+import EpiViewEntry, { addDays, compareUdf, dayNumber, daysBetween, DEFAULT_MISSING, DEFAULT_WINDOW, MODES, parseDate, udfRange } from "./EpiViewEntry.js";
+import { BOUND_LABEL, FORECAST_MODELS, INTERVAL_LABEL, MAX_HORIZON, projectEntry } from "./EpiViewForecast.js";
+import EpiViewFormula, { DEFAULT_FIELDS } from "./EpiViewFormula.js";
+import { intersects, unionOf } from "./EpiViewGeometry.js";
+import EpiViewScale from "./EpiViewScale.js";
+
+/**
+ * Version of the format in which compiled case counts are cached. Caches
+ * written in any other format are ignored.
+ */
+const CACHE_VERSION = 1;
+
+/**
+ * Number of UDF results kept in memory per table, besides any room reserved
+ * for a range of dates (see evaluateRangeAsync).
+ */
+const RESULT_CACHE_SIZE = 200;
+
+/**
+ * Number of entries evaluated between pauses in evaluateAllAsync. Expo's
+ * managed workflow can't run JavaScript on another thread (there are no
+ * workers, and native threading modules need ejecting), so long evaluations
+ * are split into chunks instead, yielding to the event loop so that the UI
+ * can handle input and render in between.
+ */
+const CHUNK_SIZE = 250;
 
 /**
  * Holds a collection of EpiViewEntrys.
@@ -18,13 +43,69 @@ import { Polygon } from "react-native-maps";
  *   },
  *   "minDate": Date,  // Corresponds to smallest key in data.*.counts.
  *   "maxDate": Date,  // Corresponds to largest key in data.*.counts.
+ *   "fields": {  // Fields of the entries, which formulas may refer to and
+ *       // pickers list. Must match the table's descriptor.
+ *     "series": !Array<string>,  // Fields of counts.
+ *     "attributes": !Array<string>,  // "population", "area", and fields of
+ *         // attributes.
+ *     "labels": ?Object<string, string>,  // Display labels, by field.
+ *   },
+ *   "etag": ?string,  // ETag of the last downloaded case count data.
+ *   "fetchedAt": ?number,  // Timestamp of the last download, in ms.
+ *   "refreshing": ?Promise<boolean>,  // Pending background refresh, if any.
+ *   "keys": !Array<string>,  // Keys of the complete entries, in order.
+ *   "extent": ?{  // Bounding box of the complete entries.
+ *     "minLatitude": number,
+ *     "maxLatitude": number,
+ *     "minLongitude": number,
+ *     "maxLongitude": number,
+ *   },
+ *   "issues": !Array<Object<string, string>>,  // Problems found in the source
+ *       // data while compiling (see noteIssue).
+ *   "merged": !Object<string, string>,  // Keys of entries that are merged
+ *       // into another on purpose, e.g. New York City's boroughs, by the key
+ *       // of the entry they're merged into. They aren't shown, and aren't
+ *       // reported as missing data.
+ *   "results": !Map<string, Float64Array>,  // Cached UDF results, by
+ *       // resultKey, aligned with keys. Least recently used first.
+ *   "resultCapacity": number,  // Most results kept in results.
+ *   "projections": !Map<string, Object<string, ?Object<string, *>>>,  //
+ *       // Projections of entries past maxDate (see EpiViewForecast's
+ *       // projectEntry), by forecast, then by key.
  * }
  */
 export default class EpiViewTable {
-  constructor() {
+  /**
+   * @param {!Object<string, *>=} options Optional dependencies: {
+   *   "fetch": ?function(string, Object): !Promise<Response>,  // Used to
+   *       download case count data, which is parsed as the response body
+   *       arrives if it has one (see readCsvResponse). Defaults to the global
+   *       fetch.
+   *   "storage": ?AsyncStorage,  // Used to cache case count data and
+   *       reference data (see loadReference). Anything with async getItem
+   *       and setItem methods will do.
+   *   "cacheKey": ?string,  // Storage key of the cache. Required if storage
+   *       is given.
+   * }
+   */
+  constructor(options = {}) {
     this.data = {};
     this.minDate = new Date();
     this.maxDate = new Date();
+    this.fields = DEFAULT_FIELDS;
+    this.fetch = options.fetch || ((url, init) => fetch(url, init));
+    this.storage = options.storage || null;
+    this.cacheKey = options.cacheKey || null;
+    this.etag = null;
+    this.fetchedAt = null;
+    this.refreshing = null;
+    this.keys = [];
+    this.extent = null;
+    this.issues = [];
+    this.merged = {};
+    this.results = new Map();
+    this.resultCapacity = RESULT_CACHE_SIZE;
+    this.projections = new Map();
   }
 
   /**
@@ -51,65 +132,1050 @@ export default class EpiViewTable {
 
   /**
    * Populates the table with case count data.
+   *
+   * @param {!Array<Object<string, string>>} rawCounts Rows of raw case count
+   *     data.
+   * @param {string=} since If given, only rows on or after this ISO date are
+   *     added, replacing any existing counts on those dates.
+   */
+  addCounts(rawCounts, since = "") {
+    this.clearCountsSince(since);
+    for (const [i, row] of rawCounts.entries()) {
+      this.addCountRow(row, i, since);
+    }
+    this.reindex();
+  }
+
+  /**
+   * Populates the table with case count data as it's parsed, so that the
+   * rows never have to be held all at once. See addCounts.
+   *
+   * @param {function(function(!Object<string, string>)): !Promise} read
+   *     Parses the data, calling back with each row, e.g. readCsvResponse.
+   * @param {string=} since As for addCounts.
+   */
+  async streamCounts(read, since = "") {
+    this.clearCountsSince(since);
+    let i = 0;
+    try {
+      await read(row => this.addCountRow(row, i++, since));
+    }
+    finally {
+      // Keep the index consistent with whatever rows were added.
+      this.reindex();
+    }
+  }
+
+  /**
+   * Adds one row of case count data, unless it's before since.
+   *
+   * @param {!Object<string, string>} row The row of raw case count data.
+   * @param {number} i Index of the row, from 0, for noting problems.
+   * @param {string} since As for addCounts, or "".
    */
-  addCounts() {
+  addCountRow(row, i, since) {
     throw "unsupported";
   }
 
   /**
-   * Computes Polygons to represent this EpiViewTable according to a user-
-   * defined function (UDF).
+   * Loads case count data. If a cached copy is available, it is loaded
+   * immediately and a refresh is started in the background (see refreshing);
+   * otherwise, the data is downloaded.
+   *
+   * @param {string} url URL of raw case count data.
+   */
+  async loadCounts(url) {
+    const cached = await this.readCache();
+    if (cached) {
+      this.restoreCounts(cached);
+      this.refreshing = this.refreshCounts(url);
+      return;
+    }
+    await this.refreshCounts(url);
+  }
+
+  /**
+   * Loads reference data that rarely changes, such as a mapping of areas to
+   * groups. It's downloaded once and then read from the cache, if any, so
+   * that it's available offline and while its source is down. The cache is
+   * kept under the table's cacheKey and the URL.
+   *
+   * @param {string} url URL of the data.
+   * @return {!Promise<string>} The data.
+   */
+  async loadReference(url) {
+    const key = `${this.cacheKey}:${url}`;
+    if (this.storage) {
+      try {
+        const cached = await this.storage.getItem(key);
+        if (cached !== null) {
+          return cached;
+        }
+      }
+      catch (e) {
+        // Download it again.
+      }
+    }
+    const res = await this.fetch(url);
+    if (!res.ok) {
+      throw `unable to download ${url} (status ${res.status})`;
+    }
+    const text = await res.text();
+    if (this.storage) {
+      await this.storage.setItem(key, text);
+    }
+    return text;
+  }
+
+  /**
+   * Downloads case count data and merges it into the table. Only the dates
+   * on or after the latest date already in the table are processed, and
+   * nothing is processed if the data hasn't changed since the last download.
+   * The result is written to the cache, if any.
+   *
+   * @param {string} url URL of raw case count data.
+   * @return {!Promise<boolean>} Whether any new data was merged.
+   */
+  async refreshCounts(url) {
+    const headers = this.etag ? {"If-None-Match": this.etag} : {};
+    const res = await this.fetch(url, {headers: headers});
+    this.fetchedAt = Date.now();
+    if (res.status === 304) {
+      await this.writeCache();
+      return false;
+    }
+    if (!res.ok) {
+      throw `unable to download ${url} (status ${res.status})`;
+    }
+    await this.streamCounts(onRow => readCsvResponse(res, onRow),
+                            this.lastCountDate());
+    this.etag = res.headers && res.headers.get("ETag");
+    await this.writeCache();
+    return true;
+  }
+
+  /**
+   * Adds the polygons of a feature from readGeoJson to an entry, noting any
+   * problems with the feature.
+   *
+   * @param {string} key Key of the entry in data.
+   * @param {!Object<string, *>} feature The feature.
+   */
+  addFeature(key, feature) {
+    const entry = this.data[key];
+    entry.bounds = entry.bounds.concat(feature.bounds);
+    entry.holes = entry.holes.concat(feature.holes);
+    for (const error of feature.errors) {
+      this.noteIssue("malformed feature", key, {message: error});
+    }
+  }
+
+  /**
+   * Records a problem found in the source data while compiling, for the
+   * validation report (see EpiViewValidation.js).
+   *
+   * @param {string} type The kind of problem, from ISSUES in
+   *     EpiViewValidation.js.
+   * @param {string} key Key of the entry with the problem.
+   * @param {!Object<string, string>=} details More about the problem, e.g.
+   *     {"date": "2020-05-01"}.
+   */
+  noteIssue(type, key, details = {}) {
+    this.issues.push({type: type, key: key, ...details});
+  }
+
+  /**
+   * Removes counts on or after a date from every entry, so that they can be
+   * replaced. Problems noted with those counts are removed too.
+   *
+   * @param {string=} since ISO date (YYYY-MM-DD). Nothing is removed if it's
+   *     not given.
+   */
+  clearCountsSince(since) {
+    if (!since) {
+      return;
+    }
+    this.issues = this.issues.filter(issue => !(issue.date >= since));
+    for (const entry of Object.values(this.data)) {
+      for (const date of Object.keys(entry.counts)) {
+        if (date >= since) {
+          delete entry.counts[date];
+        }
+      }
+    }
+  }
+
+  /**
+   * Finds the latest date with counts in any entry.
+   *
+   * @return {string} ISO date (YYYY-MM-DD), or "" if there are no counts.
+   */
+  lastCountDate() {
+    let maxDate = "";
+    for (const entry of Object.values(this.data)) {
+      for (const date of Object.keys(entry.counts)) {
+        if (date > maxDate) {
+          maxDate = date;
+        }
+      }
+    }
+    return maxDate;
+  }
+
+  /**
+   * Sets minDate and maxDate to span the dates with counts in any entry.
+   */
+  updateDateRange() {
+    let minDate = "", maxDate = "";
+    for (const entry of Object.values(this.data)) {
+      for (const date of Object.keys(entry.counts)) {
+        if (minDate === "" || date < minDate) {
+          minDate = date;
+        }
+        if (maxDate === "" || date > maxDate) {
+          maxDate = date;
+        }
+      }
+    }
+    if (minDate !== "") {
+      this.minDate = parseDate(minDate);
+      this.maxDate = parseDate(maxDate);
+    }
+  }
+
+  /**
+   * Rebuilds everything derived from the entries: the date range, each
+   * entry's index, the list of complete entries, their simplified shapes,
+   * and their extent. Cached results are dropped. Must be called whenever
+   * entries or their counts change.
+   */
+  reindex() {
+    this.updateDateRange();
+    for (const entry of Object.values(this.data)) {
+      entry.buildIndex();
+    }
+    this.keys = Object.keys(this.data).filter(key => this.data[key].complete());
+    for (const key of this.keys) {
+      this.data[key].buildShapes();
+    }
+    this.extent = unionOf(this.keys.map(key => this.data[key].shapes.box));
+    this.results.clear();
+    this.projections.clear();
+  }
+
+  /**
+   * Reads cached case count data from storage.
+   *
+   * @return {!Promise<?Object<string, *>>} The cached data, or null if there's
+   *     no storage, no cache, or the cache is unreadable.
+   */
+  async readCache() {
+    if (!this.storage) {
+      return null;
+    }
+    try {
+      const cached = JSON.parse(await this.storage.getItem(this.cacheKey));
+      return cached && cached.version === CACHE_VERSION ? cached : null;
+    }
+    catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Writes this table's case count data to storage, if any.
+   */
+  async writeCache() {
+    if (!this.storage) {
+      return;
+    }
+    const entries = {};
+    for (const [key, entry] of Object.entries(this.data)) {
+      if (Object.keys(entry.counts).length !== 0) {
+        entries[key] = {
+          name: entry.name,
+          region: entry.region,
+          counts: entry.counts,
+        };
+      }
+    }
+    await this.storage.setItem(this.cacheKey, JSON.stringify({
+      version: CACHE_VERSION,
+      etag: this.etag,
+      fetchedAt: this.fetchedAt,
+      entries: entries,
+    }));
+  }
+
+  /**
+   * Populates the table with case count data read from the cache.
+   *
+   * @param {!Object<string, *>} cached Cached data from readCache.
+   */
+  restoreCounts(cached) {
+    for (const [key, cachedEntry] of Object.entries(cached.entries)) {
+      if (!(key in this.data)) {
+        this.data[key] = new EpiViewEntry(cachedEntry.name,
+                                          cachedEntry.region);
+      }
+      this.data[key].counts = cachedEntry.counts;
+    }
+    this.etag = cached.etag;
+    this.fetchedAt = cached.fetchedAt;
+    this.reindex();
+  }
+
+  /**
+   * Rolls up the complete entries of this table into groups, e.g. counties
+   * into states. A group's population and area are the sums of its members',
+   * its other attributes are its members' averages weighted by population,
+   * and its bounds are all of its members' bounds. Its counts on each date
+   * that any member has counts for are the sums of its members' counts, using
+   * each member's most recent counts on or before that date. Members without
+   * a value for a field are left out of its sum. Every series is summed, so
+   * series of rates (e.g. test positivity) don't roll up meaningfully.
+   *
+   * @param {function(string, !EpiViewEntry): ?Object<string, string>} groupOf
+   *     Returns the group that an entry belongs to, given its key and the
+   *     entry: {"key": string, "name": string, "region": string}, or null to
+   *     leave the entry out.
+   * @param {!EpiViewTable=} into The table to populate, replacing its
+   *     entries. Defaults to a new table.
+   * @return {!EpiViewTable} The table of groups.
+   */
+  rollup(groupOf, into = new EpiViewTable()) {
+    // Assign entries to groups.
+    const members = {};
+    into.data = {};
+    for (const key of this.keys) {
+      const group = groupOf(key, this.data[key]);
+      if (!group) {
+        continue;
+      }
+      if (!(group.key in into.data)) {
+        into.data[group.key] = new EpiViewEntry(group.name, group.region);
+        members[group.key] = [];
+      }
+      members[group.key].push(this.data[key]);
+    }
+
+    // Sum each group's members.
+    for (const [key, entries] of Object.entries(members)) {
+      const groupEntry = into.data[key];
+      const dates = new Set();
+      const weights = {};
+      for (const entry of entries) {
+        groupEntry.population += +entry.population;
+        groupEntry.area += entry.area;
+        for (const [field, value] of Object.entries(entry.attributes)) {
+          if (Number.isFinite(value)) {
+            groupEntry.attributes[field] =
+              (groupEntry.attributes[field] || 0) + value * entry.population;
+            weights[field] = (weights[field] || 0) + +entry.population;
+          }
+        }
+        groupEntry.bounds = groupEntry.bounds.concat(entry.bounds);
+        groupEntry.holes = groupEntry.holes.concat(entry.holes);
+        for (const date of Object.keys(entry.counts)) {
+          dates.add(date);
+        }
+      }
+      for (const field of Object.keys(groupEntry.attributes)) {
+        groupEntry.attributes[field] /= weights[field];
+      }
+      for (const date of dates) {
+        const counts = {};
+        for (const entry of entries) {
+          const i = entry.indexOf(parseDate(date));
+          if (i === -1) {
+            continue;
+          }
+          for (const [field, values] of Object.entries(entry.index.values)) {
+            if (!isNaN(values[i])) {
+              counts[field] = (counts[field] || 0) + values[i];
+            }
+          }
+        }
+        groupEntry.counts[date] = counts;
+      }
+    }
+    into.fields = this.fields;
+    into.reindex();
+    return into;
+  }
+
+  /**
+   * Parses the formulas of a UDF, if any, once up front rather than for every
+   * entry. That includes the formula of the UDF that it's compared with.
+   *
+   * @param {!Object<string, *>} udf An object representing the UDF.
+   * @return {!Object<string, *>} The UDF, with its formulas parsed.
+   */
+  prepareUdf(udf) {
+    if (udf.mode !== "formula") {
+      return udf;
+    }
+    const parse = formula => formula instanceof EpiViewFormula
+      ? formula : new EpiViewFormula(formula, this.fields);
+    if (!(udf.formula instanceof EpiViewFormula)) {
+      udf = {...udf, formula: parse(udf.formula)};
+    }
+    if (udf.compare && udf.compare.formula &&
+        !(udf.compare.formula instanceof EpiViewFormula)) {
+      udf = {...udf, compare: {...udf.compare,
+                               formula: parse(udf.compare.formula)}};
+    }
+    return udf;
+  }
+
+  /**
+   * Computes a color scale fitted to the values of a UDF over every entry.
+   * If a range of dates is given, the scale is fitted to the values as the
+   * UDF's date steps through the range, as in a time-lapse, so that every
+   * frame can share the same scale. The UDF's reference date (if any) steps
+   * along with it, so that the length of its window stays the same.
+   *
+   * In "split" comparisons, the scale is fitted to the values of both UDFs,
+   * so that the two maps can be compared by color. In "ratio" comparisons,
+   * the scale is centered on 1 (see EpiViewScale).
+   *
+   * @param {!Object<string, *>} udf An object representing the UDF.
+   * @param {!Object<string, *>=} style Styling options for EpiViewScale.
+   * @param {!Date=} from The first date of the range.
+   * @param {!Date=} to The last date of the range.
+   * @return {!EpiViewScale} The fitted scale.
+   */
+  computeScale(udf, style = {}, from = udf.date, to = udf.date) {
+    udf = this.prepareUdf(udf);
+    const values = [];
+    for (const frame of this.framesOf(udf, from, to)) {
+      for (const value of this.evaluateAll(frame)) {
+        values.push(value);
+      }
+    }
+    const ratio = udf.compare && udf.compare.as === "ratio";
+    return new EpiViewScale(values, ratio ? {...style, ratio: true} : style);
+  }
+
+  /**
+   * Like computeScale, but evaluates the UDF over the range of dates first
+   * with evaluateRangeAsync, so that fitting the scale only reads cached
+   * results.
+   *
+   * @param {!Object<string, *>} udf An object representing the UDF.
+   * @param {!Object<string, *>=} style Styling options for EpiViewScale.
+   * @param {!Date=} from The first date of the range.
+   * @param {!Date=} to The last date of the range.
+   * @return {!Promise<!EpiViewScale>} The fitted scale.
+   */
+  async computeScaleAsync(udf, style = {}, from = udf.date,
+                          to = udf.date) {
+    await this.evaluateRangeAsync(udf, from, to);
+    return this.computeScale(udf, style, from, to);
+  }
+
+  /**
+   * Evaluates a UDF with evaluateAllAsync as its date steps through a range,
+   * as in computeScale. Makes room in the result cache for every date's
+   * result first, so that none is evicted while the range is in use, e.g. as
+   * the frames of a time-lapse. The room is kept until reserveResults is
+   * called again.
+   *
+   * @param {!Object<string, *>} udf An object representing the UDF.
+   * @param {!Date} from The first date of the range.
+   * @param {!Date} to The last date of the range.
+   * @return {!Promise} Resolves once every date has been evaluated.
+   */
+  async evaluateRangeAsync(udf, from, to) {
+    const frames = this.framesOf(this.prepareUdf(udf), from, to);
+    this.reserveResults(frames.length);
+    for (const frame of frames) {
+      await this.evaluateAllAsync(frame);
+    }
+  }
+
+  /**
+   * Lists the UDFs evaluated as a UDF's date steps through a range of dates:
+   * one per date, or two in "split" comparisons. The UDF's reference date (if
+   * any) steps along with it.
+   *
+   * @param {!Object<string, *>} udf An object representing the UDF, from
+   *     prepareUdf.
+   * @param {!Date} from The first date of the range.
+   * @param {!Date} to The last date of the range.
+   * @return {!Array<Object<string, *>>} The UDFs.
+   */
+  framesOf(udf, from, to) {
+    const udfs = udf.compare && udf.compare.as === "split"
+                 ? [{...udf, compare: null}, compareUdf(udf)] : [udf];
+    const frames = [];
+    for (let d = new Date(from); d <= to; d.setDate(d.getDate() + 1)) {
+      for (const each of udfs) {
+        frames.push(shiftUdf(each, daysBetween(udf.date, d)));
+      }
+    }
+    return frames;
+  }
+
+  /**
+   * Makes room in the result cache for a number of results on top of the
+   * usual RESULT_CACHE_SIZE, evicting the least recently used results if
+   * there's now less room than before.
+   *
+   * @param {number} count How many results to make room for. 0 returns the
+   *     cache to its usual size.
+   */
+  reserveResults(count) {
+    this.resultCapacity = RESULT_CACHE_SIZE + count;
+    while (this.results.size > this.resultCapacity) {
+      this.results.delete(this.results.keys().next().value);
+    }
+  }
+
+  /**
+   * Evaluates a user-defined function (UDF) on every complete entry, reusing
+   * a cached result if there is one.
+   *
+   * @param {!Object<string, *>} udf An object representing the UDF, as in
+   *     computePolygons.
+   * @return {!Float64Array} The values, aligned with keys.
+   */
+  evaluateAll(udf) {
+    udf = this.prepareUdf(udf);
+    const key = this.resultKey(udf);
+    const cached = this.cachedResult(key);
+    if (cached) {
+      return cached;
+    }
+    const values = Float64Array.from(this.keys,
+                                     k => this.evaluateEntry(k, udf));
+    this.cacheResult(key, values);
+    return values;
+  }
+
+  /**
+   * Like evaluateAll, but evaluates in chunks of CHUNK_SIZE entries, pausing
+   * between them so that the UI stays responsive. Evaluation still runs on
+   * the UI's JavaScript thread. The result is cached, so that evaluateAll and
+   * the methods built on it return immediately afterwards.
+   *
+   * @param {!Object<string, *>} udf An object representing the UDF, as in
+   *     computePolygons.
+   * @return {!Promise<!Float64Array>} The values, aligned with keys.
+   */
+  async evaluateAllAsync(udf) {
+    udf = this.prepareUdf(udf);
+    const key = this.resultKey(udf);
+    const cached = this.cachedResult(key);
+    if (cached) {
+      return cached;
+    }
+    const keys = this.keys;
+    const values = new Float64Array(keys.length);
+    for (let i = 0; i < keys.length; i++) {
+      if (i !== 0 && i % CHUNK_SIZE === 0) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+      values[i] = this.evaluateEntry(keys[i], udf);
+    }
+    // Start over if the table was reindexed in the meantime.
+    if (keys !== this.keys) {
+      return this.evaluateAllAsync(udf);
+    }
+    this.cacheResult(key, values);
+    return values;
+  }
+
+  /**
+   * Evaluates a user-defined function (UDF) on one entry. If the UDF reaches
+   * past maxDate and has a forecast, it's evaluated on the entry's projected
+   * counts (see projects).
+   *
+   * @param {string} key Key of the entry in data.
+   * @param {!Object<string, *>} udf An object representing the UDF, as in
+   *     computePolygons.
+   * @param {string=} bound Which projection to evaluate on: "point", or
+   *     "lower" or "upper" for the ends of its prediction interval. UDFs of
+   *     daily new values take the ends of each day's interval, and others
+   *     the ends of each count's (see EpiViewForecast's projectEntry).
+   * @return {number} The value, or NaN if there is no data for it. Always
+   *     NaN for projected UDFs on entries that can't be projected, or that
+   *     reach past the horizon of forecasts.
+   */
+  evaluateEntry(key, udf, bound = "point") {
+    if (!this.projects(udf)) {
+      return this.data[key].evaluate(udf);
+    }
+    if (daysBetween(this.maxDate, udfRange(udf).to) > MAX_HORIZON) {
+      return NaN;
+    }
+    const projection = this.projectionOf(key, udf.forecast);
+    if (projection === null) {
+      return NaN;
+    }
+    const daily = bound !== "point" && /^daily new /.test(udf.numerator);
+    return (daily ? projection.daily : projection)[bound].evaluate(udf);
+  }
+
+  /**
+   * Checks whether the ends of a projected UDF's value (see evaluateEntry)
+   * are its prediction interval: whether the UDF is a single day's count or
+   * daily new count, over a denominator that isn't projected.
+   *
+   * @param {!Object<string, *>} udf An object representing the UDF.
+   * @return {boolean} Whether the ends are its interval. If not, they only
+   *     bound it roughly.
+   */
+  hasInterval(udf) {
+    const per = /^per (\w+)$/.exec(udf.denominator);
+    const projected = per !== null &&
+      (per[1] === "case" || this.fields.series.includes(per[1]));
+    return udf.mode === "on" && !udf.compare && !projected;
+  }
+
+  /**
+   * Checks whether a UDF is evaluated on projected counts: whether it has a
+   * forecast and depends on dates past maxDate. A UDF whose formula doesn't
+   * parse can't be evaluated at all, so it isn't.
+   *
+   * @param {!Object<string, *>} udf An object representing the UDF.
+   * @return {boolean} Whether it's projected.
+   */
+  projects(udf) {
+    if (!udf.forecast) {
+      return false;
+    }
+    try {
+      udf = this.prepareUdf(udf);
+    }
+    catch (e) {
+      return false;
+    }
+    return daysBetween(this.maxDate, udfRange(udf).to) > 0;
+  }
+
+  /**
+   * Projects an entry's counts past maxDate, reusing the projection if the
+   * entry has been projected under the same forecast since the table was
+   * last reindexed.
+   *
+   * @param {string} key Key of the entry in data.
+   * @param {!Object<string, *>} forecast The forecast, as in
+   *     EpiViewForecast's DEFAULT_FORECAST.
+   * @return {?Object<string, *>} The projection, from projectEntry, or null
+   *     if the entry can't be projected.
+   */
+  projectionOf(key, forecast) {
+    const forecastKey = JSON.stringify([forecast.model, forecast.days]);
+    if (!this.projections.has(forecastKey)) {
+      this.projections.set(forecastKey, {});
+    }
+    const projections = this.projections.get(forecastKey);
+    if (!(key in projections)) {
+      projections[key] = projectEntry(this.data[key], forecast, this.maxDate);
+    }
+    return projections[key];
+  }
+
+  /**
+   * Computes the key under which a UDF's result is cached: its udfKey, and
+   * its forecast if it's projected.
+   *
+   * @param {!Object<string, *>} udf An object representing the UDF.
+   * @return {string} The key.
+   */
+  resultKey(udf) {
+    return this.projects(udf)
+           ? `${udfKey(udf)}:${udf.forecast.model}:${udf.forecast.days}`
+           : udfKey(udf);
+  }
+
+  /**
+   * Gets a cached UDF result, marking it as recently used.
+   *
+   * @param {string} key Key of the UDF, from resultKey.
+   * @return {?Float64Array} The cached result, or null if there is none.
+   */
+  cachedResult(key) {
+    const values = this.results.get(key);
+    if (!values) {
+      return null;
+    }
+    this.results.delete(key);
+    this.results.set(key, values);
+    return values;
+  }
+
+  /**
+   * Caches a UDF result, evicting the least recently used one if the cache
+   * is full.
+   *
+   * @param {string} key Key of the UDF, from resultKey.
+   * @param {!Float64Array} values The result, aligned with keys.
+   */
+  cacheResult(key, values) {
+    this.results.set(key, values);
+    if (this.results.size > this.resultCapacity) {
+      this.results.delete(this.results.keys().next().value);
+    }
+  }
+
+  /**
+   * Evaluates a user-defined function (UDF) on every complete entry.
+   *
+   * @param {!Object<string, *>} udf An object representing the UDF, as in
+   *     computePolygons.
+   * @return {!Array<Object<string, *>>} One result per complete entry: {
+   *   "key": string,
+   *   "entry": !EpiViewEntry,
+   *   "value": number,
+   * }
+   */
+  computeValues(udf) {
+    const values = this.evaluateAll(udf);
+    return this.keys.map((key, i) => ({
+      key: key,
+      entry: this.data[key],
+      value: values[i],
+    }));
+  }
+
+  /**
+   * Ranks every complete entry by the value of a user-defined function (UDF),
+   * highest first. Entries with equal values share a rank, and the next rank
+   * is skipped as many times (e.g. 1, 2, 2, 4). Entries without a value
+   * aren't ranked, and come last.
+   *
+   * @param {!Object<string, *>} udf An object representing the UDF, as in
+   *     computePolygons.
+   * @return {!Array<Object<string, *>>} One result per complete entry, in
+   *     order of rank: {
+   *   "key": string,
+   *   "entry": !EpiViewEntry,
+   *   "value": number,
+   *   "rank": ?number,  // From 1, or null if the value isn't finite.
+   *   "percentile": ?number,  // Percentage of the other ranked entries with
+   *       // a lower value, or null if the value isn't finite.
+   * }
+   */
+  computeRanking(udf) {
+    const results = this.computeValues(udf);
+    const ranked = results.filter(result => Number.isFinite(result.value))
+                          .sort((a, b) => b.value - a.value);
+    const n = ranked.length;
+    for (const [i, result] of ranked.entries()) {
+      result.rank = i !== 0 && result.value === ranked[i - 1].value
+                    ? ranked[i - 1].rank : i + 1;
+    }
+    // Count lower values from the bottom, so that ties share a percentile.
+    let lower = 0;
+    for (let i = n - 1; i >= 0; i--) {
+      if (i === n - 1 || ranked[i].value !== ranked[i + 1].value) {
+        lower = n - 1 - i;
+      }
+      ranked[i].percentile = n > 1 ? lower / (n - 1) * 100 : 100;
+    }
+    const unranked = results.filter(result => !Number.isFinite(result.value))
+                            .map(result => ({
+                              ...result,
+                              rank: null,
+                              percentile: null,
+                            }));
+    return ranked.concat(unranked);
+  }
+
+  /**
+   * Describes the value of a user-defined function (UDF) on one entry.
+   *
+   * @param {string} key Key of the entry in data.
+   * @param {!Object<string, *>} udf An object representing the UDF, as in
+   *     computePolygons.
+   * @param {!EpiViewScale} scale The color scale in use.
+   * @return {!Object<string, *>} A description of the entry: {
+   *   "key": string,
+   *   "title": string,
+   *   "message": string,  // Includes the dates of the counts used, if they
+   *       // aren't from the UDF's date, or the prediction interval, if the
+   *       // value is projected. In "split" comparisons, describes both
+   *       // values.
+   *   "value": number,
+   *   "color": string,
+   * }
+   */
+  describe(key, udf, scale) {
+    udf = this.prepareUdf(udf);
+    if (udf.compare && udf.compare.as === "split") {
+      const own = this.describe(key, {...udf, compare: null}, scale);
+      const other = this.describe(key, compareUdf(udf), scale);
+      return {...own, message: `${own.message}\nvs. ${other.message}`};
+    }
+    const entry = this.data[key];
+    const round = x => Math.round(x * 1000 + Number.EPSILON) / 1000;
+    const value = this.evaluateEntry(key, udf);
+    const bin = scale.classOf(value);
+    const reports = entry.reportDates(udf.date, udf.missing);
+    let asOf = "";
+    if (this.projects(udf)) {
+      const ends = [this.evaluateEntry(key, udf, "lower"),
+                    this.evaluateEntry(key, udf, "upper")];
+      asOf = Number.isNaN(value) ? " (no forecast)" :
+        ` (projected by ${FORECAST_MODELS[udf.forecast.model].short} over ` +
+        `the last ${udf.forecast.days} days; ` +
+        `${this.hasInterval(udf) ? INTERVAL_LABEL : BOUND_LABEL} ` +
+        `${round(Math.min(...ends))}-${round(Math.max(...ends))})`;
+    }
+    else if (reports === null) {
+      const last = entry.reportDates(udf.date, {policy: "forward fill",
+                                                maxStaleness: Infinity});
+      asOf = last.length !== 0
+        ? ` (no data since ${last[0].toLocaleDateString()})`
+        : " (no data)";
+    }
+    else if (reports.length === 2) {
+      asOf = ` (interpolated between ${reports[0].toLocaleDateString()} ` +
+             `and ${reports[1].toLocaleDateString()})`;
+    }
+    else if (reports.length === 1 &&
+             daysBetween(reports[0], udf.date) !== 0) {
+      asOf = ` (data as of ${reports[0].toLocaleDateString()})`;
+    }
+    return {
+      key: key,
+      title: `${entry.name}, ${entry.region}`,
+      message: (Number.isNaN(value) ? "No data for" : round(value)) +
+               ` ${describeUdf(udf)}${asOf}` +
+               (bin !== -1 ? ` [${scale.legend()[bin].label}]` : ""),
+      value: value,
+      color: scale.colorOf(value),
+    };
+  }
+
+  /**
+   * Computes the polygons that represent this EpiViewTable according to a
+   * user-defined function (UDF), ready to be drawn on a map.
    *
    * @param {!Object<string, *>} udf An object representing the UDF: {
    *   "numerator": string,
    *   "denominator": string,
    *   "mode": string,
+   *   "formula": ?string,  // Required in "formula" mode.
    *   "refDate": ?Date,
+   *   "window": ?number,
+   *   "missing": ?Object<string, *>,  // As in DEFAULT_MISSING, the default.
+   *   "compare": ?Object<string, *>,  // As in EpiViewEntry's compareUdf.
    *   "date": !Date,
    * }
-   * @return {!Array<Polygon>} Polygons representing this EpiViewTable.
+   * @param {?EpiViewScale=} scale The color scale to use. If not given, a
+   *     scale with default styling is fitted to the UDF.
+   * @param {?Object<string, *>=} view What part of the map to draw, from
+   *     EpiViewGeometry's viewOf. If given, only entries that overlap its
+   *     box are included, with rings simplified for its zoom band.
+   *     Otherwise, every entry is included at full detail.
+   * @return {!Array<Object<string, *>>} Polygons representing this
+   *     EpiViewTable: {
+   *   "key": string,  // Unique key of the polygon.
+   *   "entry": string,  // Key of the entry it belongs to in data.
+   *   "coordinates": !Array<LatLng>,
+   *   "holes": !Array<Array<LatLng>>,
+   *   "fillColor": string,
+   *   "noData": boolean,  // Whether the entry has no data for the UDF, in
+   *       // which case fillColor is NO_DATA_COLOR.
+   * }
    */
-  computePolygons(udf) {
-    // Find the maximum value of the UDF. If it's 0, change it to 1 so that we
-    // can divide by it. Then, create scale and round functions.
-    let fmax = Math.max(0, ...Object.values(this.data)
-                                    .map(entry => entry.evaluate(udf)));
-    if (fmax === 0) {
-      fmax = 1;
+  computePolygons(udf, scale = null, view = null) {
+    udf = this.prepareUdf(udf);
+    if (scale === null) {
+      scale = this.computeScale(udf);
     }
-    const scale = x => 0.6 * (1 - Math.pow(Math.E, -10 * (x / fmax)));
-    const round = x => Math.round(x * 1000 + Number.EPSILON) / 1000;
-
-    // Build the polygons array by looping through entries, skipping the ones
-    // that are incomplete.
-    let polygons = [];
-    for (const [key, entry] of Object.entries(this.data)) {
-      if (!entry.complete()) {
+    const values = this.evaluateAll(udf);
+    const polygons = [];
+    for (const [i, key] of this.keys.entries()) {
+      const shapes = this.data[key].shapes;
+      if (view !== null && !intersects(shapes.box, view.box)) {
         continue;
       }
-
-      // Compute the entry's value and construct title, message, and color.
-      const value = entry.evaluate(udf);
-      const title = `${entry.name}, ${entry.region}`;
-      const message =
-        `${round(value)} ${udf.numerator.replace(/ \(.*\)/, "")} ` +
-        `${udf.denominator} ${udf.mode} ` +
-        (udf.mode != "on" ? udf.refDate.toLocaleDateString() + "-" : "") +
-        udf.date.toLocaleDateString() +
-        ` [α=${value > 0 ? round(scale(value)) : -round(scale(-value))}]`;
-      const color = value > 0 ? `rgba(255, 0, 0, ${round(scale(value))})`
-                              : `rgba(0, 0, 255, ${round(scale(-value))})`;
-
-      // Create the polygons that make up the entry.
-      for (const [i, bound] of entry.bounds.entries()) {
-        polygons.push(<Polygon coordinates={bound}
-                        key={`${key}-${i}`}
-                        strokeWidth={0}
-                        fillColor={color}
-                        tappable={true}
-                        onPress={() => Alert.alert(title, message)} />);
+      const shape = view !== null ? this.data[key].shapeAt(view.band)
+                                  : shapes;
+      const fillColor = scale.colorOf(values[i]);
+      const noData = Number.isNaN(values[i]);
+      for (const [j, bound] of shape.bounds.entries()) {
+        polygons.push({
+          key: `${key}-${j}`,
+          entry: key,
+          coordinates: bound,
+          holes: shape.holes[j] || [],
+          fillColor: fillColor,
+          noData: noData,
+        });
       }
     }
     return polygons;
   }
+
+  /**
+   * Tests every complete entry for clusters in the values of a user-defined
+   * function (UDF), using EpiViewClusters. If the analysis smooths rates and
+   * the UDF allows it, the statistic is computed on the entries' smoothed
+   * rates instead of their raw values.
+   *
+   * @param {!Object<string, *>} udf An object representing the UDF, as in
+   *     computePolygons.
+   * @param {!Object<string, *>} analysis The analysis, as in
+   *     EpiViewClusters' DEFAULT_ANALYSIS, with a statistic.
+   * @return {!Array<Object<string, *>>} One result per complete entry: {
+   *   "key": string,
+   *   "value": number,  // The value tested.
+   *   "smoothed": boolean,  // Whether the value is a smoothed rate.
+   *   "z": number,  // The z-score under the statistic, or NaN if the entry
+   *       // wasn't tested.
+   *   "cluster": ?string,  // A key of CLUSTERS, or null.
+   * }
+   */
+  computeClusters(udf, analysis) {
+    udf = this.prepareUdf(udf);
+    let values = this.evaluateAll(udf);
+    const smoothed = analysis.smooth && canSmooth(udf);
+    if (smoothed) {
+      const populations = Float64Array.from(
+        this.keys, key => +this.data[key].population);
+      const events = values.map((value, i) => value * populations[i] / 1e5);
+      values = smoothRates(events, populations).map(rate => rate * 1e5);
+    }
+    const { z, clusters } = detectClusters(values, neighborsOf(this),
+                                           analysis);
+    return this.keys.map((key, i) => ({
+      key: key,
+      value: values[i],
+      smoothed: smoothed,
+      z: z[i],
+      cluster: clusters[i],
+    }));
+  }
+
+  /**
+   * Computes outlines of the entries in significant clusters (see
+   * computeClusters), ready to be drawn over the polygons of computePolygons.
+   *
+   * @param {!Object<string, *>} udf An object representing the UDF, as in
+   *     computePolygons.
+   * @param {!Object<string, *>} analysis The analysis, as in computeClusters.
+   * @param {?Object<string, *>=} view What part of the map to draw, as in
+   *     computePolygons.
+   * @return {!Array<Object<string, *>>} Outlines: {
+   *   "key": string,  // Unique key of the outline.
+   *   "entry": string,  // Key of the entry it belongs to in data.
+   *   "coordinates": !Array<LatLng>,
+   *   "holes": !Array<Array<LatLng>>,
+   *   "cluster": string,  // A key of CLUSTERS.
+   * }
+   */
+  computeOutlines(udf, analysis, view = null) {
+    const outlines = [];
+    for (const result of this.computeClusters(udf, analysis)) {
+      const shapes = this.data[result.key].shapes;
+      if (result.cluster === null ||
+          (view !== null && !intersects(shapes.box, view.box))) {
+        continue;
+      }
+      const shape = view !== null ? this.data[result.key].shapeAt(view.band)
+                                  : shapes;
+      for (const [j, bound] of shape.bounds.entries()) {
+        outlines.push({
+          key: `${result.key}-${j}`,
+          entry: result.key,
+          coordinates: bound,
+          holes: shape.holes[j] || [],
+          cluster: result.cluster,
+        });
+      }
+    }
+    return outlines;
+  }
+}
+
+/**
+ * Describes a UDF in words, e.g. "daily new cases per 100k population
+ * averaged 5/1/2020-5/14/2020".
+ *
+ * @param {!Object<string, *>} udf An object representing the UDF.
+ * @return {string} The description.
+ */
+export function describeUdf(udf) {
+  if (udf.compare) {
+    const own = describeUdf({...udf, compare: null});
+    const other = describeUdf(compareUdf(udf));
+    switch (udf.compare.as) {
+      case "ratio":
+        return `ratio of ${own} to ${other}`;
+      case "percent change":
+        return `% change in ${own} from ${other}`;
+      default:
+        return `${own} vs. ${other}`;
+    }
+  }
+  const range = udfRange(udf);
+  let description;
+  if (udf.mode == "formula") {
+    description = `(${formulaText(udf)}) on`;
+  }
+  else {
+    description = `${udf.numerator} ${udf.denominator} ${udf.mode}`;
+    if (MODES[udf.mode].window) {
+      description += ` (${udf.window || DEFAULT_WINDOW} days)`;
+    }
+  }
+  return `${description} ` +
+         (range.from < range.to ? range.from.toLocaleDateString() + "-" : "") +
+         range.to.toLocaleDateString();
+}
+
+/**
+ * Shifts the date (and reference date, if any) of a UDF by some number of
+ * days.
+ *
+ * @param {!Object<string, *>} udf An object representing the UDF.
+ * @param {number} days The number of days to shift by (may be negative).
+ * @return {!Object<string, *>} A copy of the UDF with its dates shifted.
+ */
+export function shiftUdf(udf, days) {
+  return {
+    ...udf,
+    refDate: udf.refDate ? addDays(udf.refDate, days) : udf.refDate,
+    date: addDays(udf.date, days),
+  };
+}
+
+/**
+ * Computes a key that identifies a UDF for caching. UDFs that always
+ * evaluate the same get the same key, e.g. regardless of time of day or of
+ * fields that their mode doesn't use.
+ *
+ * @param {!Object<string, *>} udf An object representing the UDF.
+ * @return {string} The key.
+ */
+export function udfKey(udf) {
+  const mode = MODES[udf.mode] || {};
+  const missing = udf.missing || DEFAULT_MISSING;
+  return JSON.stringify([
+    udf.mode,
+    udf.mode === "formula" ? formulaText(udf)
+                           : [udf.numerator, udf.denominator],
+    mode.window ? udf.window || DEFAULT_WINDOW : null,
+    mode.refDate ? dayNumber(udf.refDate) : null,
+    missing.policy,
+    missing.policy === "missing" ? null : missing.maxStaleness,
+    dayNumber(udf.date),
+    udf.compare ? [udf.compare.as, udfKey(compareUdf(udf))] : null,
+  ]);
+}
+
+/**
+ * Gets the text of a UDF's formula, whether or not it has been parsed.
+ *
+ * @param {!Object<string, *>} udf An object representing the UDF.
+ * @return {string} The text of the formula.
+ */
+function formulaText(udf) {
+  return udf.formula instanceof EpiViewFormula ? udf.formula.text
+                                               : udf.formula;
 }
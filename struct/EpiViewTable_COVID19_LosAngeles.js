@@ -5,8 +5,11 @@ EpiViewTable_COVID19_LosAngeles.js
 Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
 */
 
-import EpiViewEntry, { parseCoord, parseCsv, parseDate } from "./EpiViewEntry.js";
+import EpiViewEntry from "./EpiViewEntry.js";
+import { readGeoJson } from "./EpiViewGeoJson.js";
 import EpiViewTable from "./EpiViewTable.js";
+import EpiViewTable_Rollup from "./EpiViewTable_Rollup.js";
+import { registerTable } from "./EpiViewRegistry.js";
 
 /**
  * Los Angeles Neighborhood-level Population (and Area) Data
@@ -14,7 +17,8 @@ import EpiViewTable from "./EpiViewTable.js";
  * Information: http://maps.latimes.com/
  * Data: http://maps.latimes.com/neighborhoods/population/total/neighborhood/list/
  */
-import rawPopulation from "../assets/la-data/la-county-population.json";
+const loadPopulation = () =>
+  require("../assets/la-data/la-county-population.json");
 
 /**
  * Los Angeles Neighborhood-level Boundary Data
@@ -22,7 +26,8 @@ import rawPopulation from "../assets/la-data/la-county-population.json";
  * Information: http://boundaries.latimes.com/sets/
  * Data: http://s3-us-west-2.amazonaws.com/boundaries.latimes.com/archive/1.0/boundary-set/la-county-neighborhoods-v6.geojson
  */
-import rawBounds from "../assets/la-data/la-county-neighborhoods-v6.json";
+const loadBounds = () =>
+  require("../assets/la-data/la-county-neighborhoods-v6.json");
 
 /**
  * Orange County Place-level Population, Boundary, and Area Data
@@ -30,7 +35,7 @@ import rawBounds from "../assets/la-data/la-county-neighborhoods-v6.json";
  * Information: https://data-ocpw.opendata.arcgis.com/datasets/9afb06dcf6b24f7cbc6599e47ecc9f27_0
  * Data: https://opendata.arcgis.com/datasets/9afb06dcf6b24f7cbc6599e47ecc9f27_0.geojson
  */
-import rawOC from "../assets/la-data/orange-county.json";
+const loadOC = () => require("../assets/la-data/orange-county.json");
 
 /**
  * California Neighborhood-level Case Count Data
@@ -50,6 +55,11 @@ export const LOS_ANGELES = {
   longitudeDelta: 1.5,
 };
 
+/**
+ * Fields of the entries. The L.A. Times data only includes case counts.
+ */
+const FIELDS = {series: ["cases"], attributes: ["population", "area"]};
+
 /**
  * Holds a collection of EpiViewEntrys.
  *
@@ -59,11 +69,17 @@ export const LOS_ANGELES = {
  *   },
  *   "minDate": Date,  // Corresponds to smallest key in data.*.counts.
  *   "maxDate": Date,  // Corresponds to largest key in data.*.counts.
+ *   "areas": {  // L.A. Times region of each L.A. County neighborhood, e.g.
+ *       // "south-bay".
+ *     key: string,
+ *   },
  * }
  */
 export default class EpiViewTable_COVID19_LosAngeles extends EpiViewTable {
-  constructor() {
-    super();
+  constructor(options) {
+    super(options);
+    this.fields = FIELDS;
+    this.areas = {};
   }
 
   /**
@@ -71,10 +87,10 @@ export default class EpiViewTable_COVID19_LosAngeles extends EpiViewTable {
    * table.
    */
   async compile() {
-    this.addPopulation(rawPopulation);
-    this.addBounds(rawBounds);
-    this.addOC(rawOC);
-    await this.addCounts(rawCountsUrl);
+    this.addPopulation(loadPopulation());
+    this.addBounds(loadBounds());
+    this.addOC(loadOC());
+    await this.loadCounts(rawCountsUrl);
     return this;
   }
 
@@ -95,6 +111,9 @@ export default class EpiViewTable_COVID19_LosAngeles extends EpiViewTable {
       // Populate data.
       this.data[name].population = row.population;
       this.data[name].area = row.area_sqmi;
+      if (row.population === 0) {
+        this.noteIssue("zero population", name);
+      }
     }
   }
 
@@ -105,25 +124,16 @@ export default class EpiViewTable_COVID19_LosAngeles extends EpiViewTable {
    *     Times.
    */
   addBounds(rawBounds) {
-    for (const feature of rawBounds.features) {
+    for (const feature of readGeoJson(rawBounds)) {
       // Get name and initialize.
       const name = feature.properties.name + ", Los Angeles County, California";
       if (!(name in this.data)) {
-        this.data[name] = new EpiViewEntry(feature.properties.NAME,
+        this.data[name] = new EpiViewEntry(feature.properties.name,
                                            "Los Angeles County, California");
       }
       // Populate data.
-      switch (feature.geometry.type) {
-        case "Polygon":
-          const bound = feature.geometry.coordinates;
-          this.data[name].bounds.push(bound[0].map(parseCoord));
-          break;
-        case "MultiPolygon":
-          for (const bound of feature.geometry.coordinates) {
-            this.data[name].bounds.push(bound[0].map(parseCoord));
-          }
-          break;
-      }
+      this.areas[name] = feature.properties.metadata.region;
+      this.addFeature(name, feature);
     }
   }
 
@@ -134,11 +144,13 @@ export default class EpiViewTable_COVID19_LosAngeles extends EpiViewTable {
    *     from O.C. Public Works.
    */
   addOC(rawOC) {
-    for (const feature of rawOC.features) {
+    for (const feature of readGeoJson(rawOC)) {
       // Get name and initialize.
       const name = feature.properties.NAME10 + ", Orange County, California";
       if (name in this.data) {
-        continue;  // this dataset has problematic repeats
+        // This dataset has problematic repeats. Keep the first.
+        this.noteIssue("duplicate", name);
+        continue;
       }
       else {
         this.data[name] = new EpiViewEntry(feature.properties.NAME10,
@@ -148,55 +160,110 @@ export default class EpiViewTable_COVID19_LosAngeles extends EpiViewTable {
       // A square mile is defined as exactly 2589988.110336 square meters.
       this.data[name].area += feature.properties.ALAND10 / 2589988.110336;
       this.data[name].population += +feature.properties.SF1_G001_VD072;
-      switch (feature.geometry.type) {
-        case "Polygon":
-          const bound = feature.geometry.coordinates;
-          this.data[name].bounds.push(bound[0].map(parseCoord));
-          break;
-        case "MultiPolygon":
-          for (const bound of feature.geometry.coordinates) {
-            this.data[name].bounds.push(bound[0].map(parseCoord));
-          }
-          break;
-      }
+      this.addFeature(name, feature);
     }
   }
 
   /**
-   * Populates the table with case count data.
+   * Adds one row of case count data from the L.A. Times, unless it's before
+   * since or outside L.A. and Orange Counties. The L.A. Times sometimes
+   * lists a place twice on a date, with part of its cases in each row, so
+   * repeated rows are added up rather than replaced, and noted.
    *
-   * @param {string} rawCountsUrl URL of raw case count data.
+   * @param {!Object<string, string>} row The row.
+   * @param {number} i Index of the row, from 0.
+   * @param {string} since As for addCounts, or "".
    */
-  async addCounts(rawCountsUrl) {
-    const rawCounts = await fetch(rawCountsUrl).then(res => res.text())
-                                               .then(parseCsv);
-    let minDate = "", maxDate = "";
-    for (const row of rawCounts) {
-      if (row.county !== "Los Angeles" && row.county !== "Orange") {
-        continue;
-      }
-      // Get name and initialize.
-      const name = `${row.place}, ${row.county} County, California`;
-      if (!(name in this.data)) {
-        this.data[name] = new EpiViewEntry(row.place,
-                                           `${row.county} County, California`);
-      }
-      // Populate data.
-      if (!(row.date in this.data[name].counts)) {
-        this.data[name].counts[row.date] = {
-          cases: 0,
-          deaths: 0,
-        };
-      }
-      this.data[name].counts[row.date].cases += +row.confirmed_cases;
-      if (minDate === "" || row.date < minDate) {
-        minDate = row.date;
-      }
-      if (maxDate === "" || row.date > maxDate) {
-        maxDate = row.date;
-      }
+  addCountRow(row, i, since) {
+    if (row.county !== "Los Angeles" && row.county !== "Orange" ||
+        row.date < since) {
+      return;
+    }
+    // Get name and initialize.
+    const name = `${row.place}, ${row.county} County, California`;
+    if (!(name in this.data)) {
+      this.data[name] = new EpiViewEntry(row.place,
+                                         `${row.county} County, California`);
+    }
+    // Populate data.
+    if (row.date in this.data[name].counts) {
+      this.noteIssue("duplicate", name, {
+        date: row.date,
+        message: `on ${row.date}, added up`,
+      });
+    }
+    else {
+      this.data[name].counts[row.date] = {cases: 0};
     }
-    this.minDate = parseDate(minDate);
-    this.maxDate = parseDate(maxDate);
+    this.data[name].counts[row.date].cases += +row.confirmed_cases;
   }
 }
+
+registerTable({
+  id: "la",
+  name: "L.A. Neighborhoods",
+  region: LOS_ANGELES,
+  fields: FIELDS,
+  create: options => new EpiViewTable_COVID19_LosAngeles(options),
+  // Shown in place of L.A. and Orange Counties on the U.S. map when zoomed in.
+  parent: {id: "us", keys: ["06037", "06059"], maxDelta: 2},
+});
+
+registerTable({
+  id: "la-spas",
+  name: "L.A. Service Planning Areas",
+  region: LOS_ANGELES,
+  create: options => new EpiViewTable_Rollup(options, async source =>
+    key => bySpa(source, key)),
+  source: "la",
+});
+
+/**
+ * L.A. County Service Planning Areas (SPAs), by L.A. Times region.
+ *
+ * SPAs are drawn along census tracts, while L.A. Times regions are groups of
+ * neighborhoods, so this is only approximate. Neighborhoods near SPA borders
+ * may be assigned to a neighboring SPA, and a few regions straddle two SPAs
+ * (e.g. the Santa Monica Mountains, split between SPAs 2 and 5). Figures by
+ * SPA should be treated as estimates and not compared with the county's own.
+ */
+const SPAS = {
+  "antelope-valley": "SPA 1: Antelope Valley",
+  "san-fernando-valley": "SPA 2: San Fernando",
+  "north-county": "SPA 2: San Fernando",
+  "northwest-county": "SPA 2: San Fernando",
+  "verdugos": "SPA 2: San Fernando",
+  "santa-monica-mountains": "SPA 2: San Fernando",
+  "san-gabriel-valley": "SPA 3: San Gabriel",
+  "pomona-valley": "SPA 3: San Gabriel",
+  "angeles-forest": "SPA 3: San Gabriel",
+  "central-la": "SPA 4: Metro",
+  "northeast-la": "SPA 4: Metro",
+  "eastside": "SPA 4: Metro",
+  "westside": "SPA 5: West",
+  "south-la": "SPA 6: South",
+  "southeast": "SPA 7: East",
+  "south-county": "SPA 7: East",
+  "south-bay": "SPA 8: South Bay",
+  "harbor": "SPA 8: South Bay",
+  "beach-cities": "SPA 8: South Bay",
+};
+
+/**
+ * Groups L.A. County neighborhoods by SPA, for EpiViewTable.rollup. Orange
+ * County places are left out.
+ *
+ * @param {!EpiViewTable_COVID19_LosAngeles} source The table of
+ *     neighborhoods.
+ * @param {string} key Key of the neighborhood.
+ * @return {?Object<string, string>} The neighborhood's SPA, or null if it
+ *     has none.
+ */
+export function bySpa(source, key) {
+  const spa = SPAS[source.areas[key]];
+  return spa ? {
+    key: spa,
+    name: spa,
+    region: "Los Angeles County, California",
+  } : null;
+}
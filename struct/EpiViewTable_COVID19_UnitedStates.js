@@ -5,8 +5,13 @@ EpiViewTable_COVID19_UnitedStates.js
 Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
 */
 
-import EpiViewEntry, { parseCoord, parseCsv, parseDate } from "./EpiViewEntry.js";
+import { parseCsv } from "./EpiViewCsv.js";
+import EpiViewEntry from "./EpiViewEntry.js";
+import { DEFAULT_FIELDS } from "./EpiViewFormula.js";
+import { readGeoJson } from "./EpiViewGeoJson.js";
 import EpiViewTable from "./EpiViewTable.js";
+import EpiViewTable_Rollup from "./EpiViewTable_Rollup.js";
+import { registerTable } from "./EpiViewRegistry.js";
 
 /**
  * United States County-level Population Data
@@ -14,7 +19,8 @@ import EpiViewTable from "./EpiViewTable.js";
  * Information: https://www.census.gov/programs-surveys/popest/data/data-sets.html
  * Data: https://www2.census.gov/programs-surveys/popest/datasets/2010-2019/counties/totals/co-est2019-alldata.csv
  */
-import rawPopulation from "../assets/us-data/co-est2019-alldata.json";
+const loadPopulation = () =>
+  require("../assets/us-data/co-est2019-alldata.json");
 
 /**
  * United States County-level Boundary and Area Data
@@ -22,7 +28,8 @@ import rawPopulation from "../assets/us-data/co-est2019-alldata.json";
  * Information: https://www.census.gov/geographies/mapping-files/time-series/geo/carto-boundary-file.html
  * Data: https://www2.census.gov/geo/tiger/GENZ2018/shp/cb_2018_us_county_20m.zip
  */
-import rawBounds from "../assets/us-data/cb_2018_us_county_20m.json";
+const loadBounds = () =>
+  require("../assets/us-data/cb_2018_us_county_20m.json");
 
 /**
  * United States County-level Case Count Data
@@ -31,6 +38,13 @@ import rawBounds from "../assets/us-data/cb_2018_us_county_20m.json";
  */
 const rawCountsUrl = "https://raw.githubusercontent.com/nytimes/covid-19-data/master/us-counties.csv";
 
+/**
+ * United States County-to-Metro Area Mapping
+ * Source: NBER (from U.S. Census Bureau delineation files)
+ * Information: https://www.nber.org/research/data/census-core-based-statistical-area-cbsa-federal-information-processing-series-fips-county-crosswalk
+ */
+const rawDelineationUrl = "https://data.nber.org/cbsa-csa-fips-county-crosswalk/cbsa2fipsxw.csv";
+
 /**
  * United States general location.
  */
@@ -53,8 +67,11 @@ export const UNITED_STATES = {
  * }
  */
 export default class EpiViewTable_COVID19_UnitedStates extends EpiViewTable {
-  constructor() {
-    super();
+  constructor(options) {
+    super(options);
+    for (const fips of BOROUGHS) {
+      this.merged[String(fips)] = "36000";
+    }
   }
 
   /**
@@ -62,9 +79,9 @@ export default class EpiViewTable_COVID19_UnitedStates extends EpiViewTable {
    * table.
    */
   async compile() {
-    this.addPopulation(rawPopulation);
-    this.addBounds(rawBounds);
-    await this.addCounts(rawCountsUrl);
+    this.addPopulation(loadPopulation());
+    this.addBounds(loadBounds());
+    await this.loadCounts(rawCountsUrl);
     return this;
   }
 
@@ -78,11 +95,17 @@ export default class EpiViewTable_COVID19_UnitedStates extends EpiViewTable {
     for (const row of rawPopulation) {
       // Get FIPS code and initialize.
       const fips = row.STATE.padStart(2, "0") + row.COUNTY.padStart(3, "0");
+      if (+row.COUNTY === 0) {
+        continue;  // state totals
+      }
       if (!(fips in this.data)) {
         this.data[fips] = new EpiViewEntry(row.CTYNAME, row.STNAME);
       }
       // Populate data.
       this.data[fips].population = row.POPESTIMATE2018;
+      if (+row.POPESTIMATE2018 === 0) {
+        this.noteIssue("zero population", fips);
+      }
     }
 
     // Special handling for New York City.
@@ -91,7 +114,7 @@ export default class EpiViewTable_COVID19_UnitedStates extends EpiViewTable {
       this.data[nyc] = new EpiViewEntry("New York City", "New York");
     }
     this.data[nyc].population = BOROUGHS.reduce(
-      (total, fips) => total + +this.data[fips].population);
+      (total, fips) => total + +this.data[fips].population, 0);
   }
 
   /**
@@ -101,7 +124,7 @@ export default class EpiViewTable_COVID19_UnitedStates extends EpiViewTable {
    *     Census Bureau in GeoJSON format.
    */
   addBounds(rawBounds) {
-    for (const feature of rawBounds.features) {
+    for (const feature of readGeoJson(rawBounds)) {
       // Get FIPS code and initialize.
       const fips = feature.properties.GEOID;
       if (!(fips in this.data)) {
@@ -111,63 +134,49 @@ export default class EpiViewTable_COVID19_UnitedStates extends EpiViewTable {
       // Populate data. Convert land area from square meters to square miles.
       // A square mile is defined as exactly 2589988.110336 square meters.
       this.data[fips].area += feature.properties.ALAND / 2589988.110336;
-      switch (feature.geometry.type) {
-        case "Polygon":
-          const bound = feature.geometry.coordinates;
-          this.data[fips].bounds.push(bound[0].map(parseCoord));
-          break;
-        case "MultiPolygon":
-          for (const bound of feature.geometry.coordinates) {
-            this.data[fips].bounds.push(bound[0].map(parseCoord));
-          }
-          break;
-      }
+      this.addFeature(fips, feature);
     }
 
     // Special handling for New York City.
     const nyc = "36000";
     if (!(nyc in this.data)) {
-      this.data[fips] = new EpiViewEntry("New York City", "New York");
-    }
-    if (!("bounds" in this.data[nyc])) {
-      this.data[nyc].bounds = [];
+      this.data[nyc] = new EpiViewEntry("New York City", "New York");
     }
     this.data[nyc].area = BOROUGHS.reduce(
-      (total, fips) => total + this.data[fips].area);
+      (total, fips) => total + this.data[fips].area, 0);
     this.data[nyc].bounds = BOROUGHS.reduce(
       (total, fips) => total.concat(this.data[fips].bounds), []);
+    this.data[nyc].holes = BOROUGHS.reduce(
+      (total, fips) => total.concat(this.data[fips].holes), []);
   }
 
   /**
-   * Populates the table with case count data.
+   * Adds one row of case count data from The New York Times, unless it's
+   * before since.
    *
-   * @param {string} rawCountsUrl URL of raw case count data from The New York
-   *     Times.
+   * @param {!Object<string, string>} row The row.
+   * @param {number} i Index of the row, from 0.
+   * @param {string} since As for addCounts, or "".
    */
-  async addCounts(rawCountsUrl) {
-    const rawCounts = await fetch(rawCountsUrl).then(res => res.text())
-                                               .then(parseCsv);
-    let minDate = "", maxDate = "";
-    for (const row of rawCounts) {
-      // Get FIPS code and initialize.
-      const fips = row.county === "New York City" ? "36000" : row.fips;
-      if (!(fips in this.data)) {
-        this.data[fips] = new EpiViewEntry(row.county + " County", row.state);
-      }
-      // Populate data.
-      this.data[fips].counts[row.date] = {
-        cases: +row.cases,
-        deaths: +row.deaths,
-      };
-      if (minDate === "" || row.date < minDate) {
-        minDate = row.date;
-      }
-      if (maxDate === "" || row.date > maxDate) {
-        maxDate = row.date;
-      }
+  addCountRow(row, i, since) {
+    if (row.date < since) {
+      return;
+    }
+    // Get FIPS code and initialize. Some rows, such as cases of unknown
+    // county, have no FIPS code; key them by state and county instead.
+    const fips = row.county === "New York City" ? "36000"
+               : row.fips || `${row.state}: ${row.county}`;
+    if (!(fips in this.data)) {
+      this.data[fips] = new EpiViewEntry(row.county + " County", row.state);
+    }
+    // Populate data.
+    if (row.date in this.data[fips].counts) {
+      this.noteIssue("duplicate", fips, {date: row.date});
     }
-    this.minDate = parseDate(minDate);
-    this.maxDate = parseDate(maxDate);
+    this.data[fips].counts[row.date] = {
+      cases: +row.cases,
+      deaths: +row.deaths,
+    };
   }
 }
 
@@ -181,3 +190,85 @@ const BOROUGHS = [
   36005,  // Bronx
   36085,  // Richmond
 ];
+
+registerTable({
+  id: "us",
+  name: "U.S. Counties",
+  region: UNITED_STATES,
+  fields: DEFAULT_FIELDS,
+  create: options => new EpiViewTable_COVID19_UnitedStates(options),
+});
+
+registerTable({
+  id: "us-states",
+  name: "U.S. States",
+  region: UNITED_STATES,
+  create: options => new EpiViewTable_Rollup(options, async () => byState),
+  source: "us",
+});
+
+registerTable({
+  id: "us-metros",
+  name: "U.S. Metro Areas",
+  region: UNITED_STATES,
+  create: options => new EpiViewTable_Rollup(options, loadByMetro),
+  source: "us",
+});
+
+/**
+ * Groups counties by state, for EpiViewTable.rollup.
+ *
+ * @param {string} fips FIPS code of the county.
+ * @param {!EpiViewEntry} entry The county.
+ * @return {!Object<string, string>} The county's state.
+ */
+export function byState(fips, entry) {
+  return {
+    key: fips.slice(0, 2),
+    name: entry.region,
+    region: "United States",
+  };
+}
+
+/**
+ * Loads the county-to-metro area mapping, for EpiViewTable_Rollup. It's
+ * downloaded once and cached with the table of metro areas (see
+ * EpiViewTable.loadReference).
+ *
+ * @param {!EpiViewTable} source The table of counties.
+ * @param {!EpiViewTable} table The table of metro areas, whose fetch and
+ *     storage are used.
+ * @return {!Promise<function(string, !EpiViewEntry): ?Object<string, string>>}
+ *     The grouping, from byMetro.
+ */
+async function loadByMetro(source, table) {
+  return byMetro(parseCsv(await table.loadReference(rawDelineationUrl)));
+}
+
+/**
+ * Groups counties by metropolitan statistical area. Counties outside of one
+ * are left out.
+ *
+ * @param {!Array<Object<string, string>>} rawDelineation Rows of the
+ *     county-to-metro area mapping from NBER.
+ * @return {function(string, !EpiViewEntry): ?Object<string, string>} The
+ *     grouping, for EpiViewTable.rollup.
+ */
+export function byMetro(rawDelineation) {
+  const metros = {};
+  for (const row of rawDelineation) {
+    const status = row.metropolitanmicropolitanstatis;
+    if (status === "Metropolitan Statistical Area") {
+      const fips = row.fipsstatecode.padStart(2, "0") +
+                   row.fipscountycode.padStart(3, "0");
+      metros[fips] = {
+        key: row.cbsacode,
+        name: row.cbsatitle,
+        region: "United States",
+      };
+    }
+  }
+  // New York City is in the metro area of its boroughs.
+  return fips =>
+    metros[fips === "36000" ? String(BOROUGHS[0]) : fips] || null;
+}
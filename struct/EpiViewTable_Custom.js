@@ -0,0 +1,354 @@
+/*
+EpiView
+EpiViewTable_Custom.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+import { parseCsv, readCsv } from "./EpiViewCsv.js";
+import EpiViewEntry from "./EpiViewEntry.js";
+import { areaOf, readGeoJson } from "./EpiViewGeoJson.js";
+import { regionOf } from "./EpiViewGeometry.js";
+import EpiViewTable from "./EpiViewTable.js";
+import EpiViewTable_Rollup, { byMapping } from "./EpiViewTable_Rollup.js";
+import { registerTable, unregisterTable } from "./EpiViewRegistry.js";
+
+/**
+ * Holds a collection of EpiViewEntrys imported by the user from their own
+ * files: boundaries in a GeoJSON file, and population and case counts in
+ * .csv files. Rows are matched to boundaries by a key column in each file,
+ * such as a ZIP code. An optional .csv file of groups assigns keys to groups,
+ * such as health districts, and adds a table of the groups (see
+ * registerImport).
+ *
+ * ImportSpec {
+ *   "id": string,  // Table identifier, starting with "import-".
+ *   "name": string,  // Display name, e.g. "Alameda County ZIP Codes".
+ *   "region": string,  // Region of every entry, e.g. "Alameda County,
+ *       // California".
+ *   "mapRegion": !Region,  // Map region that fits the boundaries.
+ *   "files": {  // URIs of the files, read with the readFile option.
+ *     "bounds": string,
+ *     "population": string,
+ *     "counts": string,
+ *     "groups": ?string,
+ *   },
+ *   "columns": {  // Which property or column holds each field.
+ *     "boundsKey": string,  // Feature property with the key.
+ *     "populationKey": string,
+ *     "name": ?string,  // Population column. Defaults to the key.
+ *     "population": string,
+ *     "area": ?string,  // Population column, in sq. mi. Defaults to the
+ *         // area of the boundaries.
+ *     "countsKey": string,
+ *     "date": string,  // Case count column, as YYYY-MM-DD or M/D/YYYY.
+ *     "cases": string,  // Case count column, cumulative.
+ *     "deaths": ?string,  // Case count column, cumulative.
+ *     "series": ?Array<string>,  // Other case count columns, e.g.
+ *         // "hospitalizations".
+ *     "attributes": ?Array<string>,  // Other population columns, e.g.
+ *         // "median age".
+ *     "groupsKey": ?string,  // Groups column. Required with a groups file.
+ *     "group": ?string,  // Groups column with the name of each key's group.
+ *   },
+ * }
+ */
+export default class EpiViewTable_Custom extends EpiViewTable {
+  /**
+   * @param {!Object<string, *>} options As for EpiViewTable, plus: {
+   *   "readFile": function(string): !Promise<string>,  // Reads a file in
+   *       spec.files.
+   * }
+   * @param {!ImportSpec} spec What to import.
+   */
+  constructor(options, spec) {
+    super(options);
+    this.spec = spec;
+    this.readFile = options.readFile;
+    this.fields = importFields(spec);
+  }
+
+  /**
+   * Joins population, boundary, and case count data to produce a unified data
+   * table.
+   */
+  async compile() {
+    const files = this.spec.files;
+    this.addPopulation(parseCsv(await this.readFile(files.population)));
+    this.addBounds(JSON.parse(await this.readFile(files.bounds)));
+    // Files are read whole, but their rows are added as they're parsed.
+    const counts = await this.readFile(files.counts);
+    await this.streamCounts(async onRow => readCsv(counts, onRow));
+    return this;
+  }
+
+  /**
+   * Creates an entry if there isn't one for a key yet.
+   *
+   * @param {string} key Key of the entry, which is also its default name.
+   * @return {!EpiViewEntry} The entry.
+   */
+  entry(key) {
+    if (!(key in this.data)) {
+      this.data[key] = new EpiViewEntry(key, this.spec.region);
+    }
+    return this.data[key];
+  }
+
+  /**
+   * Lists the fields that come from other columns (see importFields).
+   *
+   * @param {string} kind "series" or "attributes".
+   * @return {!Array<string>} The fields.
+   */
+  otherFields(kind) {
+    return this.fields[kind].filter(field => field in this.fields.labels);
+  }
+
+  /**
+   * Populates the table with population (and area) data.
+   *
+   * @param {!Array<Object<string, string>>} rawPopulation Rows of the
+   *     population file.
+   */
+  addPopulation(rawPopulation) {
+    const columns = this.spec.columns;
+    for (const [i, row] of rawPopulation.entries()) {
+      const key = (row[columns.populationKey] || "").trim();
+      const population = parseNumber(row[columns.population]);
+      if (!key || isNaN(population)) {
+        this.noteIssue("malformed row", key || "population file", {
+          message: `row ${i + 2} has no key or population`,
+        });
+        continue;
+      }
+      const entry = this.entry(key);
+      if (columns.name && row[columns.name]) {
+        entry.name = row[columns.name].trim();
+      }
+      entry.population = population;
+      if (columns.area) {
+        entry.area = parseNumber(row[columns.area]) || 0;
+      }
+      for (const field of this.otherFields("attributes")) {
+        const value = parseNumber(row[this.fields.labels[field]]);
+        if (!isNaN(value)) {
+          entry.attributes[field] = value;
+        }
+      }
+      if (population === 0) {
+        this.noteIssue("zero population", key);
+      }
+    }
+  }
+
+  /**
+   * Populates the table with boundary (and area) data.
+   *
+   * @param {!Object<string, *>} rawBounds The GeoJSON boundary file.
+   */
+  addBounds(rawBounds) {
+    for (const [i, feature] of readGeoJson(rawBounds).entries()) {
+      const value = feature.properties[this.spec.columns.boundsKey];
+      const key = value === undefined || value === null ? ""
+                                                        : `${value}`.trim();
+      if (!key) {
+        this.noteIssue("malformed row", "boundary file", {
+          message: `feature ${i + 1} has no key`,
+        });
+        continue;
+      }
+      const entry = this.entry(key);
+      if (!this.spec.columns.area) {
+        entry.area += areaOf(feature);
+      }
+      this.addFeature(key, feature);
+    }
+  }
+
+  /**
+   * Adds one row of the case count file, unless it's before since.
+   *
+   * @param {!Object<string, string>} row The row.
+   * @param {number} i Index of the row, from 0, for noting problems.
+   * @param {string} since As for addCounts, or "".
+   */
+  addCountRow(row, i, since) {
+    const columns = this.spec.columns;
+    const key = (row[columns.countsKey] || "").trim();
+    const date = normalizeDate(row[columns.date]);
+    const cases = parseNumber(row[columns.cases]);
+    const deaths = columns.deaths ? parseNumber(row[columns.deaths]) : 0;
+    if (!key || date === null || isNaN(cases) || isNaN(deaths)) {
+      this.noteIssue("malformed row", key || "case count file", {
+        date: date || undefined,
+        message: `row ${i + 2} has no key or date, or a count that ` +
+                 `isn't a number`,
+      });
+      return;
+    }
+    if (date < since) {
+      return;
+    }
+    const entry = this.entry(key);
+    if (date in entry.counts) {
+      this.noteIssue("duplicate", key, {date: date});
+    }
+    const counts = {cases: cases};
+    if (columns.deaths) {
+      counts.deaths = deaths;
+    }
+    // Other series may be blank on some dates.
+    for (const field of this.otherFields("series")) {
+      const value = parseNumber(row[this.fields.labels[field]]);
+      if (!isNaN(value)) {
+        counts[field] = value;
+      }
+    }
+    entry.counts[date] = counts;
+  }
+}
+
+/**
+ * Parses a number from a .csv field, allowing thousands separators.
+ *
+ * @param {?string} value The field.
+ * @return {number} The number, or NaN if the field is blank or not a number.
+ */
+function parseNumber(value) {
+  if (value === undefined || value === null || !value.trim()) {
+    return NaN;
+  }
+  return +value.replace(/,/g, "");
+}
+
+/**
+ * Converts a date from a .csv field to an ISO date.
+ *
+ * @param {?string} value The field, as YYYY-MM-DD (optionally followed by a
+ *     time) or M/D/YYYY.
+ * @return {?string} The ISO date (YYYY-MM-DD), or null if the field isn't a
+ *     date.
+ */
+export function normalizeDate(value) {
+  let match = /^\s*(\d{4})-(\d{2})-(\d{2})/.exec(value || "");
+  if (match) {
+    return `${match[1]}-${match[2]}-${match[3]}`;
+  }
+  match = /^\s*(\d{1,2})\/(\d{1,2})\/(\d{4})\s*$/.exec(value || "");
+  if (match) {
+    return `${match[3]}-${match[1].padStart(2, "0")}-` +
+           `${match[2].padStart(2, "0")}`;
+  }
+  return null;
+}
+
+/**
+ * Computes a map region that fits a table's complete entries.
+ *
+ * @param {!EpiViewTable} table The compiled table.
+ * @return {?Region} The region, or null if no entries are complete.
+ */
+export function fitRegion(table) {
+  return table.extent ? regionOf(table.extent) : null;
+}
+
+/**
+ * Reads the mapping from keys to groups in a groups file. Rows without a key
+ * or group are skipped.
+ *
+ * @param {!Array<Object<string, string>>} rawGroups Rows of the groups file.
+ * @param {!Object<string, *>} columns Columns of the import, as in
+ *     ImportSpec.
+ * @return {!Object<string, string>} Group names, by key, for byMapping.
+ */
+export function readMapping(rawGroups, columns) {
+  const mapping = {};
+  for (const row of rawGroups) {
+    const key = (row[columns.groupsKey] || "").trim();
+    const group = (row[columns.group] || "").trim();
+    if (key && group) {
+      mapping[key] = group;
+    }
+  }
+  return mapping;
+}
+
+/**
+ * Lists the identifiers of the tables registered for an import: its own
+ * table, then the table of its groups, if it has a groups file.
+ *
+ * @param {!ImportSpec} spec What was imported.
+ * @return {!Array<string>} The identifiers.
+ */
+export function importTableIds(spec) {
+  return spec.files && spec.files.groups ? [spec.id, `${spec.id}-groups`]
+                                         : [spec.id];
+}
+
+/**
+ * Registers an imported table, so that it's available like the built-in
+ * ones, along with a rollup of it by the user's mapping if it has a groups
+ * file. Replaces any tables registered with the same identifiers.
+ *
+ * @param {!ImportSpec} spec What was imported.
+ */
+export function registerImport(spec) {
+  const [id, groupsId] = importTableIds(spec);
+  unregisterTable(id);
+  unregisterTable(`${id}-groups`);
+  registerTable({
+    id: id,
+    name: spec.name,
+    region: spec.mapRegion,
+    fields: importFields(spec),
+    create: options => new EpiViewTable_Custom(options, spec),
+  });
+  if (groupsId) {
+    registerTable({
+      id: groupsId,
+      name: `${spec.name} by Group`,
+      region: spec.mapRegion,
+      create: options => new EpiViewTable_Rollup(options, async () => {
+        const rawGroups = parseCsv(await options.readFile(spec.files.groups));
+        return byMapping(readMapping(rawGroups, spec.columns), spec.region);
+      }),
+      source: id,
+    });
+  }
+}
+
+/**
+ * Lists the fields of an imported table. Other columns become fields named
+ * after them, e.g. "ICU beds" becomes icu_beds, labeled with the column
+ * name.
+ *
+ * @param {!ImportSpec} spec What was imported.
+ * @return {!Object<string, *>} The fields, as in EpiViewTable.fields. The
+ *     labels of other fields are their columns.
+ */
+export function importFields(spec) {
+  const fields = {
+    series: spec.columns.deaths ? ["cases", "deaths"] : ["cases"],
+    attributes: ["population", "area"],
+    labels: {},
+  };
+  const taken = new Set([...fields.series, ...fields.attributes, "deaths",
+                         "date", "refDate"]);
+  for (const kind of ["series", "attributes"]) {
+    for (const column of spec.columns[kind] || []) {
+      let field = column.trim().toLowerCase().replace(/\W+/g, "_")
+                        .replace(/^_+|_+$/g, "");
+      if (!/^[a-z_]/.test(field)) {
+        field = `_${field}`;
+      }
+      while (taken.has(field)) {
+        field += "_";
+      }
+      taken.add(field);
+      fields[kind].push(field);
+      fields.labels[field] = column;
+    }
+  }
+  return fields;
+}
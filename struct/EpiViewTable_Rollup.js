@@ -0,0 +1,69 @@
+/*
+EpiView
+EpiViewTable_Rollup.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+import EpiViewTable from "./EpiViewTable.js";
+
+/**
+ * Holds a collection of EpiViewEntrys that are groups of another table's
+ * entries, e.g. states made up of counties. See EpiViewTable.rollup.
+ *
+ * Tables of this kind are registered with a "source": the identifier of the
+ * table they group, which is compiled first and passed to compile.
+ */
+export default class EpiViewTable_Rollup extends EpiViewTable {
+  /**
+   * @param {!Object<string, *>=} options Optional dependencies, as in
+   *     EpiViewTable.
+   * @param {function(!EpiViewTable, !EpiViewTable_Rollup): !Promise<function(
+   *     string, !EpiViewEntry): ?Object<string, string>>} grouping Returns
+   *     the function that assigns the source table's entries to groups, as in
+   *     EpiViewTable.rollup. Given the source table and this table, e.g. to
+   *     download a mapping with this table's fetch.
+   */
+  constructor(options, grouping) {
+    super(options);
+    this.grouping = grouping;
+  }
+
+  /**
+   * Rolls up the source table into this table. If the source table is
+   * refreshing in the background, rolls it up again once it brings in new
+   * data.
+   *
+   * @param {!EpiViewTable} source The compiled source table.
+   */
+  async compile(source) {
+    const groupOf = await this.grouping(source, this);
+    source.rollup(groupOf, this);
+    if (source.refreshing) {
+      this.refreshing = source.refreshing.then(changed => {
+        if (changed) {
+          source.rollup(groupOf, this);
+        }
+        return changed;
+      });
+    }
+    return this;
+  }
+}
+
+/**
+ * Groups entries by a mapping from their keys to group names, e.g. one
+ * supplied by the user. Entries that aren't in the mapping are left out.
+ *
+ * @param {!Object<string, string>} mapping Group names, by entry key.
+ * @param {string=} region Region of every group, for display.
+ * @return {function(string, !EpiViewEntry): ?Object<string, string>} The
+ *     grouping, for EpiViewTable.rollup.
+ */
+export function byMapping(mapping, region = "") {
+  return key => key in mapping ? {
+    key: mapping[key],
+    name: mapping[key],
+    region: region,
+  } : null;
+}
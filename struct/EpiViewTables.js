@@ -0,0 +1,18 @@
+/*
+EpiView
+EpiViewTables.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+/**
+ * Imports every data table module so that each one registers itself with
+ * EpiViewRegistry. To add a region, create its EpiViewTable_* module and list
+ * it here. Table modules require their bundled assets in compile rather
+ * than importing them, so that tables can be listed, e.g. by the command
+ * line, without loading every asset.
+ */
+import "./EpiViewTable_COVID19_UnitedStates.js";
+import "./EpiViewTable_COVID19_LosAngeles.js";
+
+export { getTable, listChildren, listTables, unregisterTable } from "./EpiViewRegistry.js";
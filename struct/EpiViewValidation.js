@@ -0,0 +1,175 @@
+/*
+EpiView
+EpiViewValidation.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+/**
+ * Kinds of problems that validate reports, in the order they're listed.
+ * Problems marked hidden keep an area off the map entirely.
+ */
+export const ISSUES = {
+  "missing population": {
+    label: "No population",
+    hidden: true,
+    description: "No population data matched these areas.",
+  },
+  "zero population": {
+    label: "Zero population",
+    hidden: true,
+    description: "The population data gives these areas a population of 0.",
+  },
+  "missing bounds": {
+    label: "No boundaries",
+    hidden: true,
+    description: "No boundary data matched these areas, so any counts for " +
+                 "them can't be drawn.",
+  },
+  "missing area": {
+    label: "No area",
+    hidden: true,
+    description: "These areas have boundaries but no land area, or a land " +
+                 "area of 0.",
+  },
+  "missing counts": {
+    label: "No counts",
+    hidden: true,
+    description: "No case count data matched these areas.",
+  },
+  "malformed feature": {
+    label: "Malformed boundaries",
+    hidden: false,
+    description: "Boundary data for these areas is malformed. Only the parts " +
+                 "that could be read are drawn.",
+  },
+  "malformed row": {
+    label: "Unreadable rows",
+    hidden: false,
+    description: "Rows of imported data with a missing key or date, or a " +
+                 "count that isn't a number. They were skipped.",
+  },
+  "duplicate": {
+    label: "Duplicates",
+    hidden: false,
+    description: "The source data lists these more than once. Only one was " +
+                 "kept, unless they were added up as noted.",
+  },
+  "negative delta": {
+    label: "Decreasing counts",
+    hidden: false,
+    description: "Cumulative counts that decrease from one date to the next, " +
+                 "usually due to corrections. Daily new figures are negative " +
+                 "on these dates.",
+  },
+  "non-monotonic": {
+    label: "Counts below an earlier peak",
+    hidden: false,
+    description: "Cumulative counts that stay below an earlier peak for more " +
+                 "than one date, so that they aren't explained by a single " +
+                 "correction.",
+  },
+};
+
+/**
+ * Checks a compiled table for problems in its source data, so that it's
+ * clear what the map is leaving out or getting wrong. Combines the problems
+ * noted while compiling (see EpiViewTable.noteIssue) with checks of every
+ * entry: whether it matched population, boundary, area, and case count data,
+ * and whether its cumulative counts ever decrease. Entries merged into
+ * another on purpose (see EpiViewTable.merged) aren't checked.
+ *
+ * Problems noted while parsing case count data are only known for data
+ * downloaded since the app started, not for data restored from the cache.
+ *
+ * @param {!EpiViewTable} table The table to check.
+ * @return {!Object<string, *>} The report: {
+ *   "entries": number,  // Number of entries in the table.
+ *   "shown": number,  // Number of complete entries, which are on the map.
+ *   "issues": !Array<{
+ *     "type": string,  // A key of ISSUES.
+ *     "key": string,  // Key of the entry.
+ *     "name": string,  // Name and region of the entry, for display.
+ *     "date": ?string,  // ISO date of the problem, if it has one.
+ *     "field": ?string,  // Count field with the problem, if any.
+ *     "message": string,  // Describes this occurrence, for display.
+ *   }>,  // Sorted by type (in the order of ISSUES), then by name.
+ * }
+ */
+export function validate(table) {
+  const issues = table.issues.map(issue => ({...issue}));
+  const zeroPopulation = new Set(issues.filter(
+    issue => issue.type === "zero population").map(issue => issue.key));
+  for (const [key, entry] of Object.entries(table.data)) {
+    if (key in table.merged) {
+      continue;
+    }
+    if (+entry.population === 0 && !zeroPopulation.has(key)) {
+      issues.push({type: "missing population", key: key});
+    }
+    if (entry.bounds.length === 0) {
+      issues.push({type: "missing bounds", key: key});
+    }
+    else if (!(+entry.area > 0)) {
+      issues.push({type: "missing area", key: key});
+    }
+    if (Object.keys(entry.counts).length === 0) {
+      issues.push({type: "missing counts", key: key});
+      continue;
+    }
+    if (!entry.index) {
+      entry.buildIndex();
+    }
+    const dates = Object.keys(entry.counts).sort();
+    for (const [field, values] of Object.entries(entry.index.values)) {
+      let peak = 0, belowPeak = 0, firstBelowPeak = null;
+      for (let i = 0; i < values.length; i++) {
+        if (i > 0 && values[i] < values[i - 1]) {
+          issues.push({
+            type: "negative delta",
+            key: key,
+            date: dates[i],
+            field: field,
+            message: `${field} fell from ${values[i - 1]} to ${values[i]}`,
+          });
+        }
+        if (values[i] < peak) {
+          belowPeak++;
+          firstBelowPeak = firstBelowPeak || dates[i];
+        }
+        peak = Math.max(peak, values[i]);
+      }
+      if (belowPeak > 1) {
+        issues.push({
+          type: "non-monotonic",
+          key: key,
+          date: firstBelowPeak,
+          field: field,
+          message: `${field} below an earlier peak on ${belowPeak} dates ` +
+                   `from ${firstBelowPeak}`,
+        });
+      }
+    }
+  }
+
+  // Fill in names and messages, then sort.
+  const order = Object.keys(ISSUES);
+  for (const issue of issues) {
+    const entry = table.data[issue.key];
+    issue.name = entry ? `${entry.name}, ${entry.region}` : issue.key;
+    issue.date = issue.date || null;
+    issue.field = issue.field || null;
+    if (!issue.message) {
+      issue.message = issue.date ? `on ${issue.date}`
+                                 : ISSUES[issue.type].label;
+    }
+  }
+  issues.sort((a, b) => order.indexOf(a.type) - order.indexOf(b.type) ||
+                        a.name.localeCompare(b.name) ||
+                        (a.date || "").localeCompare(b.date || ""));
+  return {
+    entries: Object.keys(table.data).length,
+    shown: table.keys.length,
+    issues: issues,
+  };
+}
@@ -0,0 +1,285 @@
+/*
+EpiView
+EpiViewWatchlist.js
+
+Copyright (c) 2020 Kevin Hsieh. All Rights Reserved.
+*/
+
+import { DEFAULT_WINDOW } from "./EpiViewEntry.js";
+import { formatDate, fromQueryParams } from "./EpiViewQuery.js";
+import { formatNumber } from "./EpiViewScale.js";
+
+/**
+ * Rules offered when watching an area. Rules are written against the value
+ * of a UDF on the latest date of data, given as query parameters (see
+ * EpiViewQuery.js) without a table or dates.
+ */
+export const RULE_TEMPLATES = [
+  {
+    label: "7-day avg. daily new cases per 100k",
+    params: {
+      numerator: "daily new cases",
+      denominator: "per 100k population",
+      mode: "rolling average",
+      window: String(DEFAULT_WINDOW),
+    },
+    above: true,
+    threshold: 25,
+  },
+  {
+    label: "Week-over-week % change in daily new cases",
+    params: {
+      numerator: "daily new cases",
+      denominator: "total",
+      mode: "percent change",
+      window: "7",
+    },
+    above: true,
+    threshold: 50,
+  },
+  {
+    label: "Est. Rt of daily new cases",
+    params: {
+      numerator: "daily new cases",
+      denominator: "total",
+      mode: "reproduction number",
+      window: String(DEFAULT_WINDOW),
+    },
+    above: true,
+    threshold: 1,
+  },
+];
+
+/**
+ * Most alerts kept in the history. Older ones are dropped.
+ */
+const HISTORY_SIZE = 100;
+
+/**
+ * Holds the areas that the user watches, each with a threshold rule, and the
+ * history of alerts raised when a rule was crossed. Persisted to storage;
+ * every change is written through immediately.
+ *
+ * A watch alerts once when its rule starts to hold on the latest date of
+ * data, and again only after the rule has stopped holding in between, so
+ * that a rule that holds for weeks doesn't alert every day.
+ *
+ * EpiViewWatchlist {
+ *   "items": !Array<Watch>,
+ *   "history": !Array<Alert>,  // Most recent first.
+ * }
+ *
+ * Watch {
+ *   "tableId": string,
+ *   "key": string,  // Key of the entry in the table.
+ *   "title": string,  // E.g. "Pasadena, Los Angeles County, California".
+ *   "rule": !Rule,
+ *   "firing": boolean,  // Whether the rule held when last checked.
+ *   "checked": ?string,  // ISO date of the latest data checked, if any.
+ * }
+ *
+ * Rule {
+ *   "label": string,  // Description of the UDF.
+ *   "params": !Object<string, string>,  // The UDF, as query parameters.
+ *   "above": boolean,  // Whether the rule holds above the threshold, rather
+ *       // than below it.
+ *   "threshold": number,
+ * }
+ *
+ * Alert {
+ *   "tableId": string,
+ *   "key": string,
+ *   "title": string,
+ *   "message": string,  // E.g. "7-day avg. daily new cases per 100k was 31.2
+ *       // on 2020-05-14 (rule: > 25)".
+ *   "value": number,
+ *   "date": string,  // ISO date of the data that crossed the rule.
+ *   "raisedAt": number,  // Timestamp, in ms.
+ * }
+ */
+export default class EpiViewWatchlist {
+  /**
+   * @param {?AsyncStorage} storage Storage for the watchlist. Anything with
+   *     async getItem and setItem methods will do. If null, the watchlist only
+   *     lasts until the app closes.
+   * @param {string} storageKey Storage key of the watchlist.
+   */
+  constructor(storage, storageKey) {
+    this.storage = storage;
+    this.storageKey = storageKey;
+    this.items = [];
+    this.history = [];
+  }
+
+  /**
+   * Loads the watchlist from storage, replacing any in memory.
+   *
+   * @return {!Promise<!EpiViewWatchlist>} This object, once loaded.
+   */
+  async load() {
+    if (this.storage) {
+      try {
+        const saved = JSON.parse(await this.storage.getItem(this.storageKey));
+        this.items = saved && Array.isArray(saved.items) ? saved.items : [];
+        this.history = saved && Array.isArray(saved.history)
+                       ? saved.history : [];
+      }
+      catch (e) {
+        this.items = [];
+        this.history = [];
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Starts watching an area. It's checked the next time its table is.
+   *
+   * @param {string} tableId Identifier of the area's table.
+   * @param {string} key Key of the area's entry.
+   * @param {string} title Name of the area, for alerts.
+   * @param {!Rule} rule The rule to alert on.
+   */
+  async add(tableId, key, title, rule) {
+    this.items.push({
+      tableId: tableId,
+      key: key,
+      title: title,
+      rule: rule,
+      firing: false,
+      checked: null,
+    });
+    await this.persist();
+  }
+
+  /**
+   * Stops watching an area under one of its rules.
+   *
+   * @param {number} index Position of the watch in the list.
+   */
+  async remove(index) {
+    this.items.splice(index, 1);
+    await this.persist();
+  }
+
+  /**
+   * Clears the history of alerts.
+   */
+  async clearHistory() {
+    this.history = [];
+    await this.persist();
+  }
+
+  /**
+   * Checks the watches on a table against its latest data, raising alerts
+   * for rules that have started to hold. Watches already checked against the
+   * table's latest date are skipped, so this may be called whenever the
+   * table might have new data. Nothing is checked without a table or its
+   * latest date, e.g. while it's still loading.
+   *
+   * @param {string} tableId Identifier of the table.
+   * @param {?EpiViewTable} table The compiled table.
+   * @return {!Promise<!Array<Alert>>} The alerts raised, which have been
+   *     added to the history.
+   */
+  async check(tableId, table) {
+    if (!table || !table.maxDate) {
+      return [];
+    }
+    const latest = formatDate(table.maxDate);
+    const alerts = [];
+    let changed = false;
+    for (const [i, watch] of this.items.entries()) {
+      if (watch.tableId !== tableId || watch.checked === latest ||
+          !(watch.key in table.data)) {
+        continue;
+      }
+      const value = evaluateRule(watch.rule, tableId, table, watch.key);
+      const firing = holds(watch.rule, value);
+      if (firing && !watch.firing) {
+        alerts.push({
+          tableId: tableId,
+          key: watch.key,
+          title: watch.title,
+          message: `${watch.rule.label} was ${formatNumber(value)} on ` +
+                   `${latest} (rule: ${describeRule(watch.rule)})`,
+          value: value,
+          date: latest,
+          raisedAt: Date.now(),
+        });
+      }
+      this.items[i] = {...watch, firing: firing, checked: latest};
+      changed = true;
+    }
+    if (changed) {
+      this.history = alerts.concat(this.history).slice(0, HISTORY_SIZE);
+      await this.persist();
+    }
+    return alerts;
+  }
+
+  /**
+   * Writes the watchlist to storage, if any.
+   */
+  async persist() {
+    if (this.storage) {
+      await this.storage.setItem(this.storageKey, JSON.stringify({
+        items: this.items,
+        history: this.history,
+      }));
+    }
+  }
+}
+
+/**
+ * Evaluates the UDF of a rule on an entry on the latest date of data.
+ *
+ * @param {!Rule} rule The rule.
+ * @param {string} tableId Identifier of the entry's table.
+ * @param {!EpiViewTable} table The compiled table.
+ * @param {string} key Key of the entry.
+ * @return {number} The value, or NaN if there is no data for it or the rule
+ *     doesn't suit the table, e.g. because it has no such numerator.
+ */
+export function evaluateRule(rule, tableId, table, key) {
+  const { errors, ...udf } = fromQueryParams({
+    ...rule.params,
+    table: tableId,
+    date: "latest",
+  }, () => table.maxDate);
+  if (errors.length !== 0 || !udf.mode) {
+    return NaN;
+  }
+  try {
+    return table.data[key].evaluate(table.prepareUdf({
+      window: DEFAULT_WINDOW,
+      ...udf,
+      refDate: udf.refDate || udf.date,
+    }));
+  }
+  catch (e) {
+    return NaN;  // E.g. a formula that no longer parses.
+  }
+}
+
+/**
+ * Checks whether a rule holds for a value.
+ *
+ * @param {!Rule} rule The rule.
+ * @param {number} value The value of the rule's UDF.
+ * @return {boolean} Whether it holds. Never for values that aren't finite.
+ */
+export function holds(rule, value) {
+  return Number.isFinite(value) &&
+         (rule.above ? value > rule.threshold : value < rule.threshold);
+}
+
+/**
+ * Describes the comparison of a rule, e.g. "> 25".
+ *
+ * @param {!Rule} rule The rule.
+ * @return {string} The description.
+ */
+export function describeRule(rule) {
+  return `${rule.above ? ">" : "<"} ${formatNumber(rule.threshold)}`;
+}